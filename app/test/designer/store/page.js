@@ -1,5 +1,6 @@
 import { Section, Box, Heading, Text, Separator } from '@radix-ui/themes'
 import StoreStatus from '@/components/designer/StoreStatus.jsx'
+import StoreHealthPanel from '@/components/designer/StoreHealthPanel.jsx'
 
 export default function DesignerStorePage() {
   return (
@@ -29,6 +30,10 @@ export default function DesignerStorePage() {
         <Separator my="5" size="4" />
 
         <StoreStatus />
+
+        <Box mt="5">
+          <StoreHealthPanel />
+        </Box>
       </Box>
     </Section>
   )
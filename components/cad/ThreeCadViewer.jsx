@@ -3,6 +3,7 @@
 import React, { useRef, useEffect, useImperativeHandle, forwardRef } from 'react'
 import * as THREE from 'three'
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js'
 import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js'
 import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js'
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js'
@@ -239,6 +240,9 @@ const createAxesWidget = (disposersRef) => {
   return { scene, camera, root }
 }
 
+const HIGHLIGHT_SELECTED_EMISSIVE = 0x2255cc
+const HIGHLIGHT_HOVER_EMISSIVE = 0x123a66
+
 const AXES_TMP_BUFFER_SIZE = new THREE.Vector2()
 const AXES_TMP_QUAT_MODEL = new THREE.Quaternion()
 const AXES_TMP_QUAT_CAMERA = new THREE.Quaternion()
@@ -273,6 +277,8 @@ export const ThreeCadViewer = forwardRef(function ThreeCadViewer(
     autoCenterTarget = false,
     autoFitOnResize = false,
     frameScreenBias = { x: 0, y: 0 }, // normalized screen fraction offsets, +y moves target up on screen
+    onPick, // multi-scene click (not drag) picking: onPick({ index, name, id }) for a model, onPick(null) for empty space
+    hoverHighlight = false, // tint the multi-scene model under the pointer
   },
   ref
 ) {
@@ -361,6 +367,14 @@ export const ThreeCadViewer = forwardRef(function ThreeCadViewer(
   const useSourceMaterialsRef = useRef(!!useSourceMaterials)
   const explodedRef = useRef(false)
   const multiSceneRef = useRef({ active: false, sceneGroup: null, models: [], states: {}, displayNames: {}, transitionMap: {}, currentState: null, stateOrder: [] })
+  const markersRef = useRef(new Map()) // key -> marker group; lives in the multi-scene group so it spins with the models
+  const transformRef = useRef(null) // move/rotate gizmo for multi-scene models (see setGizmo)
+  const gizmoRef = useRef(null) // { index, onChange, onCommit } while the gizmo is attached
+  const onPickRef = useRef(onPick)
+  onPickRef.current = onPick
+  const hoverHighlightRef = useRef(hoverHighlight)
+  hoverHighlightRef.current = hoverHighlight
+  const highlightRef = useRef({ selected: new Set(), hovered: null }) // multi-scene model indices (see setHighlight)
   const animationRef = useRef({ playing: false, start: 0, duration: 0, fromState: null, toState: null, mixers: [], onComplete: null })
   const userInteractedRef = useRef(false)
   const pendingReframeRef = useRef(false)
@@ -481,6 +495,67 @@ export const ThreeCadViewer = forwardRef(function ThreeCadViewer(
     return obj.quaternion
   }
 
+  // Auto spin pauses on user interaction (and when the camera is focused on models)
+  const onUserInteracted = () => {
+    if (spinModeRef.current !== 'auto') return
+    // pause spinning for 80s from last interaction
+    const now = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now()
+    pauseUntilRef.current = now + 80000
+    spinRef.current = false
+    userInteractedRef.current = true
+    if (pauseTimerRef.current) clearTimeout(pauseTimerRef.current)
+    const delay = Math.max(0, pauseUntilRef.current - now)
+    pauseTimerRef.current = setTimeout(() => {
+      // resume if still in auto and pause elapsed
+      if (spinModeRef.current === 'auto') {
+        spinRef.current = true
+      }
+    }, delay)
+  }
+
+  const detachGizmo = () => {
+    transformRef.current?.detach()
+    gizmoRef.current = null
+  }
+
+  // Tint highlighted multi-scene models through their materials' emissive color; selected wins over hovered
+  const applyHighlight = () => {
+    const { selected, hovered } = highlightRef.current
+    ;(multiSceneRef.current.models || []).forEach((container, index) => {
+      const tint = selected.has(index) ? HIGHLIGHT_SELECTED_EMISSIVE : (hovered === index ? HIGHLIGHT_HOVER_EMISSIVE : null)
+      ;(container.userData.__faderMaterials || []).forEach((mat) => {
+        if (!mat?.emissive) return
+        if (mat.userData.__baseEmissive === undefined) mat.userData.__baseEmissive = mat.emissive.getHex()
+        mat.emissive.setHex(tint ?? mat.userData.__baseEmissive)
+      })
+    })
+  }
+
+  // Raycast multi-scene models at a client point; returns { index, name, id } of the nearest visible one
+  const pickModelAt = (clientX, clientY) => {
+    const renderer = rendererRef.current
+    const camera = cameraRef.current
+    const models = multiSceneRef.current.models || []
+    if (!renderer || !camera || models.length === 0) return null
+    const rect = renderer.domElement.getBoundingClientRect()
+    if (!rect.width || !rect.height) return null
+    const ndc = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    )
+    const raycaster = new THREE.Raycaster()
+    raycaster.setFromCamera(ndc, camera)
+    const hits = raycaster.intersectObjects(models.filter((c) => c.visible), true)
+    for (const hit of hits) {
+      if (!hit.object.isMesh) continue
+      let node = hit.object
+      while (node && !models.includes(node)) node = node.parent
+      if (!node) continue
+      return { index: models.indexOf(node), name: node.userData.__name, id: node.userData.__id ?? null }
+    }
+    return null
+  }
+
   // Compute bounding box for the base model meshes only (exclude adorners and axes)
   const getModelBounds = () => {
     const group = modelGroupRef.current
@@ -1049,6 +1124,25 @@ export const ThreeCadViewer = forwardRef(function ThreeCadViewer(
     controls.dampingFactor = 0.1
     controls.rotateSpeed = 0.8
 
+    // Gizmo for moving multi-scene models; orbiting is suspended while it is dragged
+    const transform = new TransformControls(camera, renderer.domElement)
+    const gizmoPlacement = () => {
+      const gizmo = gizmoRef.current
+      const object = transform.object
+      return gizmo && object ? { index: gizmo.index, position: object.position.clone(), quaternion: object.quaternion.clone() } : null
+    }
+    transform.addEventListener('dragging-changed', (e) => { controls.enabled = !e.value })
+    transform.addEventListener('objectChange', () => {
+      const placement = gizmoPlacement()
+      if (placement) gizmoRef.current.onChange?.(placement)
+    })
+    transform.addEventListener('mouseUp', () => {
+      const placement = gizmoPlacement()
+      if (placement) gizmoRef.current.onCommit?.(placement)
+    })
+    scene.add(transform.getHelper())
+    transformRef.current = transform
+
     // lights created per-style in applyStyle
 
     // groups
@@ -1231,25 +1325,42 @@ export const ThreeCadViewer = forwardRef(function ThreeCadViewer(
 
     // interaction handling for auto spin pause
     const INTERACTION_EVENTS = ['pointerdown', 'touchstart']
-    const onUserInteracted = () => {
-      if (spinModeRef.current !== 'auto') return
-      // pause spinning for 80s from last interaction
-      const now = (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now()
-      pauseUntilRef.current = now + 80000
-      spinRef.current = false
-      userInteractedRef.current = true
-      if (pauseTimerRef.current) clearTimeout(pauseTimerRef.current)
-      const delay = Math.max(0, pauseUntilRef.current - now)
-      pauseTimerRef.current = setTimeout(() => {
-        // resume if still in auto and pause elapsed
-        if (spinModeRef.current === 'auto') {
-          spinRef.current = true
-        }
-      }, delay)
-    }
     controls.addEventListener('start', onUserInteracted)
     INTERACTION_EVENTS.forEach((ev) => renderer.domElement.addEventListener(ev, onUserInteracted, { passive: true }))
 
+    // Click picking: a press and release within a few pixels, not on the gizmo, and not an orbit drag
+    const pickStart = { x: 0, y: 0, onGizmo: false }
+    const onPickPointerDown = (e) => {
+      pickStart.x = e.clientX
+      pickStart.y = e.clientY
+      pickStart.onGizmo = !!(transform.object && transform.axis)
+    }
+    const onPickPointerUp = (e) => {
+      if (!onPickRef.current || !multiSceneRef.current.active || e.button !== 0 || pickStart.onGizmo) return
+      if (Math.hypot(e.clientX - pickStart.x, e.clientY - pickStart.y) > 4) return
+      onPickRef.current(pickModelAt(e.clientX, e.clientY))
+    }
+    renderer.domElement.addEventListener('pointerdown', onPickPointerDown)
+    renderer.domElement.addEventListener('pointerup', onPickPointerUp)
+
+    // Hover highlight, raycasting at most every 50ms and never while a button is held
+    let lastHoverAt = 0
+    const setHovered = (index) => {
+      if (highlightRef.current.hovered === index) return
+      highlightRef.current.hovered = index
+      renderer.domElement.style.cursor = index == null ? '' : 'pointer'
+      applyHighlight()
+    }
+    const onHoverPointerMove = (e) => {
+      if (!hoverHighlightRef.current || !multiSceneRef.current.active || e.buttons) return
+      if (e.timeStamp - lastHoverAt < 50) return
+      lastHoverAt = e.timeStamp
+      setHovered(transform.axis ? null : (pickModelAt(e.clientX, e.clientY)?.index ?? null))
+    }
+    const onHoverPointerLeave = () => setHovered(null)
+    renderer.domElement.addEventListener('pointermove', onHoverPointerMove)
+    renderer.domElement.addEventListener('pointerleave', onHoverPointerLeave)
+
     // animation loop
     const tick = () => {
       // Auto mode guard: if we are in auto and pause is active, ensure spin is off
@@ -1296,7 +1407,7 @@ export const ThreeCadViewer = forwardRef(function ThreeCadViewer(
             anim.onComplete?.()
           }
         }
-        if (multiSceneRef.current.sceneGroup && spinRef.current) {
+        if (multiSceneRef.current.sceneGroup && spinRef.current && !gizmoRef.current) {
           multiSceneRef.current.sceneGroup.rotation.y += 0.00125
         }
       }
@@ -1426,6 +1537,14 @@ export const ThreeCadViewer = forwardRef(function ThreeCadViewer(
       if (cleanupPauseTimer) clearTimeout(cleanupPauseTimer)
       controls.removeEventListener('start', onUserInteracted)
       INTERACTION_EVENTS.forEach((ev) => renderer.domElement.removeEventListener(ev, onUserInteracted))
+      renderer.domElement.removeEventListener('pointerdown', onPickPointerDown)
+      renderer.domElement.removeEventListener('pointerup', onPickPointerUp)
+      renderer.domElement.removeEventListener('pointermove', onHoverPointerMove)
+      renderer.domElement.removeEventListener('pointerleave', onHoverPointerLeave)
+      detachGizmo()
+      transform.getHelper().removeFromParent()
+      transform.dispose()
+      transformRef.current = null
       controls.dispose()
       // dispose pmrem/env
       if (pmremRef.current) {
@@ -1700,6 +1819,8 @@ useEffect(() => {
       if (!group || !wire || !edgesGroup || !outlineGroup) return
 
       if (multiGroup) {
+        detachGizmo()
+        markersRef.current.forEach((m) => multiGroup.remove(m))
         while (multiGroup.children.length) {
           const child = multiGroup.children.pop()
           child.traverse?.((obj) => {
@@ -1846,7 +1967,9 @@ useEffect(() => {
       if (outlineGroup) outlineGroup.visible = false
       // console.log('[ThreeCadViewer] setMultiScene - hidden single-model groups. group.visible:', group.visible, 'group.children:', group.children.length)
 
-      // Clear multi group children
+      // Clear multi group children (markers are kept and re-added below)
+      detachGizmo()
+      markersRef.current.forEach((m) => multiGroup.remove(m))
       while (multiGroup.children.length) {
         const child = multiGroup.children.pop()
         child.traverse?.((obj) => {
@@ -1930,12 +2053,15 @@ useEffect(() => {
         container.userData.__states = entry.states || {}
         container.userData.__faderMaterials = faderMaterials
         container.userData.__name = entry.name
+        container.userData.__id = entry.id ?? null
         ensureQuaternion(container)
         multiGroup.add(container)
         preparedModels.push(container)
       })
 
       multi.models = preparedModels
+      highlightRef.current = { selected: new Set(), hovered: null }
+      markersRef.current.forEach((m) => multiGroup.add(m))
       multiGroup.visible = true
       multiGroup.rotation.set(0, 0, 0)
       const scene = sceneRef.current
@@ -1973,6 +2099,122 @@ useEffect(() => {
     transitionMultiState: (targetState, duration = 900, onComplete) => {
       return startStateTransition(targetState, duration, onComplete)
     },
+    // Show a point marker (e.g. center of gravity) in multi-scene coordinates, or remove it with position null.
+    // options: { color, size } size = sphere radius in scene units
+    setMarker: (key, position, options = {}) => {
+      const multiGroup = multiSceneRef.current.sceneGroup
+      const markers = markersRef.current
+      const existing = markers.get(key)
+      if (existing) {
+        existing.parent?.remove(existing)
+        existing.traverse((obj) => {
+          obj.geometry?.dispose?.()
+          obj.material?.dispose?.()
+        })
+        markers.delete(key)
+      }
+      if (!position || !multiGroup) return
+      const { color = 0xff3366, size = 2 } = options
+      const marker = new THREE.Group()
+      marker.name = `marker:${key}`
+      // Drawn on top of the models so it stays visible inside the assembly
+      const sphere = new THREE.Mesh(
+        new THREE.SphereGeometry(size, 16, 12),
+        new THREE.MeshBasicMaterial({ color, depthTest: false, depthWrite: false, transparent: true, opacity: 0.9 })
+      )
+      const l = size * 3
+      const cross = new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints([
+          new THREE.Vector3(-l, 0, 0), new THREE.Vector3(l, 0, 0),
+          new THREE.Vector3(0, -l, 0), new THREE.Vector3(0, l, 0),
+          new THREE.Vector3(0, 0, -l), new THREE.Vector3(0, 0, l),
+        ]),
+        new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.9 })
+      )
+      sphere.renderOrder = 999
+      cross.renderOrder = 999
+      marker.add(sphere, cross)
+      marker.position.set(position[0] || 0, position[1] || 0, position[2] || 0)
+      markers.set(key, marker)
+      multiGroup.add(marker)
+    },
+    // Attach the move/rotate gizmo to a multi-scene model, or detach it with index null.
+    // options: { mode: 'translate' | 'rotate', translationSnap (scene units), rotationSnap (degrees), onChange, onCommit }
+    // onChange (while dragging) and onCommit (on release) get { index, position, quaternion } in multi-scene coordinates.
+    setGizmo: (index, options = {}) => {
+      const transform = transformRef.current
+      const multi = multiSceneRef.current
+      const container = index == null ? null : multi.models?.[index]
+      if (!transform || !multi.active || !container) {
+        detachGizmo()
+        return
+      }
+      const { mode = 'translate', translationSnap = null, rotationSnap = null, onChange, onCommit } = options
+      gizmoRef.current = { index, onChange, onCommit }
+      // Gizmo axes are world axes; square the (spinning) scene group up with them
+      if (multi.sceneGroup) multi.sceneGroup.rotation.set(0, 0, 0)
+      transform.setMode(mode)
+      transform.setSpace('world')
+      transform.setTranslationSnap(translationSnap || null)
+      transform.setRotationSnap(rotationSnap ? THREE.MathUtils.degToRad(rotationSnap) : null)
+      if (transform.object !== container) transform.attach(container)
+    },
+    // Highlight multi-scene models (e.g. the selected part or assembly) by index; [] clears it
+    setHighlight: (indices = []) => {
+      highlightRef.current.selected = new Set(indices)
+      applyHighlight()
+    },
+    // Aim the camera at a set of multi-scene models, keeping the current view direction
+    focusModels: (indices = []) => {
+      const multi = multiSceneRef.current
+      const camera = cameraRef.current
+      const controls = controlsRef.current
+      if (!multi.active || !camera || !controls) return
+      const box = new THREE.Box3()
+      indices.forEach((i) => {
+        const container = multi.models?.[i]
+        if (container?.visible) box.expandByObject(container)
+      })
+      if (box.isEmpty()) return
+      onUserInteracted()
+      const center = box.getCenter(new THREE.Vector3())
+      const dir = new THREE.Vector3().subVectors(camera.position, controls.target)
+      if (dir.lengthSq() < 1e-8) dir.set(1, 0.8, 1)
+      dir.normalize()
+      const distance = Math.max(computeFitDistance(box, camera, 0.75), 0.1)
+      controls.target.copy(center)
+      camera.position.copy(dir.multiplyScalar(distance).add(center))
+      camera.lookAt(controls.target)
+      adjustCameraPlanes()
+      controls.update()
+    },
+    // Move models in their states without a transition (e.g. after their location was edited elsewhere)
+    // placementUpdates: { modelIndex: { stateKey: { position, quaternion } } }
+    updateStatePlacement: (placementUpdates) => {
+      const multi = multiSceneRef.current
+      if (!multi.active || !multi.models) return false
+      const curKey = (multi.currentState || '').toLowerCase()
+      Object.entries(placementUpdates).forEach(([modelIndex, byState]) => {
+        const container = multi.models[parseInt(modelIndex)]
+        if (!container) return
+        const states = container.userData.__states || {}
+        Object.entries(byState).forEach(([stateKey, placement]) => {
+          const state = states[stateKey]
+          if (!state) return
+          if (placement.position) state.position = placement.position.clone()
+          if (placement.quaternion) state.quaternion = placement.quaternion.clone()
+        })
+        // Snap the model there now unless a transition is animating it
+        const current = states[curKey]
+        if (current && byState[curKey] && !animationRef.current.playing) {
+          container.position.copy(current.position)
+          container.quaternion.copy(current.quaternion)
+          container.updateMatrixWorld(true)
+        }
+      })
+      markBoundingBoxesDirty()
+      return true
+    },
     getMultiSceneInfo: () => {
       const multi = multiSceneRef.current
       if (!multi.active) return null
@@ -2045,6 +2287,8 @@ useEffect(() => {
       if (!group || !wire || !edgesGroup || !outlineGroup || !object3D) return
 
       if (multiGroup) {
+        detachGizmo()
+        markersRef.current.forEach((m) => multiGroup.remove(m))
         while (multiGroup.children.length) {
           const child = multiGroup.children.pop()
           child.traverse?.((obj) => {
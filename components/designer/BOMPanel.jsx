@@ -0,0 +1,55 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+import { Box, Button, Flex, ScrollArea, Text } from "@radix-ui/themes";
+import { useSelection } from "@/components/designer/SelectionProvider.jsx";
+import BOMTable from "@/components/designer/BOMTable.jsx";
+
+const STORAGE_KEY = "store:bomOpen";
+
+/**
+ * BOMPanel - bill of materials for the selected instance (or type preview)
+ * Sits next to JsonEditor; collapses to a narrow strip unless collapsible is false.
+ */
+export default function BOMPanel({ collapsible = true }) {
+  const { selectedId, activeDocId } = useSelection();
+  const [expanded, setExpanded] = useState(false);
+  const open = expanded || !collapsible;
+  const target = [selectedId, activeDocId].find((id) => typeof id === "string" && /^spoke:\/\/(instances|types)\//.test(id)) || null;
+
+  useEffect(() => {
+    try { setExpanded(localStorage.getItem(STORAGE_KEY) === "1"); } catch {}
+  }, []);
+  const toggle = useCallback((next) => {
+    setExpanded(next);
+    try { localStorage.setItem(STORAGE_KEY, next ? "1" : "0"); } catch {}
+  }, []);
+
+  if (!open) {
+    return (
+      <Box style={{ width: 28, flexShrink: 0, borderLeft: "1px solid var(--gray-6)", display: "flex", justifyContent: "center", paddingTop: 8 }}>
+        <Button size="1" variant="ghost" onClick={() => toggle(true)} title="Show bill of materials" style={{ writingMode: "vertical-rl" }}>
+          BOM
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box style={{ width: collapsible ? 420 : "100%", flexShrink: 0, borderLeft: "1px solid var(--gray-6)", display: "flex", flexDirection: "column", minHeight: 0 }}>
+      <Flex align="center" justify="between" px="2" py="1" style={{ borderBottom: "1px solid var(--gray-6)", background: "var(--gray-2)" }}>
+        <Text size="2" weight="medium">Bill of Materials</Text>
+        {collapsible && <Button size="1" variant="ghost" onClick={() => toggle(false)} title="Hide bill of materials">×</Button>}
+      </Flex>
+      {!target ? (
+        <Text size="1" color="gray" style={{ padding: 8 }}>Select an instance or type to see its parts.</Text>
+      ) : (
+        <ScrollArea type="auto" scrollbars="vertical" style={{ flex: 1, minHeight: 0 }}>
+          <Box px="2">
+            <BOMTable instance={target} compact={collapsible} />
+          </Box>
+        </ScrollArea>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,110 @@
+"use client";
+
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Box, Button, Flex, Table, Text } from "@radix-ui/themes";
+import { computeBOM, bomTable, bomToCSV, bomToMarkdown } from "@/lib/store/bom";
+import { subscribeStoreChanges, changedIds } from "@/lib/store/events";
+import { downloadText } from "@/lib/downloads";
+
+const fileBase = (bom) => `bom-${String(bom.root.name || "assembly").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")}`;
+
+/**
+ * BOMTable - bill of materials for an instance tree (or a type's default tree), with CSV and
+ * Markdown export. Used as <BOM instance="spoke://instances/..."/> in MDX and by BOMPanel.
+ * Recomputes when any doc in the tree, or one of its types, changes.
+ */
+export default function BOMTable({ instance, title, exports = true, compact = false }) {
+  const [bom, setBom] = useState(null);
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+  const watchedRef = useRef(new Set()); // ids whose changes affect the BOM
+
+  const load = useCallback(async () => {
+    if (!instance) { setBom(null); return; }
+    try {
+      const next = await computeBOM(instance);
+      watchedRef.current = new Set([instance, ...next.lines.flatMap((l) => [l.type, ...l.instances])]);
+      setBom(next);
+      setError("");
+    } catch (e) {
+      setBom(null);
+      setError(e?.message || String(e));
+    }
+  }, [instance]);
+
+  useEffect(() => { load(); }, [load]);
+
+  useEffect(() => {
+    return subscribeStoreChanges((detail) => {
+      if (detail.reset || detail.refresh || changedIds(detail).some((id) => watchedRef.current.has(id))) load();
+    });
+  }, [load]);
+
+  const onCopyMarkdown = useCallback(async () => {
+    if (!bom) return;
+    try {
+      await navigator.clipboard.writeText(bomToMarkdown(bom));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      downloadText(`${fileBase(bom)}.md`, bomToMarkdown(bom), "text/markdown");
+    }
+  }, [bom]);
+
+  if (error) return <Text size="2" color="red">BOM: {error}</Text>;
+  if (!bom) return instance ? <Text size="2" color="gray">Loading bill of materials…</Text> : null;
+
+  const { header, rows, totals } = bomTable(bom);
+  // Compact mode (narrow panels) drops the type id and per-unit columns
+  const visible = header.map((_, i) => i).filter((i) => !compact || !["Type", "Unit Cost", "Unit Mass"].includes(header[i]));
+  const numeric = new Set(["Qty", "Unit Cost", "Cost", "Unit Mass", "Mass"]);
+
+  return (
+    <Box className="bom" my="3">
+      <Flex align="center" justify="between" gap="2" mb="2" wrap="wrap">
+        <Text weight="bold" size="2">{title || `Bill of Materials: ${bom.root.name}`}</Text>
+        {exports && (
+          <Flex gap="2">
+            <Button size="1" variant="soft" onClick={() => downloadText(`${fileBase(bom)}.csv`, bomToCSV(bom), "text/csv")}>CSV</Button>
+            <Button size="1" variant="soft" onClick={onCopyMarkdown}>{copied ? "Copied" : "Copy Markdown"}</Button>
+          </Flex>
+        )}
+      </Flex>
+      {rows.length === 0 ? (
+        <Text size="2" color="gray">No parts.</Text>
+      ) : (
+        <Table.Root size="1" variant="surface">
+          <Table.Header>
+            <Table.Row>
+              {visible.map((i) => (
+                <Table.ColumnHeaderCell key={header[i]} style={numeric.has(header[i]) ? { textAlign: "right" } : undefined}>{header[i]}</Table.ColumnHeaderCell>
+              ))}
+            </Table.Row>
+          </Table.Header>
+          <Table.Body>
+            {rows.map((r, n) => (
+              <Table.Row key={bom.lines[n].key}>
+                {visible.map((i) => (
+                  <Table.Cell key={header[i]} style={numeric.has(header[i]) ? { textAlign: "right", whiteSpace: "nowrap" } : undefined} title={header[i] === "Name" ? bom.lines[n].type || "" : undefined}>
+                    {r[i]}
+                  </Table.Cell>
+                ))}
+              </Table.Row>
+            ))}
+            <Table.Row>
+              {visible.map((i) => (
+                <Table.Cell key={header[i]} style={{ fontWeight: 600, ...(numeric.has(header[i]) ? { textAlign: "right", whiteSpace: "nowrap" } : {}) }}>{totals[i]}</Table.Cell>
+              ))}
+            </Table.Row>
+          </Table.Body>
+        </Table.Root>
+      )}
+      {bom.totals.unpriced > 0 && rows.length > 0 && (
+        <Text as="div" size="1" color="gray" mt="1">{bom.totals.unpriced} of {rows.length} lines have no unit cost.</Text>
+      )}
+      {bom.missing.length > 0 && (
+        <Text as="div" size="1" color="amber" mt="1">{bom.missing.length} referenced part{bom.missing.length === 1 ? " is" : "s are"} missing from the store.</Text>
+      )}
+    </Box>
+  );
+}
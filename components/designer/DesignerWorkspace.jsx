@@ -1,11 +1,29 @@
 "use client"
 
 import React, { useCallback, useEffect, useRef, useState } from 'react'
-import { Box, Heading, Text, Tabs } from '@radix-ui/themes'
+import NextLink from 'next/link'
+import { Box, Heading, Link, Text, Tabs } from '@radix-ui/themes'
 import SystemViewerPanel from '@/components/designer/SystemViewerPanel.jsx'
 import ObjectExplorerPanel from '@/components/designer/ObjectExplorerPanel.jsx'
 import JsonEditor from '@/components/designer/JsonEditor.jsx'
+import PropertyPanel from '@/components/designer/PropertyPanel.jsx'
+import RevisionPanel from '@/components/designer/RevisionPanel.jsx'
+import BOMPanel from '@/components/designer/BOMPanel.jsx'
+import ModelDropZone from '@/components/designer/ModelDropZone.jsx'
+import { useSelection } from '@/components/designer/SelectionProvider.jsx'
 import { useResponsiveLayout } from '@/components/common/hooks/useResponsiveLayout.js'
+import { reconcileStore } from '@/lib/store/reconcile'
+
+// Site seed changes that would overwrite or delete local data are left for review in Store Status
+function SeedUpdateNotice({ count }) {
+  if (!count) return null
+  return (
+    <Text as="p" size="1" color="amber" mb="1">
+      {count} site update{count !== 1 ? 's' : ''} would change or remove docs edited here.{' '}
+      <Link asChild><NextLink href="/test/designer/store">Review in Store Status</NextLink></Link>
+    </Text>
+  )
+}
 
 /**
  * DesignerWorkspace - Main layout for Designer with 3D Viewer + Explorer + Editor
@@ -28,11 +46,39 @@ export default function DesignerWorkspace() {
   const minW = 220
   const maxW = 520
   
+  const { undo, redo } = useSelection()
+
+  // New seed docs and updates to unedited site docs land on load; the rest waits for review
+  const [pendingSeed, setPendingSeed] = useState(0)
+  useEffect(() => {
+    let cancelled = false
+    reconcileStore().then((result) => {
+      if (!cancelled) setPendingSeed(result.pending?.entries?.length || 0)
+    })
+    return () => { cancelled = true }
+  }, [])
+  
   const onMouseDown = useCallback((e) => {
     e.preventDefault()
     setDragging(true)
   }, [])
   
+  // Undo/redo store edits: Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+  // Text fields and the Ace editor keep their own undo, so skip when they have focus
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return
+      if (String(e.key).toLowerCase() !== 'z') return
+      const t = e.target
+      if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName || '') || t.closest?.('.ace_editor'))) return
+      e.preventDefault()
+      if (e.shiftKey) redo()
+      else undo()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [undo, redo])
+  
   // Load/save persisted height
   useEffect(() => {
     try {
@@ -175,6 +221,7 @@ export default function DesignerWorkspace() {
   if (layoutMode === 'compact') {
     return (
       <section>
+        <SeedUpdateNotice count={pendingSeed} />
         <Box
           ref={containerRef}
           style={{
@@ -200,6 +247,9 @@ export default function DesignerWorkspace() {
               <Tabs.Trigger value="viewer">Viewer</Tabs.Trigger>
               <Tabs.Trigger value="explorer">Explorer</Tabs.Trigger>
               <Tabs.Trigger value="editor">Editor</Tabs.Trigger>
+              <Tabs.Trigger value="properties">Properties</Tabs.Trigger>
+              <Tabs.Trigger value="revisions">Revisions</Tabs.Trigger>
+              <Tabs.Trigger value="bom">BOM</Tabs.Trigger>
             </Tabs.List>
             <Tabs.Content value="viewer" style={{ minHeight: 0, height: compactContentHeight, overflow: 'hidden' }}>
               <Box style={{ height: '100%', minHeight: 0, display: 'flex', flex: 1 }}>
@@ -216,6 +266,22 @@ export default function DesignerWorkspace() {
                 <Box style={{ flex: 1, minHeight: 0 }}>
                   <JsonEditor />
                 </Box>
+                <ModelDropZone />
+              </Box>
+            </Tabs.Content>
+            <Tabs.Content value="properties" style={{ minHeight: 0, height: compactContentHeight, overflow: 'hidden' }}>
+              <Box style={{ height: '100%', minHeight: 0, display: 'flex' }}>
+                <PropertyPanel standalone />
+              </Box>
+            </Tabs.Content>
+            <Tabs.Content value="revisions" style={{ minHeight: 0, height: compactContentHeight, overflow: 'hidden' }}>
+              <Box style={{ height: '100%', minHeight: 0, display: 'flex' }}>
+                <RevisionPanel collapsible={false} />
+              </Box>
+            </Tabs.Content>
+            <Tabs.Content value="bom" style={{ minHeight: 0, height: compactContentHeight, overflow: 'hidden' }}>
+              <Box style={{ height: '100%', minHeight: 0, display: 'flex' }}>
+                <BOMPanel collapsible={false} />
               </Box>
             </Tabs.Content>
           </Tabs.Root>
@@ -226,6 +292,7 @@ export default function DesignerWorkspace() {
 
   return (
     <section>
+      <SeedUpdateNotice count={pendingSeed} />
       <Box
         ref={containerRef}
         style={{
@@ -327,11 +394,15 @@ export default function DesignerWorkspace() {
             <span className="grip" />
           </Box>
           <Box className="editor-pane">
-            <Box style={{ flex: 1, minHeight: 0, display: 'flex', flexDirection: 'column' }}>
+            <Box style={{ flex: 1, minHeight: 0, minWidth: 0, display: 'flex', flexDirection: 'column' }}>
               <Box style={{ flex: 1, minHeight: 0 }}>
                 <JsonEditor />
               </Box>
+              <ModelDropZone />
             </Box>
+            <PropertyPanel />
+            <RevisionPanel />
+            <BOMPanel />
           </Box>
         </Box>
       </Box>
@@ -3,7 +3,16 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { useSelection } from "@/components/designer/SelectionProvider.jsx";
 import { safeGetDoc } from "@/lib/store/resolver";
-import { store } from "@/lib/store/adapter";
+import { store, StoreConflictError } from "@/lib/store/adapter";
+import { subscribeStoreChanges, touches } from "@/lib/store/events";
+import { trackTemplateOverrides } from "@/lib/store/template-sync";
+import { mergeJson } from "@/lib/store/diff";
+
+const docText = (doc) => JSON.stringify(doc, null, 2);
+
+function parseOrNull(text) {
+  try { return JSON.parse(text); } catch { return null; }
+}
 
 export default function JsonEditor() {
   // Dynamically loaded Ace editor (if available)
@@ -32,6 +41,9 @@ export default function JsonEditor() {
   const [baseline, setBaseline] = useState("{}");
   const [error, setError] = useState("");
   const [saveStatus, setSaveStatus] = useState("");
+  // Save rejected because the doc changed elsewhere: { mine, theirs, merged, conflicts }
+  const [conflict, setConflict] = useState(null);
+  const [remoteChanged, setRemoteChanged] = useState(false);
   const textareaRef = useRef(null);
   const aceEditorRef = useRef(null);
   const suppressRefEventsRef = useRef(false);
@@ -40,6 +52,8 @@ export default function JsonEditor() {
   const { activeDocId, setActiveDocId } = useSelection();
 
   useEffect(() => {
+    setConflict(null);
+    setRemoteChanged(false);
     if (activeDocId) return;
     setValue("{}");
     setBaseline("{}");
@@ -97,20 +111,18 @@ export default function JsonEditor() {
   }, [Ace, activeDocId, setActiveDocId, value]);
 
   useEffect(() => {
-    if (typeof window === "undefined") return;
     let cancelled = false;
-    const onSaved = async (e) => {
+    const onChanged = async (detail) => {
       try {
-        const detail = e?.detail || {};
-        const targetId = detail.$id;
         const isReset = !!detail.reset;
-        const isManual = targetId === "__manual__";
-        const isDeletedActive = !!detail.deleted && targetId === activeDocId;
-        const shouldReload = isReset || isManual || targetId === activeDocId || isDeletedActive;
-        if (!shouldReload) return;
-        if (!activeDocId) return;
+        if (!activeDocId || !touches(detail, activeDocId)) return;
+        const isDeletedActive = (detail.deleted || []).includes(activeDocId);
         const isDirty = value !== baseline;
-        if (isDirty && !isReset) return;
+        if (isDirty && !isReset) {
+          // Keep the draft; the next save is checked against the new version
+          if (detail.remote) setRemoteChanged(true);
+          return;
+        }
         if (isDeletedActive) {
           setValue("{}");
           setBaseline("{}");
@@ -123,12 +135,13 @@ export default function JsonEditor() {
         setValue(text);
         setBaseline(text);
         setError("");
+        setRemoteChanged(false);
       } catch {}
     };
-    window.addEventListener("store:docSaved", onSaved);
+    const unsubscribe = subscribeStoreChanges(onChanged);
     return () => {
       cancelled = true;
-      window.removeEventListener("store:docSaved", onSaved);
+      unsubscribe();
     };
   }, [activeDocId, value, baseline]);
 
@@ -151,11 +164,15 @@ export default function JsonEditor() {
     return { ok: errs.length === 0, errors: errs };
   };
 
-  const persistToStore = async (parsed) => {
+  // expectedVersion: version the edit is based on (defaults to the loaded doc's); a mismatch
+  // with the store means another tab saved in between and opens the merge prompt instead
+  const persistToStore = async (parsed, expectedVersion) => {
     try {
       const targetId = parsed.$id || activeDocId;
       if (!targetId) return false;
       parsed.$id = targetId;
+      const base = parseOrNull(baseline);
+      if (expectedVersion === undefined && base && (base.$id || base.id) === targetId) expectedVersion = base.meta?.version ?? 0;
       const existing = await safeGetDoc(targetId);
       const prevVersion = existing?.meta?.version ?? 0;
       const meta = {
@@ -164,28 +181,61 @@ export default function JsonEditor() {
         updatedAt: new Date().toISOString(),
         origin: existing?.meta?.origin || parsed?.meta?.origin || "user",
       };
-      await store.putDoc({ ...parsed, meta });
-      try { if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent("store:docSaved", { detail: { $id: targetId } })); } catch {}
+      // Edits to template-owned fields become overrides that "sync from type" preserves
+      const next = await trackTemplateOverrides(existing, { ...parsed, meta });
+      await store.putDoc(next, { label: `Edit ${parsed.name || targetId}`, expectedVersion });
       setSaveStatus("Saved");
       setTimeout(() => setSaveStatus(""), 1500);
       try { setActiveDocId(targetId); } catch {}
-      try { setBaseline(JSON.stringify(parsed, null, 2)); } catch {}
+      // Show the saved doc (with its new meta.version) so the next save is based on it
+      try { const text = docText(next); setValue(text); setBaseline(text); } catch {}
+      setConflict(null);
+      setRemoteChanged(false);
       return true;
     } catch (e) {
+      if (e instanceof StoreConflictError) {
+        const theirs = e.current;
+        const { merged, conflicts } = theirs ? mergeJson(parseOrNull(baseline), parsed, theirs, { ignore: ["meta"] }) : { merged: parsed, conflicts: [] };
+        setConflict({ mine: parsed, theirs, merged, conflicts });
+        return false;
+      }
       console.warn("[JsonEditor] persistToStore failed", e);
       return false;
     }
   };
 
+  // Merge prompt actions
+  const onOverwrite = async () => {
+    if (!conflict) return;
+    await persistToStore(conflict.mine, conflict.theirs?.meta?.version ?? 0);
+  };
+
+  const onTakeTheirs = () => {
+    if (!conflict) return;
+    const text = conflict.theirs ? docText(conflict.theirs) : "{}";
+    setValue(text);
+    setBaseline(text);
+    setError("");
+    setConflict(null);
+    setRemoteChanged(false);
+  };
+
+  // Load the merge as an unsaved draft on top of their version; saving it is a normal save
+  const onMerge = () => {
+    if (!conflict?.theirs) return;
+    setBaseline(docText(conflict.theirs));
+    setValue(docText({ ...conflict.merged, meta: conflict.theirs.meta }));
+    setError("");
+    setConflict(null);
+    setRemoteChanged(false);
+  };
+
   const onUpdate = async () => {
     const parsed = tryParse(value);
     if (!parsed) return;
     const v = validateDoc(parsed);
     if (!v.ok) return;
-    if (activeDocId) {
-      const ok = await persistToStore(parsed);
-      if (ok) { try { setBaseline(JSON.stringify(parsed, null, 2)); } catch {} }
-    }
+    if (activeDocId) await persistToStore(parsed);
   };
 
   const onReset = () => {
@@ -273,13 +323,39 @@ export default function JsonEditor() {
         )}
         <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 6 }}>
           <span style={{ color: 'var(--gray-9)', fontSize: 12 }}>
-            {error ? `Parse error: ${error}` : ''}
+            {error ? `Parse error: ${error}` : (remoteChanged ? 'Changed in another tab; saving will offer a merge' : '')}
           </span>
           <span style={{ color: 'var(--green-11)', fontSize: 12, opacity: saveStatus ? 1 : 0 }}>
             {saveStatus}
           </span>
         </div>
       </div>
+      {conflict && (
+        <div style={{ padding: "8px 4px", borderTop: "1px solid rgba(148,163,184,0.3)", fontSize: 12, display: "flex", flexDirection: "column", gap: 6 }}>
+          <span style={{ color: "var(--amber-11)", fontWeight: 600 }}>
+            {conflict.theirs
+              ? `This document was saved elsewhere (now version ${conflict.theirs.meta?.version ?? 0}) after you opened it.`
+              : "This document was deleted elsewhere after you opened it."}
+          </span>
+          {conflict.theirs && (
+            conflict.conflicts.length === 0 ? (
+              <span style={{ color: "var(--gray-11)" }}>Your edits and theirs touch different fields and can be merged.</span>
+            ) : (
+              <div style={{ color: "var(--gray-11)" }}>
+                Both sides changed {conflict.conflicts.length} field{conflict.conflicts.length !== 1 ? "s" : ""}; merging keeps yours there:
+                <div style={{ maxHeight: 96, overflow: "auto", fontFamily: "ui-monospace, monospace" }}>
+                  {conflict.conflicts.map((c) => <div key={c.path}>{c.path}</div>)}
+                </div>
+              </div>
+            )
+          )}
+          <div style={{ display: "flex", gap: 8 }}>
+            {conflict.theirs && <button onClick={onMerge} title="Load the merged document for review, then Save">Merge</button>}
+            <button onClick={onOverwrite} title="Save your version over theirs">Overwrite with mine</button>
+            <button onClick={onTakeTheirs} title="Discard your edits">{conflict.theirs ? "Take theirs" : "Discard mine"}</button>
+          </div>
+        </div>
+      )}
       <div style={{ display: "flex", gap: 8, alignItems: "center", padding: "8px 4px", borderTop: "1px solid rgba(148,163,184,0.3)" }}>
         <button
           onClick={onUpdate}
@@ -0,0 +1,128 @@
+"use client";
+
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Button, Flex, Text } from "@radix-ui/themes";
+import { useSelection } from "@/components/designer/SelectionProvider.jsx";
+import { store, StoreConflictError } from "@/lib/store/adapter";
+import { safeGetDoc } from "@/lib/store/resolver";
+import { subscribeStoreChanges, touches } from "@/lib/store/events";
+import { getFileExtension } from "@/lib/models/loader";
+import { trackTemplateOverrides } from "@/lib/store/template-sync";
+
+const MODEL_EXTENSIONS = ["stl", "3mf", "glb", "gltf", "step", "stp"];
+const EXTENSION_MIME = { stl: "model/stl", "3mf": "model/3mf", glb: "model/gltf-binary", gltf: "model/gltf+json", step: "model/step", stp: "model/step" };
+
+/**
+ * ModelDropZone - attach a local 3D file to the active doc as `model.ref`
+ * The file is stored as a blob under its sha256 hash, so it works offline and travels in bundles.
+ */
+export default function ModelDropZone() {
+  const { activeDocId } = useSelection();
+  const [doc, setDoc] = useState(null);
+  const [fileLabel, setFileLabel] = useState("");
+  const [over, setOver] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const inputRef = useRef(null);
+
+  const load = useCallback(async () => {
+    const next = activeDocId ? await safeGetDoc(activeDocId) : null;
+    setDoc(next);
+    const ref = next?.model?.ref;
+    if (!ref) { setFileLabel(next?.model?.url || ""); return; }
+    try {
+      const rec = await store.getBlob(ref);
+      setFileLabel(rec?.meta?.filename || `${ref.slice(0, 15)}…`);
+    } catch {
+      setFileLabel(`${ref.slice(0, 15)}…`);
+    }
+  }, [activeDocId]);
+
+  useEffect(() => {
+    load();
+    return subscribeStoreChanges((detail) => { if (touches(detail, activeDocId)) load(); });
+  }, [activeDocId, load]);
+
+  // Write the doc change (and the blob, if any) in one batch, based on the version shown
+  const saveModel = useCallback(async (update, blob) => {
+    if (!doc) return;
+    try {
+      await store.batch(async (tx) => {
+        if (blob) tx.putBlob(blob.hash, blob.file, { mime: blob.mime, filename: blob.file.name });
+        const current = (await tx.get(doc.id)) || doc;
+        const next = structuredClone(current);
+        update(next);
+        next.meta = { ...(next.meta || {}), version: (next.meta?.version ?? 0) + 1, updatedAt: new Date().toISOString(), origin: next.meta?.origin || "user" };
+        tx.put(await trackTemplateOverrides(current, next), { expectedVersion: doc.meta?.version ?? 0 });
+      }, { label: blob ? `Attach ${blob.file.name} to ${doc.name || doc.id}` : `Detach model from ${doc.name || doc.id}` });
+    } catch (e) {
+      if (e instanceof StoreConflictError) {
+        alert(`${doc.name || doc.id} was changed elsewhere; reloaded it. Try again.`);
+        load();
+        return;
+      }
+      alert(e?.message || "Saving the model failed");
+    }
+  }, [doc, load]);
+
+  const attachFile = useCallback(async (file) => {
+    if (!file || !doc || busy) return;
+    const ext = getFileExtension(file.name);
+    if (!MODEL_EXTENSIONS.includes(ext)) {
+      alert(`Unsupported model file: ${file.name} (use ${MODEL_EXTENSIONS.join(", ")})`);
+      return;
+    }
+    setBusy(true);
+    try {
+      const hash = await store.hashBlob(file);
+      const mime = file.type || EXTENSION_MIME[ext];
+      await saveModel((next) => {
+        next.model = { ...(next.model || {}), ref: hash };
+        delete next.model.url;
+      }, { hash, file, mime });
+    } finally {
+      setBusy(false);
+    }
+  }, [doc, busy, saveModel]);
+
+  const onDetach = useCallback(() => {
+    saveModel((next) => {
+      if (!next.model) return;
+      delete next.model.ref;
+      if (Object.keys(next.model).length === 0) delete next.model;
+    });
+  }, [saveModel]);
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setOver(false);
+    attachFile(e.dataTransfer?.files?.[0]);
+  };
+
+  if (!doc) return null;
+
+  return (
+    <Flex
+      align="center"
+      gap="2"
+      px="2"
+      py="1"
+      onDragOver={(e) => { e.preventDefault(); setOver(true); }}
+      onDragLeave={() => setOver(false)}
+      onDrop={onDrop}
+      style={{ borderTop: "1px dashed var(--gray-7)", background: over ? "var(--accent-3)" : "transparent", fontSize: 12 }}
+    >
+      <Text size="1" color="gray" style={{ flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+        {busy ? "Storing model…" : fileLabel ? `Model: ${fileLabel}` : "Drop an STL, 3MF, GLB or STEP file here to attach it as this doc's model"}
+      </Text>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={MODEL_EXTENSIONS.map((x) => `.${x}`).join(",")}
+        style={{ display: "none" }}
+        onChange={(e) => { attachFile(e.target.files?.[0]); e.target.value = ""; }}
+      />
+      <Button size="1" variant="soft" disabled={busy} onClick={() => inputRef.current?.click()}>Browse…</Button>
+      {doc.model?.ref && <Button size="1" variant="soft" color="gray" disabled={busy} onClick={onDetach}>Detach</Button>}
+    </Flex>
+  );
+}
@@ -1,13 +1,18 @@
 "use client";
 
-import React, { useState, useCallback, useEffect, useMemo } from "react";
+import React, { useState, useCallback, useEffect, useMemo, useRef } from "react";
 import { Box, Card, Flex, Heading, Button, Separator, Text } from "@radix-ui/themes";
 import ObjectTree from "@/components/designer/ObjectTree.jsx";
 import ObjectSearchBox from "@/components/designer/ObjectSearchBox.jsx";
+import TemplateSyncPanel from "@/components/designer/TemplateSyncPanel.jsx";
 import { useSelection } from "@/components/designer/SelectionProvider.jsx";
 import { store } from "@/lib/store/adapter";
-import { listDocs, safeGetDoc } from "@/lib/store/resolver";
-import { withBase } from "@/lib/basePath";
+import { listDocs, queryDocs, safeGetDoc, resolveDeep } from "@/lib/store/resolver";
+import { resetStoreFromSeed } from "@/lib/store/reconcile";
+import { emitStoreChanged, subscribeStoreChanges } from "@/lib/store/events";
+import { exportBundle, parseBundle, findBundleCollisions, importBundle } from "@/lib/store/bundle";
+import { getEffectiveSlots, getCompatibleTypes, slotAcceptsType } from "@/lib/store/type-system";
+import { getNested, setNested } from "@/lib/store/slot-path.js";
 
 export default function ObjectExplorerPanel() {
   const [query, setQuery] = useState("");
@@ -17,7 +22,7 @@ export default function ObjectExplorerPanel() {
   const [newTitle, setNewTitle] = useState("");
   const [attachParent, setAttachParent] = useState("");
   const [attachSlot, setAttachSlot] = useState("");
-  const { activeDocId, setActiveDocId, selectedId, setSelectedId } = useSelection();
+  const { activeDocId, setActiveDocId, selectedId, setSelectedId, undo, redo, canUndo, canRedo, undoLabel, redoLabel } = useSelection();
 
   const [idIdx, setIdIdx] = useState(0);
   const [typeIdx, setTypeIdx] = useState(0);
@@ -30,31 +35,35 @@ export default function ObjectExplorerPanel() {
   const handleConfirmDelete = useCallback(async () => {
     const id = selectedId;
     try {
-      // Remove inbound references from other docs
-      const headers = await listDocs("");
-      for (const h of headers) {
-        if (!h?.$id || h.$id === id) continue;
-        const d = await safeGetDoc(h.$id);
-        if (!d || typeof d !== "object") continue;
-        let changed = false;
-        for (const [k, v] of Object.entries(d)) {
-          if (k.startsWith("$")) continue;
-          if (Array.isArray(v) && v.some((x) => x === id)) {
-            d[k] = v.filter((x) => x !== id);
-            changed = true;
+      if (id?.startsWith("spoke://instances/")) {
+        // Instances take their slot children with them
+        const { deleteInstanceTree } = await import("@/lib/store/type-system");
+        await deleteInstanceTree(id);
+      } else {
+        // Remove inbound references from other docs and delete, atomically
+        await store.batch(async (tx) => {
+          for (const { $id } of await queryDocs()) {
+            if (!$id || $id === id) continue;
+            const d = await tx.get($id);
+            if (!d) continue;
+            let changed = false;
+            for (const [k, v] of Object.entries(d)) {
+              if (k.startsWith("$")) continue;
+              if (Array.isArray(v) && v.some((x) => x === id)) {
+                d[k] = v.filter((x) => x !== id);
+                changed = true;
+              }
+            }
+            if (changed) {
+              d.meta = { ...(d.meta || {}), updatedAt: new Date().toISOString() };
+              tx.put(d, { expectedVersion: d.meta.version ?? 0 });
+            }
           }
-        }
-        if (changed) {
-          const prevVersion = d?.meta?.version ?? 0;
-          d.meta = { ...(d.meta || {}), version: prevVersion + 1, updatedAt: new Date().toISOString() };
-          await store.putDoc(d);
-          try { if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent("store:docSaved", { detail: { $id: d.$id } })); } catch {}
-        }
+          tx.delete(id);
+        }, { label: `Delete ${id}` });
       }
-      await store.deleteDoc(id);
       const still = await store.getDoc(id);
       if (still) { alert("Delete failed: object still present in store"); return; }
-      try { if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent("store:docSaved", { detail: { $id: id, deleted: true } })); } catch {}
       setSelectedId((prev) => (prev === id ? null : prev));
       setActiveDocId((prev) => (prev === id ? null : prev));
       setShowDelConfirm(false);
@@ -67,49 +76,10 @@ export default function ObjectExplorerPanel() {
     if (busyReset) return;
     setBusyReset(true);
     try {
-      const headers = await listDocs("");
-      for (const h of headers) {
-        const docId = h.id || h.$id;
-        if (docId) {
-          try { await store.deleteDoc(docId); } catch {}
-        }
-      }
-      const res = await fetch(withBase("/store-seed/index.json"), { cache: "no-store" });
-      if (!res.ok) throw new Error(`Failed to fetch store-seed index: ${res.status}`);
-      const index = await res.json();
-      const seedDocs = Array.isArray(index?.docs) ? index.docs : [];
-      let loadedDocIds = [];
-      
-      for (const entry of seedDocs) {
-        if (!entry?.path) continue;
-        const r = await fetch(withBase(`/store-seed/${entry.path}`), { cache: "no-store" });
-        if (!r.ok) throw new Error(`Failed to fetch seed doc ${entry.path}: ${r.status}`);
-        const data = await r.json();
-        
-        // Handle array of docs (for batch loading)
-        const docArray = entry.array && Array.isArray(data) ? data : [data];
-        
-        for (const doc of docArray) {
-          // Normalize: use "id" field, fallback to "$id", or use entry.$id
-          const docId = doc.id || doc.$id || entry.$id;
-          if (!docId) {
-            console.warn(`[ObjectExplorer] Doc in ${entry.path} has no id field`);
-            continue;
-          }
-          
-          // Ensure both id and $id are set for backward compatibility
-          doc.id = docId;
-          doc.$id = docId;
-          
-          await store.putDoc(doc);
-          loadedDocIds.push(docId);
-          try { if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent("store:docSaved", { detail: { $id: docId } })); } catch {}
-        }
-      }
+      const loadedDocIds = await resetStoreFromSeed();
       const rootId = loadedDocIds.find((id) => id === "spoke://docs/root") || loadedDocIds[0] || null;
       setActiveDocId(rootId || null);
       setSelectedId(rootId || null);
-      try { if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent("store:docSaved", { detail: { reset: true } })); } catch {}
       setShowResetConfirm(false);
     } catch (e) {
       alert(e?.message || "Reset failed");
@@ -118,22 +88,92 @@ export default function ObjectExplorerPanel() {
     }
   }, [busyReset, setActiveDocId, setSelectedId]);
 
+  const importInputRef = useRef(null);
+  const [pendingImport, setPendingImport] = useState(null); // { bundle, collisions, count }
+  const [busyBundle, setBusyBundle] = useState(false);
+  const [syncTarget, setSyncTarget] = useState(null);
+
+  const handleExport = useCallback(async () => {
+    const id = selectedId || activeDocId;
+    if (!id || busyBundle) return;
+    setBusyBundle(true);
+    try {
+      const bundle = await exportBundle(id);
+      const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${id.split("/").pop() || "export"}.spoke.json`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (e) {
+      alert(e?.message || "Export failed");
+    } finally {
+      setBusyBundle(false);
+    }
+  }, [selectedId, activeDocId, busyBundle]);
+
+  // The selected doc with the docs it references inlined, for pasting into an AI chat or a report
+  const handleCopyExpanded = useCallback(async () => {
+    const id = selectedId || activeDocId;
+    if (!id) return;
+    try {
+      const doc = await safeGetDoc(id);
+      if (!doc) throw new Error(`${id} not found`);
+      const expanded = await resolveDeep(doc, { depth: 2 });
+      await navigator.clipboard.writeText(JSON.stringify(expanded, null, 2));
+    } catch (e) {
+      alert(e?.message || "Copy failed");
+    }
+  }, [selectedId, activeDocId]);
+
+  const runImport = useCallback(async (bundle, mode) => {
+    setBusyBundle(true);
+    try {
+      const result = await importBundle(bundle, { mode });
+      if (result.skippedBlobs.length) alert(`Skipped ${result.skippedBlobs.length} blob(s) with mismatched hashes`);
+      setActiveDocId(result.root);
+      setSelectedId(result.root);
+      setPendingImport(null);
+    } catch (e) {
+      alert(e?.message || "Import failed");
+    } finally {
+      setBusyBundle(false);
+    }
+  }, [setActiveDocId, setSelectedId]);
+
+  const handleImportFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const bundle = parseBundle(await file.text());
+      const collisions = await findBundleCollisions(bundle);
+      const count = collisions.instances.length + collisions.types.length + collisions.other.length;
+      if (count === 0) await runImport(bundle, "remap");
+      else setPendingImport({ bundle, collisions, count });
+    } catch (err) {
+      alert(err?.message || "Import failed");
+    }
+  }, [runImport]);
+
   const [docs, setDocs] = useState([]);
   const refreshDocs = useCallback(async () => {
     try { setDocs(await listDocs("")); } catch {}
   }, []);
   useEffect(() => {
     refreshDocs();
-    if (typeof window !== "undefined") {
-      const h = () => refreshDocs();
-      window.addEventListener("store:docSaved", h);
-      return () => window.removeEventListener("store:docSaved", h);
-    }
+    return subscribeStoreChanges(() => refreshDocs());
   }, [refreshDocs]);
 
   const typeOptions = useMemo(() => {
     const set = new Set();
-    for (const h of docs) if (h.$type) set.add(h.$type);
+    for (const h of docs) {
+      if (h.$type) set.add(h.$type);
+      if (h.type) set.add(h.type);
+    }
     return [...set];
   }, [docs]);
 
@@ -153,12 +193,6 @@ export default function ObjectExplorerPanel() {
     return out;
   }, [newType, newId, parentIdOptions]);
 
-  const typeSuggestions = useMemo(() => {
-    const q = newType.trim().toLowerCase();
-    const list = q ? typeOptions.filter((t) => t.toLowerCase().includes(q)) : typeOptions;
-    return list.slice(0, 6);
-  }, [newType, typeOptions]);
-
   const parentSuggestions = useMemo(() => {
     const q = attachParent.trim().toLowerCase();
     const list = q ? parentIdOptions.filter((id) => id.toLowerCase().includes(q)) : parentIdOptions;
@@ -168,9 +202,41 @@ export default function ObjectExplorerPanel() {
   const [parentDoc, setParentDoc] = useState(null);
   useEffect(() => { (async () => { if (attachParent.trim()) setParentDoc(await safeGetDoc(attachParent.trim())); else setParentDoc(null); })(); }, [attachParent]);
 
+  // Typed parents: offer their effective slots, and only types compatible with the chosen one
+  const [parentSlotDefs, setParentSlotDefs] = useState({});
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const byPath = parentDoc?.type ? (await getEffectiveSlots(parentDoc.type)).byPath : {};
+        if (!cancelled) setParentSlotDefs(byPath);
+      } catch { if (!cancelled) setParentSlotDefs({}); }
+    })();
+    return () => { cancelled = true; };
+  }, [parentDoc]);
+  const attachSlotDef = parentSlotDefs[attachSlot.trim()] || null;
+  const [compatibleTypes, setCompatibleTypes] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const list = attachSlotDef ? await getCompatibleTypes(attachSlotDef) : null;
+        if (!cancelled) setCompatibleTypes(list);
+      } catch { if (!cancelled) setCompatibleTypes(null); }
+    })();
+    return () => { cancelled = true; };
+  }, [attachSlotDef]);
+
+  const typeSuggestions = useMemo(() => {
+    const q = newType.trim().toLowerCase();
+    const options = compatibleTypes || typeOptions;
+    const list = q ? options.filter((t) => t.toLowerCase().includes(q)) : options;
+    return list.slice(0, compatibleTypes ? 12 : 6);
+  }, [newType, typeOptions, compatibleTypes]);
+
   const slotSuggestions = useMemo(() => {
     const q = attachSlot.trim().toLowerCase();
-    const keys = [];
+    const keys = Object.keys(parentSlotDefs);
     if (parentDoc && typeof parentDoc === "object") {
       for (const [k, v] of Object.entries(parentDoc)) {
         if (k.startsWith("$")) continue;
@@ -182,7 +248,7 @@ export default function ObjectExplorerPanel() {
     const list = [...set];
     const filtered = q ? list.filter((s) => s.toLowerCase().includes(q)) : list;
     return filtered.slice(0, 8);
-  }, [attachSlot, parentDoc]);
+  }, [attachSlot, parentDoc, parentSlotDefs]);
 
   const handleSelect = useCallback((item) => { if (item?.$id) setSelectedId(item.$id); }, [setSelectedId]);
   const handleOpen = useCallback((item) => { if (item?.$id) { setActiveDocId(item.$id); setSelectedId(item.$id); } }, [setActiveDocId, setSelectedId]);
@@ -192,15 +258,37 @@ export default function ObjectExplorerPanel() {
       <Flex direction="column" gap="2" style={{ flex: 1, minHeight: 0 }}>
         <Box id="actionArea" style={{ width: "100%", flexShrink: 0 }}>
           <Flex align="center" gap="1" wrap="wrap" style={{ width: "100%", rowGap: 4, alignContent: "flex-start" }}>
-            <Button size="1" variant="soft" onClick={() => {
-              try { if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent("store:docSaved", { detail: { $id: "__manual__" } })); } catch {}
-            }}>Refresh</Button>
+            <Button size="1" variant="soft" onClick={() => emitStoreChanged({ refresh: true })}>Refresh</Button>
+            <Button size="1" variant={showNew ? "solid" : "soft"} onClick={() => setShowNew((v) => !v)}>New</Button>
+            <Separator orientation="vertical" size="4" />
+            <Button size="1" variant="soft" onClick={undo} disabled={!canUndo} title={canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : "Nothing to undo"}>Undo</Button>
+            <Button size="1" variant="soft" onClick={redo} disabled={!canRedo} title={canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo"}>Redo</Button>
+            <Separator orientation="vertical" size="4" />
+            <Button size="1" variant="soft" onClick={handleExport} disabled={busyBundle || !(selectedId || activeDocId)} title="Download the selected object, its children, types and blobs as a bundle">Export</Button>
+            <Button size="1" variant="soft" onClick={handleCopyExpanded} disabled={!(selectedId || activeDocId)} title="Copy the selected object as JSON with the docs it references inlined (two levels), e.g. as AI context">Copy Expanded</Button>
+            <Button size="1" variant="soft" onClick={() => importInputRef.current?.click()} disabled={busyBundle}>Import</Button>
+            <input ref={importInputRef} type="file" accept=".json,application/json" onChange={handleImportFile} style={{ display: "none" }} />
+            <Button size="1" variant="soft" onClick={() => setSyncTarget(selectedId)} disabled={!selectedId?.startsWith("spoke://instances/")} title="Update the selected instance tree from its type's slot templates">Sync from Type</Button>
             <Separator orientation="vertical" size="4" />
             <Button size="1" color="crimson" variant="surface" onClick={() => setShowResetConfirm(true)} disabled={busyReset}>Reset</Button>
           </Flex>
-          {(showResetConfirm) && (
+          {(showResetConfirm || pendingImport) && (
             <Box style={{ width: "100%", marginTop: 6 }}>
               <Flex direction="column" gap="1">
+                {pendingImport && (
+                  <Flex direction="column" gap="1">
+                    <Text size="1">
+                      {pendingImport.count} id{pendingImport.count !== 1 ? "s" : ""} in the bundle already exist
+                      ({pendingImport.collisions.instances.length} instances, {pendingImport.collisions.types.length + pendingImport.collisions.other.length} types/docs).
+                      Remap gives colliding instances new ids and keeps local types; Overwrite replaces them.
+                    </Text>
+                    <Flex gap="1" align="center">
+                      <Button size="1" onClick={() => runImport(pendingImport.bundle, "remap")} disabled={busyBundle}>Remap</Button>
+                      <Button size="1" color="amber" onClick={() => runImport(pendingImport.bundle, "overwrite")} disabled={busyBundle}>Overwrite</Button>
+                      <Button size="1" variant="soft" onClick={() => setPendingImport(null)}>Cancel</Button>
+                    </Flex>
+                  </Flex>
+                )}
                 {showResetConfirm && (
                   <Flex gap="1" align="center">
                     <Button size="1" color="crimson" onClick={handleConfirmReset} disabled={busyReset}>{busyReset ? "Resetting…" : "Confirm Reset"}</Button>
@@ -248,7 +336,9 @@ export default function ObjectExplorerPanel() {
                 if (e.key === "ArrowDown") { e.preventDefault(); setTypeIdx((i) => (i + 1) % typeSuggestions.length); return; }
                 if (e.key === "ArrowUp") { e.preventDefault(); setTypeIdx((i) => (i - 1 + typeSuggestions.length) % typeSuggestions.length); return; }
               }}>
-                <div style={{ fontSize: 12, opacity: 0.8 }}>$type (optional)</div>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>
+                  $type {attachSlotDef ? `(compatible with ${attachSlot.trim()})` : "(optional)"}
+                </div>
                 <input
                   value={newType}
                   onChange={(e) => setNewType(e.target.value)}
@@ -338,21 +428,33 @@ export default function ObjectExplorerPanel() {
                     const doc = { $id, meta: { version: 1, createdAt: now, updatedAt: now, origin: "user" } };
                     if (newType.trim()) doc.$type = newType.trim();
                     if (newTitle.trim()) doc.name = newTitle.trim();
-                    await store.putDoc(doc);
-                    if (attachParent.trim() && attachSlot.trim()) {
-                      const parent = await safeGetDoc(attachParent.trim());
-                      if (parent) {
-                        const arr = Array.isArray(parent[attachSlot]) ? parent[attachSlot] : [];
-                        if (!arr.includes($id)) {
-                          parent[attachSlot] = [...arr, $id];
-                          const prevVersion = parent?.meta?.version ?? 0;
-                          parent.meta = { ...(parent.meta || {}), version: prevVersion + 1, updatedAt: now };
-                          await store.putDoc(parent);
-                          try { if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent("store:docSaved", { detail: { $id: parent.$id } })); } catch {}
+                    const slotPath = attachSlot.trim();
+                    if (attachSlotDef) {
+                      // Typed slot: the child must be an instance of a compatible type
+                      if (!newType.trim()) return alert(`Slot ${slotPath} needs a $type`);
+                      if (!(await slotAcceptsType(attachSlotDef, newType.trim()))) return alert(`${newType.trim()} is not compatible with slot ${slotPath}`);
+                      doc.type = newType.trim();
+                      doc.parent = attachParent.trim();
+                      doc.parentSlot = slotPath;
+                    }
+                    await store.batch(async (tx) => {
+                      tx.put(doc);
+                      if (attachParent.trim() && slotPath) {
+                        const parent = await tx.get(attachParent.trim());
+                        if (parent) {
+                          const current = getNested(parent, slotPath);
+                          const single = attachSlotDef && !attachSlotDef.array;
+                          if (single && current) throw new Error(`Slot ${slotPath} is already filled`);
+                          const arr = Array.isArray(current) ? current : [];
+                          if (!arr.includes($id)) {
+                            setNested(parent, slotPath, single ? $id : [...arr, $id]);
+                            const prevVersion = parent?.meta?.version ?? 0;
+                            parent.meta = { ...(parent.meta || {}), version: prevVersion + 1, updatedAt: now };
+                            tx.put(parent);
+                          }
                         }
                       }
-                    }
-                    try { if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent("store:docSaved", { detail: { $id } })); } catch {}
+                    }, { label: `Create ${$id}` });
                     setActiveDocId($id);
                     setShowNew(false);
                     setNewId(""); setNewType(""); setNewTitle(""); setAttachParent(""); setAttachSlot("");
@@ -364,6 +466,9 @@ export default function ObjectExplorerPanel() {
             </Flex>
           </Card>
         )}
+        {syncTarget && (
+          <TemplateSyncPanel instanceId={syncTarget} onClose={() => setSyncTarget(null)} />
+        )}
         <Box>
           <ObjectSearchBox value={query} onChange={setQuery} />
         </Box>
@@ -1,10 +1,103 @@
 "use client";
 
-import React from "react";
-import { TextField } from "@radix-ui/themes";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Button, Flex, Text, TextField } from "@radix-ui/themes";
+import { parseQuery } from "@/lib/store/query";
+
+const RECENT_KEY = "store:recentQueries";
+const SAVED_KEY = "store:savedQueries";
+const RECENT_LIMIT = 10;
+
+function readList(key) {
+  try {
+    const arr = JSON.parse(localStorage.getItem(key) || "[]");
+    return Array.isArray(arr) ? arr.filter((q) => typeof q === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeList(key, list) {
+  try { localStorage.setItem(key, JSON.stringify(list)); } catch {}
+}
+
+/**
+ * ObjectSearchBox - query input for the explorer (see lib/store/query.js for the syntax)
+ * Queries are remembered on Enter/blur; saved queries persist until forgotten.
+ */
+export default function ObjectSearchBox({ value, onChange, placeholder = "Search… e.g. type:part/* name~panel has:model" }) {
+  const [recent, setRecent] = useState([]);
+  const [saved, setSaved] = useState([]);
+
+  useEffect(() => {
+    setRecent(readList(RECENT_KEY));
+    setSaved(readList(SAVED_KEY));
+  }, []);
+
+  const errors = useMemo(() => parseQuery(value).errors, [value]);
+  const current = (value || "").trim();
+  const isSaved = saved.includes(current);
+
+  const remember = useCallback(() => {
+    if (!current || errors.length) return;
+    setRecent((prev) => {
+      const next = [current, ...prev.filter((q) => q !== current)].slice(0, RECENT_LIMIT);
+      writeList(RECENT_KEY, next);
+      return next;
+    });
+  }, [current, errors.length]);
+
+  const toggleSaved = () => {
+    if (!current) return;
+    const next = isSaved ? saved.filter((q) => q !== current) : [...saved, current];
+    setSaved(next);
+    writeList(SAVED_KEY, next);
+  };
+
+  const recentOnly = recent.filter((q) => !saved.includes(q));
 
-export default function ObjectSearchBox({ value, onChange, placeholder = "Search objects..." }) {
   return (
-    <TextField.Root size="2" variant="soft" radius="large" placeholder={placeholder} value={value} onChange={(e) => onChange?.(e.target.value)} />
+    <Flex direction="column" gap="1">
+      <TextField.Root
+        size="2"
+        variant="soft"
+        radius="large"
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => onChange?.(e.target.value)}
+        onKeyDown={(e) => { if (e.key === "Enter") remember(); if (e.key === "Escape") onChange?.(""); }}
+        onBlur={remember}
+      />
+      {errors.length > 0 && <Text size="1" color="red">{errors.join("; ")}</Text>}
+      {(current || saved.length > 0 || recentOnly.length > 0) && (
+        <Flex gap="1" align="center">
+          {(saved.length > 0 || recentOnly.length > 0) && (
+            <select
+              value=""
+              onChange={(e) => { if (e.target.value) onChange?.(e.target.value); }}
+              style={{ flex: 1, minWidth: 0, padding: 2, fontSize: 12 }}
+              aria-label="Saved and recent queries"
+            >
+              <option value="">Saved & recent queries…</option>
+              {saved.length > 0 && (
+                <optgroup label="Saved">
+                  {saved.map((q) => <option key={`s:${q}`} value={q}>{q}</option>)}
+                </optgroup>
+              )}
+              {recentOnly.length > 0 && (
+                <optgroup label="Recent">
+                  {recentOnly.map((q) => <option key={`r:${q}`} value={q}>{q}</option>)}
+                </optgroup>
+              )}
+            </select>
+          )}
+          {current && (
+            <Button size="1" variant="soft" color={isSaved ? "gray" : undefined} onClick={toggleSaved} title={isSaved ? "Remove from saved queries" : "Save this query"}>
+              {isSaved ? "Forget" : "Save"}
+            </Button>
+          )}
+        </Flex>
+      )}
+    </Flex>
   );
 }
@@ -2,8 +2,10 @@
 
 import React, { useEffect, useMemo, useState, useCallback, useRef } from "react";
 import { Box, Flex, Text, ScrollArea, Badge, Separator } from "@radix-ui/themes";
-import { listDocs, safeGetDoc } from "@/lib/store/resolver";
+import { listDocs, queryDocs, safeGetDoc } from "@/lib/store/resolver";
 import { useSelection } from "@/components/designer/SelectionProvider.jsx";
+import { subscribeStoreChanges } from "@/lib/store/events";
+import { runQuery } from "@/lib/store/query";
 
 export default function ObjectTree({ query = "", onSelect, onOpen }) {
   const [items, setItems] = useState([]);
@@ -15,7 +17,7 @@ export default function ObjectTree({ query = "", onSelect, onOpen }) {
   const STORAGE_KEY = "store:treeExpanded";
   const [cursorRefId, setCursorRefId] = useState(null); // transient highlight from editor cursor
   const [parentsByChild, setParentsByChild] = useState({}); // { childId: Set(parentIds) } serialized as arrays
-  const [inferredAncestorIds, setInferredAncestorIds] = useState(() => new Set());
+  const [matchIds, setMatchIds] = useState(null); // Set of ids matching the query, null without one
   const ancestorsCacheRef = useRef(new Map()); // childId -> Set(ancestors)
   const [hasInternalById, setHasInternalById] = useState({}); // id -> boolean
   const [hasChildrenById, setHasChildrenById] = useState({}); // id -> boolean (includes type-defined slots)
@@ -34,10 +36,16 @@ export default function ObjectTree({ query = "", onSelect, onOpen }) {
           typeSystem = await import('@/lib/store/type-system');
           slotPath = await import('@/lib/store/slot-path.js');
         } catch {}
+        // Single indexed read of all docs instead of a getDoc per header
+        let docsById = new Map();
+        try {
+          const all = await queryDocs();
+          docsById = new Map(all.map((d) => [d.$id || d.id, d]));
+        } catch {}
         for (const h of items || []) {
           if (!h?.$id) continue;
           try {
-            const doc = await safeGetDoc(h.$id);
+            const doc = docsById.get(h.$id);
             if (!doc || typeof doc !== 'object') continue;
             for (const [k, v] of Object.entries(doc)) {
               if (k.startsWith('$')) continue;
@@ -143,13 +151,35 @@ export default function ObjectTree({ query = "", onSelect, onOpen }) {
     }, 250);
   }, [refresh]);
 
+  // Copy an instance subtree next to the original (same array slot), or as a new root
+  const handleDuplicate = useCallback(async (id) => {
+    try {
+      const doc = await safeGetDoc(id);
+      if (!doc) return;
+      const { cloneInstanceTree } = await import('@/lib/store/type-system');
+      const parent = doc.parent ? await safeGetDoc(doc.parent) : null;
+      let inArraySlot = false;
+      if (parent && doc.parentSlot) {
+        const { getNested } = await import('@/lib/store/slot-path.js');
+        inArraySlot = Array.isArray(getNested(parent, doc.parentSlot));
+      }
+      const { instance } = await cloneInstanceTree(id, {
+        newParent: inArraySlot ? doc.parent : null,
+        newSlot: inArraySlot ? doc.parentSlot : null,
+        name: `${doc.name || id.split('/').pop()} (copy)`,
+      });
+      onSelect?.({ $id: instance.id, name: instance.name, $type: instance.type });
+    } catch (e) {
+      alert(e?.message || 'Duplicate failed');
+    }
+  }, [onSelect]);
+
   useEffect(() => {
     let cancelled = false;
     (async () => { if (!cancelled) await refresh(); })();
-    const onSaved = (e) => {
+    const onChanged = (detail) => {
       if (cancelled) return;
       try {
-        const detail = e?.detail || {};
         setSlotsById({});
         try {
           const ids = Array.from(expandedIds || []);
@@ -157,23 +187,17 @@ export default function ObjectTree({ query = "", onSelect, onOpen }) {
             setTimeout(() => { try { loadSlotsFor(id); } catch {} }, 0);
           });
         } catch {}
-        if (detail?.deleted && detail?.$id) {
-          setExpandedIds((prev) => { const next = new Set(prev); next.delete(detail.$id); return next; });
+        const deleted = detail?.deleted || [];
+        if (deleted.length) {
+          setExpandedIds((prev) => { const next = new Set(prev); deleted.forEach((id) => next.delete(id)); return next; });
         }
       } catch {}
       scheduleRefresh();
     };
-    const onReconciled = () => { if (!cancelled) scheduleRefresh(); };
-    if (typeof window !== "undefined") {
-      window.addEventListener("store:docSaved", onSaved);
-      window.addEventListener("store:reconciled", onReconciled);
-    }
+    const unsubscribe = subscribeStoreChanges(onChanged);
     return () => {
       cancelled = true;
-      if (typeof window !== "undefined") {
-        window.removeEventListener("store:docSaved", onSaved);
-        window.removeEventListener("store:reconciled", onReconciled);
-      }
+      unsubscribe();
     };
   }, [refresh, scheduleRefresh]);
 
@@ -181,18 +205,32 @@ export default function ObjectTree({ query = "", onSelect, onOpen }) {
     try { const arr = Array.from(expandedIds); localStorage.setItem(STORAGE_KEY, JSON.stringify(arr)); } catch {}
   }, [expandedIds]);
 
-  const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    if (!q) return items;
-    return items.filter((it) =>
-      (it.name || "").toLowerCase().includes(q) ||
-      (it.$id || "").toLowerCase().includes(q) ||
-      (it.$type || "").toLowerCase().includes(q)
-    );
-  }, [items, query]);
-
   const hasQuery = query.trim().length > 0;
 
+  // Run the structured query (lib/store/query.js) against the store, debounced
+  useEffect(() => {
+    if (!hasQuery) { setMatchIds(null); return; }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { docs } = await runQuery(query);
+        if (!cancelled) setMatchIds(new Set(docs.map((d) => d.$id || d.id)));
+      } catch (err) {
+        console.warn('[ObjectTree] query failed:', err);
+        if (!cancelled) setMatchIds(new Set());
+      }
+    }, 200);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [query, hasQuery, items]);
+
+  // With a query, the tree shows the matches and the docs that contain them
+  const visibleItems = useMemo(() => {
+    if (!matchIds) return items;
+    const keep = new Set(matchIds);
+    matchIds.forEach((id) => getAncestors(id).forEach((a) => keep.add(a)));
+    return items.filter((it) => keep.has(it.$id));
+  }, [items, matchIds, getAncestors]);
+
   const byId = useMemo(() => Object.fromEntries(items.map((d) => [d.$id, d])), [items]);
 
   // --- Hierarchical explorer construction ---
@@ -237,7 +275,7 @@ export default function ObjectTree({ query = "", onSelect, onOpen }) {
       return node;
     };
 
-    for (const it of items) {
+    for (const it of visibleItems) {
       const id = it?.$id || "";
       if (!id) continue;
       const isTypeDoc = id.startsWith("spoke://types/");
@@ -279,7 +317,20 @@ export default function ObjectTree({ query = "", onSelect, onOpen }) {
     sortChildren(rootInstances, 0);
     sortChildren(rootTypes, 0);
     return [rootInstances, rootTypes];
-  }, [items, parseTypePath]);
+  }, [visibleItems, parseTypePath]);
+
+  // Group node ids above each doc leaf, for auto-expanding query matches
+  const groupPathByDocId = useMemo(() => {
+    const out = {};
+    const walk = (node, path) => {
+      for (const child of node.children.values()) {
+        if (child.kind === "group") walk(child, [...path, child.id]);
+        else out[child.id] = path;
+      }
+    };
+    for (const root of treeRoots) walk(root, [root.id]);
+    return out;
+  }, [treeRoots]);
 
   const loadSlotsFor = useCallback(async (id) => {
     setLoadingExpand((s) => ({ ...s, [id]: true }));
@@ -350,6 +401,28 @@ export default function ObjectTree({ query = "", onSelect, onOpen }) {
     });
   }, [loadSlotsFor]);
 
+  // Expand the path to every match: its groups and the docs whose slots contain it
+  const autoExpandedForRef = useRef(null);
+  useEffect(() => {
+    // Re-run once the parent index catches up with the matches
+    const last = autoExpandedForRef.current;
+    if (!matchIds || (last && last.matchIds === matchIds && last.getAncestors === getAncestors)) return;
+    autoExpandedForRef.current = { matchIds, getAncestors };
+    const groupIds = new Set();
+    const docIds = new Set();
+    matchIds.forEach((id) => {
+      const ancestors = getAncestors(id);
+      ancestors.forEach((a) => docIds.add(a));
+      [id, ...ancestors].forEach((d) => (groupPathByDocId[d] || []).forEach((g) => groupIds.add(g)));
+    });
+    setExpandedIds((prev) => {
+      const added = [...groupIds, ...docIds].filter((id) => !prev.has(id));
+      if (added.length === 0) return prev;
+      added.forEach((id) => { if (docIds.has(id)) loadSlotsFor(id); });
+      return new Set([...prev, ...added]);
+    });
+  }, [matchIds, getAncestors, groupPathByDocId, loadSlotsFor]);
+
   useEffect(() => {
     if (!expandedIds || expandedIds.size === 0) return;
     expandedIds.forEach((id) => {
@@ -367,9 +440,6 @@ export default function ObjectTree({ query = "", onSelect, onOpen }) {
         if (!byId[parentId]) return;
         setCursorRefId(refId);
         try { setSelectedId((prev) => (prev == null ? prev : null)); } catch {}
-        const ancestors = getAncestors(refId);
-        if (parentId && !ancestors.has(parentId)) ancestors.add(parentId);
-        setInferredAncestorIds(ancestors);
         setExpandedIds((prev) => { if (prev && prev.has(parentId)) return prev; const next = new Set(prev || []); next.add(parentId); return next; });
         if (!slotsById[parentId]) loadSlotsFor(parentId);
         setTimeout(() => {
@@ -384,6 +454,38 @@ export default function ObjectTree({ query = "", onSelect, onOpen }) {
     return () => window.removeEventListener("store:cursorRefId", handler);
   }, [byId, loadSlotsFor, slotsById]);
 
+  // Reveal a selection made elsewhere (e.g. picked in the 3D viewer): expand down to it, then scroll to it
+  const rootRef = useRef(null);
+  useEffect(() => {
+    if (!selectedId || !byId[selectedId]) return;
+    const find = () => rootRef.current?.querySelector(`[data-doc-id="${selectedId}"]`);
+    const shown = find();
+    if (shown) {
+      shown.scrollIntoView({ block: "nearest", inline: "nearest" });
+      return;
+    }
+    // Under its top-level assembly's slots when it has one, else under its own type group
+    const ancestors = getAncestors(selectedId);
+    const roots = [...ancestors].filter((a) => !(parentsByChild[a] || []).length);
+    const groupIds = new Set();
+    (roots.length ? roots : [selectedId]).forEach((d) => (groupPathByDocId[d] || []).forEach((g) => groupIds.add(g)));
+    setExpandedIds((prev) => {
+      const added = [...groupIds, ...ancestors].filter((id) => !prev.has(id));
+      if (added.length === 0) return prev;
+      added.forEach((id) => { if (ancestors.has(id)) loadSlotsFor(id); });
+      return new Set([...prev, ...added]);
+    });
+    // Slots load asynchronously; wait for the node to render
+    let tries = 0;
+    const timer = setInterval(() => {
+      const el = find();
+      if (!el && ++tries < 20) return;
+      clearInterval(timer);
+      el?.scrollIntoView({ block: "nearest", inline: "nearest" });
+    }, 100);
+    return () => clearInterval(timer);
+  }, [selectedId]);
+
   const didHydrateRef = useRef(false);
   useEffect(() => {
     if (didHydrateRef.current) return;
@@ -405,83 +507,57 @@ export default function ObjectTree({ query = "", onSelect, onOpen }) {
   }, [items, loadSlotsFor, slotsById]);
 
   return (
-    <Box style={{ height: "100%", display: "flex", flexDirection: "column", minHeight: 0 }}>
+    <Box ref={rootRef} style={{ height: "100%", display: "flex", flexDirection: "column", minHeight: 0 }}>
       <ScrollArea type="auto" scrollbars="vertical" style={{ height: "100%" }}>
         {loading && <Text size="2" color="gray">Refreshing…</Text>}
-        {!hasQuery ? (
-          <Flex direction="column" gap="1">
-            {treeRoots.map((root) => {
-              const isExpanded = expandedIds.has(root.id);
-              return (
-                <React.Fragment key={root.id}>
-                  <Flex
-                    align="center"
-                    onClick={() => setExpandedIds((prev) => { const next = new Set(prev); if (next.has(root.id)) next.delete(root.id); else next.add(root.id); return next; })}
-                    style={{ cursor: 'pointer', padding: '3px 8px', borderRadius: 6, background: 'var(--color-panel-solid)' }}
-                  >
-                    <Text size="2" style={{ width: 14, textAlign: 'center', userSelect: 'none' }}>{isExpanded ? '▾' : '▸'}</Text>
-                    <Text size="2" weight="medium">{root.label}</Text>
-                  </Flex>
-                  {isExpanded && (
-                    <Flex direction="column" gap="1" style={{ marginLeft: 14 }}>
-                      {Array.from(root.children.values()).map((child) => (
-                        <TreeNode
-                          key={child.id}
-                          node={child}
-                          isTypesBranch={root.id === 'ROOT:types'}
-                          expandedIds={expandedIds}
-                          setExpandedIds={setExpandedIds}
-                          slotsById={slotsById}
-                          loadingExpand={loadingExpand}
-                          loadSlotsFor={loadSlotsFor}
-                          selectedId={selectedId}
-                          cursorRefId={cursorRefId}
-                          getAncestors={getAncestors}
-                        hasChildrenById={hasChildrenById}
-                          onSelect={onSelect}
-                          onOpen={onOpen}
-                        />
-                      ))}
-                    </Flex>
-                  )}
-                </React.Fragment>
-              );
-            })}
-          </Flex>
-        ) : (
-          <Flex direction="column" gap="1">
-            {filtered.map((it) => (
-              <React.Fragment key={it.$id}>
+        {hasQuery && matchIds && matchIds.size === 0 && <Text size="2" color="gray">No matches</Text>}
+        <Flex direction="column" gap="1">
+          {treeRoots.map((root) => {
+            const isExpanded = expandedIds.has(root.id);
+            return (
+              <React.Fragment key={root.id}>
                 <Flex
                   align="center"
-                  justify="between"
-                  onClick={() => { setCursorRefId(null); setInferredAncestorIds(new Set()); onSelect?.(it); }}
-                  onDoubleClick={() => { setCursorRefId(null); setInferredAncestorIds(new Set()); onOpen?.(it); }}
-                  title="Double-click to open; single-click to select"
-                  style={{
-                    cursor: "pointer",
-                    padding: "3px 8px",
-                    borderRadius: 6,
-                    background: selectedId === it.$id ? "var(--indigo-4)"
-                      : (inferredAncestorIds && inferredAncestorIds.has(it.$id)) ? "var(--indigo-3)"
-                      : cursorRefId === it.$id ? "var(--indigo-2)" : "var(--color-panel-solid)",
-                  }}
+                  onClick={() => setExpandedIds((prev) => { const next = new Set(prev); if (next.has(root.id)) next.delete(root.id); else next.add(root.id); return next; })}
+                  style={{ cursor: 'pointer', padding: '3px 8px', borderRadius: 6, background: 'var(--color-panel-solid)' }}
                 >
-                  <Flex align="center" gap="2">
-                    <Text size="2">{it.name || it.$id}</Text>
-                  </Flex>
-                  {it.$type && <Badge variant="soft" color="indigo">{it.$type.split("/")?.pop()}</Badge>}
+                  <Text size="2" style={{ width: 14, textAlign: 'center', userSelect: 'none' }}>{isExpanded ? '▾' : '▸'}</Text>
+                  <Text size="2" weight="medium">{root.label}</Text>
                 </Flex>
+                {isExpanded && (
+                  <Flex direction="column" gap="1" style={{ marginLeft: 14 }}>
+                    {Array.from(root.children.values()).map((child) => (
+                      <TreeNode
+                        key={child.id}
+                        node={child}
+                        isTypesBranch={root.id === 'ROOT:types'}
+                        expandedIds={expandedIds}
+                        setExpandedIds={setExpandedIds}
+                        slotsById={slotsById}
+                        loadingExpand={loadingExpand}
+                        loadSlotsFor={loadSlotsFor}
+                        selectedId={selectedId}
+                        cursorRefId={cursorRefId}
+                        getAncestors={getAncestors}
+                        hasChildrenById={hasChildrenById}
+                        matchIds={matchIds}
+                        onSelect={onSelect}
+                        onOpen={onOpen}
+                        onDuplicate={handleDuplicate}
+                      />
+                    ))}
+                  </Flex>
+                )}
               </React.Fragment>
-            ))}
-          </Flex>
-        )}
+            );
+          })}
+        </Flex>
       </ScrollArea>
     </Box>
   );
 }
 
-function TreeNode({ node, isTypesBranch = false, expandedIds, setExpandedIds, slotsById, loadingExpand, loadSlotsFor, selectedId, cursorRefId, getAncestors, hasChildrenById = {}, onSelect, onOpen }) {
+function TreeNode({ node, isTypesBranch = false, expandedIds, setExpandedIds, slotsById, loadingExpand, loadSlotsFor, selectedId, cursorRefId, getAncestors, hasChildrenById = {}, matchIds = null, onSelect, onOpen, onDuplicate }) {
   if (node.kind === 'group') {
     const isExpanded = expandedIds.has(node.id);
     // order children: groups then docs, preserving pre-sorted map order
@@ -515,8 +591,10 @@ function TreeNode({ node, isTypesBranch = false, expandedIds, setExpandedIds, sl
                 cursorRefId={cursorRefId}
                 getAncestors={getAncestors}
                 hasChildrenById={hasChildrenById}
+                matchIds={matchIds}
                 onSelect={onSelect}
                 onOpen={onOpen}
+                onDuplicate={onDuplicate}
               />
             ))}
           </Flex>
@@ -529,6 +607,7 @@ function TreeNode({ node, isTypesBranch = false, expandedIds, setExpandedIds, sl
   const isExpanded = expandedIds.has(it.$id);
   const slots = slotsById[it.$id];
   const selected = selectedId === it.$id;
+  const matched = !!matchIds?.has(it.$id);
   const hasChildren = !!hasChildrenById[it.$id];
   return (
     <React.Fragment>
@@ -538,7 +617,8 @@ function TreeNode({ node, isTypesBranch = false, expandedIds, setExpandedIds, sl
         onClick={() => { onSelect?.(it); }}
         onDoubleClick={() => { onOpen?.(it); }}
         aria-selected={selected}
-        style={{ cursor: 'pointer', padding: '3px 8px', borderRadius: 6, background: selected ? 'var(--indigo-4)' : 'var(--color-panel-solid)' }}
+        data-doc-id={it.$id}
+        style={{ cursor: 'pointer', padding: '3px 8px', borderRadius: 6, background: selected ? 'var(--indigo-4)' : matched ? 'var(--amber-3)' : 'var(--color-panel-solid)' }}
       >
         <Flex align="center" gap="2">
           <span style={{ width: 14, display: 'inline-block', textAlign: 'center' }}>
@@ -560,7 +640,10 @@ function TreeNode({ node, isTypesBranch = false, expandedIds, setExpandedIds, sl
             <Text size="2">{node.label}</Text>
           )}
         </Flex>
-        {!isTypesBranch && it.$type && <Badge variant="soft" color="indigo">{(it.$type || '').split('/').pop()}</Badge>}
+        <Flex align="center" gap="1">
+          {selected && <DuplicateButton id={it.$id} onDuplicate={onDuplicate} />}
+          {!isTypesBranch && it.$type && <Badge variant="soft" color="indigo">{(it.$type || '').split('/').pop()}</Badge>}
+        </Flex>
       </Flex>
       {isExpanded && (
         <>
@@ -589,12 +672,16 @@ function TreeNode({ node, isTypesBranch = false, expandedIds, setExpandedIds, sl
                       onDoubleClick={() => { onOpen?.(child); }}
                       aria-selected={selectedId === child.$id}
                       data-node-id={`${it.$id}-${child.$id}`}
-                      style={{ cursor: 'pointer', padding: '3px 8px', borderRadius: 6, background: selectedId === child.$id ? 'var(--indigo-4)' : 'var(--color-panel-solid)' }}
+                      data-doc-id={child.$id}
+                      style={{ cursor: 'pointer', padding: '3px 8px', borderRadius: 6, background: selectedId === child.$id ? 'var(--indigo-4)' : matchIds?.has(child.$id) ? 'var(--amber-3)' : 'var(--color-panel-solid)' }}
                     >
                       <Flex align="center" gap="2">
                         <Text size="2">{child.name || child.$id}</Text>
                       </Flex>
-                      {child.$type && <Badge variant="soft" color="indigo">{(child.$type || '').split('/').pop()}</Badge>}
+                      <Flex align="center" gap="1">
+                        {selectedId === child.$id && <DuplicateButton id={child.$id} onDuplicate={onDuplicate} />}
+                        {child.$type && <Badge variant="soft" color="indigo">{(child.$type || '').split('/').pop()}</Badge>}
+                      </Flex>
                     </Flex>
                   </React.Fragment>
                 ))}
@@ -606,3 +693,20 @@ function TreeNode({ node, isTypesBranch = false, expandedIds, setExpandedIds, sl
     </React.Fragment>
   );
 }
+
+function DuplicateButton({ id, onDuplicate }) {
+  if (!onDuplicate || !id?.startsWith('spoke://instances/')) return null;
+  return (
+    <Text
+      size="1"
+      color="indigo"
+      role="button"
+      title="Duplicate this instance and its children"
+      onClick={(e) => { e.stopPropagation(); onDuplicate(id); }}
+      onDoubleClick={(e) => e.stopPropagation()}
+      style={{ cursor: 'pointer', userSelect: 'none', padding: '0 4px' }}
+    >
+      Duplicate
+    </Text>
+  );
+}
@@ -0,0 +1,162 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+import { Box, Flex, ScrollArea, Text } from "@radix-ui/themes";
+import { useSelection } from "@/components/designer/SelectionProvider.jsx";
+import { store, StoreConflictError } from "@/lib/store/adapter";
+import { safeGetDoc } from "@/lib/store/resolver";
+import { subscribeStoreChanges, touches } from "@/lib/store/events";
+import { getEffectiveProperties, validatePropertyValue } from "@/lib/store/type-system";
+import { getNested, setNested } from "@/lib/store/slot-path.js";
+import { trackTemplateOverrides } from "@/lib/store/template-sync";
+
+const inputStyle = { width: "100%", padding: 4, fontSize: 12 };
+
+function toText(value) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// Parse input text per the property's declared type; undefined clears the field
+function fromText(def, text) {
+  if (text.trim() === "") return undefined;
+  if (def.type === "number" || def.type === "integer") {
+    const n = Number(text);
+    return Number.isNaN(n) ? text : n;
+  }
+  if (def.type === "object" || def.type === "array") {
+    try { return JSON.parse(text); } catch { return text; }
+  }
+  return text;
+}
+
+function PropertyField({ name, def, value, onCommit }) {
+  const [draft, setDraft] = useState(toText(value));
+  useEffect(() => { setDraft(toText(value)); }, [value]);
+
+  const commit = () => {
+    if (draft === toText(value)) return;
+    onCommit(name, fromText(def, draft));
+  };
+  const error = validatePropertyValue(def, value);
+
+  let control;
+  if (def.type === "boolean") {
+    control = (
+      <input type="checkbox" checked={value === true} onChange={(e) => onCommit(name, e.target.checked)} />
+    );
+  } else if (Array.isArray(def.enum)) {
+    control = (
+      <select value={toText(value)} onChange={(e) => onCommit(name, e.target.value === "" ? undefined : def.enum.find((v) => String(v) === e.target.value))} style={inputStyle}>
+        <option value="">{def.default !== undefined ? `(default: ${toText(def.default)})` : "(unset)"}</option>
+        {def.enum.map((v) => <option key={String(v)} value={String(v)}>{String(v)}</option>)}
+      </select>
+    );
+  } else {
+    const numeric = def.type === "number" || def.type === "integer";
+    control = (
+      <input
+        type={numeric ? "number" : "text"}
+        value={draft}
+        min={numeric ? def.min : undefined}
+        max={numeric ? def.max : undefined}
+        step={def.type === "integer" ? 1 : "any"}
+        placeholder={def.default !== undefined ? toText(def.default) : ""}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => { if (e.key === "Enter") commit(); if (e.key === "Escape") setDraft(toText(value)); }}
+        style={inputStyle}
+      />
+    );
+  }
+
+  return (
+    <label title={def.description || ""} style={{ display: "block" }}>
+      <Flex align="center" justify="between" style={{ fontSize: 12, opacity: 0.8 }}>
+        <span>{def.title || name}</span>
+        {def.unit && <span>{def.unit}</span>}
+      </Flex>
+      {control}
+      {def.description && <div style={{ fontSize: 11, opacity: 0.6 }}>{def.description}</div>}
+      {error && <div style={{ fontSize: 11, color: "var(--red-11)" }}>{error}</div>}
+    </label>
+  );
+}
+
+/**
+ * PropertyPanel - form generated from the active doc's effective `properties` definitions
+ * Renders nothing (or a hint, when standalone) if the doc's type declares no properties.
+ */
+export default function PropertyPanel({ standalone = false }) {
+  const { activeDocId } = useSelection();
+  const [doc, setDoc] = useState(null);
+  const [properties, setProperties] = useState({});
+
+  const load = useCallback(async () => {
+    const next = activeDocId ? await safeGetDoc(activeDocId) : null;
+    setDoc(next);
+    try { setProperties(next?.type ? await getEffectiveProperties(next.type) : {}); } catch { setProperties({}); }
+  }, [activeDocId]);
+
+  useEffect(() => {
+    load();
+    return subscribeStoreChanges((detail) => {
+      // Type edits change the form too
+      if (touches(detail, activeDocId) || (doc?.type && touches(detail, doc.type))) load();
+    });
+  }, [activeDocId, doc?.type, load]);
+
+  const onCommit = useCallback(async (name, value) => {
+    if (!doc) return;
+    // Based on the version the form showed; a newer one (another tab) is a conflict
+    const save = async (expectedVersion) => {
+      const current = (await safeGetDoc(doc.id)) || doc;
+      const next = structuredClone(current);
+      if (value === undefined) {
+        const parts = name.split(".");
+        const owner = parts.length > 1 ? getNested(next, parts.slice(0, -1).join(".")) : next;
+        if (owner && typeof owner === "object") delete owner[parts[parts.length - 1]];
+      } else {
+        setNested(next, name, value);
+      }
+      next.meta = { ...(next.meta || {}), version: (next.meta?.version ?? 0) + 1, updatedAt: new Date().toISOString(), origin: next.meta?.origin || "user" };
+      await store.putDoc(await trackTemplateOverrides(current, next), { label: `Edit ${next.name || next.id}: ${name}`, expectedVersion });
+    };
+    try {
+      await save(doc.meta?.version ?? 0);
+    } catch (e) {
+      if (!(e instanceof StoreConflictError)) {
+        console.warn("[PropertyPanel] save failed", e);
+        return;
+      }
+      const label = doc.name || doc.id;
+      if (!window.confirm(`${label} was changed elsewhere (now version ${e.actualVersion}) since this form loaded.\n\nApply your change to "${name}" on top of the latest version?`)) {
+        load();
+        return;
+      }
+      try { await save(e.actualVersion); } catch (err) { alert(`Save failed: ${err?.message || err}`); load(); }
+    }
+  }, [doc, load]);
+
+  const names = Object.keys(properties);
+  if (!names.length) {
+    if (!standalone) return null;
+    return <Text size="1" color="gray" style={{ padding: 8 }}>{doc ? "This type declares no properties." : "Open a document to edit its properties."}</Text>;
+  }
+
+  return (
+    <Box style={{ width: standalone ? "100%" : 260, flexShrink: 0, borderLeft: standalone ? "none" : "1px solid var(--gray-6)", display: "flex", flexDirection: "column", minHeight: 0 }}>
+      <Flex align="center" px="2" py="1" style={{ borderBottom: "1px solid var(--gray-6)", background: "var(--gray-2)" }}>
+        <Text size="2" weight="medium">Properties</Text>
+      </Flex>
+      <ScrollArea type="auto" scrollbars="vertical" style={{ flex: 1, minHeight: 0 }}>
+        <Flex direction="column" gap="2" p="2">
+          {names.map((name) => (
+            <PropertyField key={`${doc?.id}:${name}`} name={name} def={properties[name]} value={getNested(doc, name)} onCommit={onCommit} />
+          ))}
+        </Flex>
+      </ScrollArea>
+    </Box>
+  );
+}
@@ -2,9 +2,7 @@
 
 import { useState, useCallback } from "react";
 import { Button, AlertDialog, Flex } from "@radix-ui/themes";
-import { listDocs } from "@/lib/store/resolver";
-import { store } from "@/lib/store/adapter";
-import { withBase } from "@/lib/basePath";
+import { resetStoreFromSeed } from "@/lib/store/reconcile";
 
 export default function ResetStoreButton({ size = "2", variant = "soft", color = "crimson" }) {
   const [busy, setBusy] = useState(false);
@@ -16,51 +14,8 @@ export default function ResetStoreButton({ size = "2", variant = "soft", color =
     setBusy(true);
     setError(null);
     try {
-      // Delete all docs
-      const headers = await listDocs("");
-      for (const h of headers) {
-        const docId = h.id || h.$id;
-        if (docId) {
-          try { await store.deleteDoc(docId); } catch {}
-        }
-      }
-      
-      // Load seed index
-      const res = await fetch(withBase("/store-seed/index.json"), { cache: "no-store" });
-      if (!res.ok) throw new Error(`Failed to fetch store-seed index: ${res.status}`);
-      const index = await res.json();
-      const seedDocs = Array.isArray(index?.docs) ? index.docs : [];
-      
-      // Put each seed doc (handling arrays)
-      for (const entry of seedDocs) {
-        if (!entry?.path) continue;
-        const r = await fetch(withBase(`/store-seed/${entry.path}`), { cache: "no-store" });
-        if (!r.ok) throw new Error(`Failed to fetch seed doc ${entry.path}: ${r.status}`);
-        const data = await r.json();
-        
-        // Handle array of docs (for batch loading)
-        const docArray = entry.array && Array.isArray(data) ? data : [data];
-        
-        for (const doc of docArray) {
-          // Normalize: use "id" field, fallback to "$id", or use entry.$id
-          const docId = doc.id || doc.$id || entry.$id;
-          if (!docId) {
-            console.warn(`[ResetStore] Doc in ${entry.path} has no id field`);
-            continue;
-          }
-          
-          // Ensure both id and $id are set for backward compatibility
-          doc.id = docId;
-          doc.$id = docId;
-          
-          await store.putDoc(doc);
-        }
-      }
-      
-      // Trigger refresh event
-      if (typeof window !== "undefined") {
-        window.dispatchEvent(new CustomEvent("store:docSaved", { detail: { reset: true } }));
-      }
+      // Delete all docs and reload the seed in one atomic batch
+      await resetStoreFromSeed();
       
       // Reload page to show updated data
       window.location.reload();
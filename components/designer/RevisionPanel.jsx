@@ -0,0 +1,174 @@
+"use client";
+
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Badge, Box, Button, Flex, ScrollArea, Text } from "@radix-ui/themes";
+import { useSelection } from "@/components/designer/SelectionProvider.jsx";
+import { store } from "@/lib/store/adapter";
+import { safeGetDoc } from "@/lib/store/resolver";
+import { subscribeStoreChanges, touches } from "@/lib/store/events";
+import { diffJson } from "@/lib/store/diff";
+
+const CURRENT = "current";
+const STORAGE_KEY = "store:revisionsOpen";
+
+const opColor = { add: "green", remove: "red", change: "amber" };
+
+function formatValue(v) {
+  if (v === undefined) return "";
+  try {
+    const text = JSON.stringify(v);
+    return text.length > 120 ? `${text.slice(0, 117)}…` : text;
+  } catch {
+    return String(v);
+  }
+}
+
+/**
+ * RevisionPanel - previous versions of the active doc with a structural diff and restore
+ * Sits next to JsonEditor; collapses to a narrow strip unless collapsible is false.
+ */
+export default function RevisionPanel({ collapsible = true }) {
+  const { activeDocId } = useSelection();
+  const [expanded, setExpanded] = useState(false);
+  const open = expanded || !collapsible;
+  const [current, setCurrent] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [left, setLeft] = useState(null);
+  const [right, setRight] = useState(CURRENT);
+  const [ignoreMeta, setIgnoreMeta] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    try { setExpanded(localStorage.getItem(STORAGE_KEY) === "1"); } catch {}
+  }, []);
+  const toggle = useCallback((next) => {
+    setExpanded(next);
+    try { localStorage.setItem(STORAGE_KEY, next ? "1" : "0"); } catch {}
+  }, []);
+
+  const load = useCallback(async () => {
+    if (!activeDocId) { setCurrent(null); setRevisions([]); return; }
+    try {
+      const [doc, revs] = await Promise.all([safeGetDoc(activeDocId), store.listRevisions(activeDocId)]);
+      setCurrent(doc);
+      setRevisions(revs);
+      setError("");
+    } catch (e) {
+      setError(e?.message || String(e));
+    }
+  }, [activeDocId]);
+
+  useEffect(() => {
+    if (!open) return;
+    setLeft(null);
+    setRight(CURRENT);
+    load();
+  }, [open, load]);
+
+  useEffect(() => {
+    if (!open) return;
+    return subscribeStoreChanges((detail) => { if (touches(detail, activeDocId)) load(); });
+  }, [open, activeDocId, load]);
+
+  // Default comparison: newest stored revision vs current
+  const leftKey = left ?? (revisions[0] ? String(revisions[0].rev) : CURRENT);
+
+  const docFor = useCallback((key) => {
+    if (key === CURRENT) return current;
+    return revisions.find((r) => String(r.rev) === String(key))?.doc ?? null;
+  }, [current, revisions]);
+
+  const changes = useMemo(
+    () => diffJson(docFor(leftKey), docFor(right), { ignore: ignoreMeta ? ["meta"] : [] }),
+    [docFor, leftKey, right, ignoreMeta]
+  );
+
+  const onRestore = useCallback(async () => {
+    if (!activeDocId || leftKey === CURRENT || busy) return;
+    setBusy(true);
+    try {
+      await store.restoreRevision(activeDocId, Number(leftKey));
+      setLeft(null);
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }, [activeDocId, leftKey, busy]);
+
+  if (!open) {
+    return (
+      <Box style={{ width: 28, flexShrink: 0, borderLeft: "1px solid var(--gray-6)", display: "flex", justifyContent: "center", paddingTop: 8 }}>
+        <Button size="1" variant="ghost" onClick={() => toggle(true)} title="Show revisions" style={{ writingMode: "vertical-rl" }}>
+          Revisions
+        </Button>
+      </Box>
+    );
+  }
+
+  const options = [
+    { key: CURRENT, label: "Current" },
+    ...revisions.map((r) => ({ key: String(r.rev), label: `#${r.rev}${r.version != null ? ` v${r.version}` : ""} · ${new Date(r.at).toLocaleString()}` })),
+  ];
+  const selectStyle = { width: "100%", padding: 4, fontSize: 12 };
+
+  return (
+    <Box style={{ width: collapsible ? 320 : "100%", flexShrink: 0, borderLeft: "1px solid var(--gray-6)", display: "flex", flexDirection: "column", minHeight: 0 }}>
+      <Flex align="center" justify="between" px="2" py="1" style={{ borderBottom: "1px solid var(--gray-6)", background: "var(--gray-2)" }}>
+        <Text size="2" weight="medium">Revisions</Text>
+        {collapsible && <Button size="1" variant="ghost" onClick={() => toggle(false)} title="Hide revisions">×</Button>}
+      </Flex>
+      {!activeDocId ? (
+        <Text size="1" color="gray" style={{ padding: 8 }}>Open a document to see its revisions.</Text>
+      ) : (
+        <Flex direction="column" gap="2" p="2" style={{ flex: 1, minHeight: 0 }}>
+          <Text size="1" color="gray">{revisions.length} stored revision{revisions.length !== 1 ? "s" : ""}</Text>
+          <label>
+            <div style={{ fontSize: 12, opacity: 0.8 }}>From</div>
+            <select value={leftKey} onChange={(e) => setLeft(e.target.value)} style={selectStyle}>
+              {options.map((o) => <option key={o.key} value={o.key}>{o.label}</option>)}
+            </select>
+          </label>
+          <label>
+            <div style={{ fontSize: 12, opacity: 0.8 }}>To</div>
+            <select value={right} onChange={(e) => setRight(e.target.value)} style={selectStyle}>
+              {options.map((o) => <option key={o.key} value={o.key}>{o.label}</option>)}
+            </select>
+          </label>
+          <Flex align="center" justify="between">
+            <label style={{ fontSize: 12, display: "flex", alignItems: "center", gap: 4 }}>
+              <input type="checkbox" checked={ignoreMeta} onChange={(e) => setIgnoreMeta(e.target.checked)} />
+              Ignore meta
+            </label>
+            <Button size="1" color="amber" onClick={onRestore} disabled={leftKey === CURRENT || busy} title="Make the 'From' revision current">
+              {busy ? "Restoring…" : "Restore From"}
+            </Button>
+          </Flex>
+          {revisions.find((r) => String(r.rev) === leftKey)?.source && (
+            <Text size="1" color="gray">Replaced by: {revisions.find((r) => String(r.rev) === leftKey).source}</Text>
+          )}
+          {error && <Text size="1" color="red">{error}</Text>}
+          <ScrollArea type="auto" scrollbars="vertical" style={{ flex: 1, minHeight: 0 }}>
+            {changes.length === 0 ? (
+              <Text size="1" color="gray">No differences.</Text>
+            ) : (
+              <Flex direction="column" gap="1">
+                {changes.map((c) => (
+                  <Box key={`${c.op}:${c.path}`} style={{ fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace", fontSize: 12, padding: "2px 4px", borderRadius: 4, background: "var(--gray-2)" }}>
+                    <Flex align="center" gap="2">
+                      <Badge size="1" variant="soft" color={opColor[c.op]}>{c.op}</Badge>
+                      <span style={{ wordBreak: "break-all" }}>{c.path}</span>
+                    </Flex>
+                    {c.op !== "add" && <div style={{ color: "var(--red-11)", wordBreak: "break-all" }}>- {formatValue(c.before)}</div>}
+                    {c.op !== "remove" && <div style={{ color: "var(--green-11)", wordBreak: "break-all" }}>+ {formatValue(c.after)}</div>}
+                  </Box>
+                ))}
+              </Flex>
+            )}
+          </ScrollArea>
+        </Flex>
+      )}
+    </Box>
+  );
+}
@@ -1,12 +1,21 @@
 "use client";
 
-import React, { createContext, useContext, useMemo, useState } from "react";
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { undo as undoEdit, redo as redoEdit, getHistoryState } from "@/lib/store/history";
+import { StoreConflictError } from "@/lib/store/adapter";
+import { subscribeStoreChanges } from "@/lib/store/events";
 
 const SelCtx = createContext({
   activeDocId: null,
   setActiveDocId: () => {},
   selectedId: null,
   setSelectedId: () => {},
+  undo: async () => null,
+  redo: async () => null,
+  canUndo: false,
+  canRedo: false,
+  undoLabel: "",
+  redoLabel: "",
 });
 
 export function useSelection() {
@@ -16,6 +25,41 @@ export function useSelection() {
 export default function SelectionProvider({ children }) {
   const [activeDocId, setActiveDocId] = useState(null);
   const [selectedId, setSelectedId] = useState(null);
-  const value = useMemo(() => ({ activeDocId, setActiveDocId, selectedId, setSelectedId }), [activeDocId, selectedId]);
+  const [history, setHistory] = useState({ canUndo: false, canRedo: false, undoLabel: "", redoLabel: "" });
+
+  // Keep undo/redo availability in sync with the store's operation log
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = async () => {
+      try {
+        const next = await getHistoryState();
+        if (!cancelled) setHistory(next);
+      } catch {}
+    };
+    refresh();
+    const unsubscribe = subscribeStoreChanges(refresh);
+    return () => { cancelled = true; unsubscribe(); };
+  }, []);
+
+  // A conflict means the doc was edited since (possibly in another tab); tell the user rather than clobber it
+  const undo = useCallback(async () => {
+    try { return await undoEdit(); } catch (e) {
+      if (e instanceof StoreConflictError) alert(`Cannot undo: ${e.id} was changed since that edit.`);
+      else console.warn("[SelectionProvider] undo failed", e);
+      return null;
+    }
+  }, []);
+  const redo = useCallback(async () => {
+    try { return await redoEdit(); } catch (e) {
+      if (e instanceof StoreConflictError) alert(`Cannot redo: ${e.id} was changed since the undo.`);
+      else console.warn("[SelectionProvider] redo failed", e);
+      return null;
+    }
+  }, []);
+
+  const value = useMemo(
+    () => ({ activeDocId, setActiveDocId, selectedId, setSelectedId, undo, redo, ...history }),
+    [activeDocId, selectedId, undo, redo, history]
+  );
   return <SelCtx.Provider value={value}>{children}</SelCtx.Provider>;
 }
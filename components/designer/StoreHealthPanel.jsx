@@ -0,0 +1,96 @@
+"use client";
+
+import React, { useCallback, useState } from "react";
+import { Badge, Box, Button, Card, Code, Flex, Separator, Text } from "@radix-ui/themes";
+import { checkStoreHealth, applyHealthFix, SEVERITIES } from "@/lib/store/health";
+
+const severityColor = { error: "red", warning: "amber", info: "gray" };
+const severityTitle = { error: "Errors", warning: "Warnings", info: "Info" };
+
+/**
+ * StoreHealthPanel - run every store integrity check and apply fixes one finding at a time
+ */
+export default function StoreHealthPanel() {
+  const [findings, setFindings] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [fixing, setFixing] = useState(null); // finding key, or "all:<severity>"
+  const [error, setError] = useState(null); // the check itself failed
+  const [fixError, setFixError] = useState(null); // the last fix failed; kept across the re-check
+
+  const runCheck = useCallback(async () => {
+    setBusy(true);
+    try {
+      setFindings(await checkStoreHealth());
+      setError(null);
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  // Re-check after fixing: one fix can resolve (or reveal) other findings
+  const fix = useCallback(async (list, key) => {
+    setFixing(key);
+    setFixError(null);
+    try {
+      for (const f of list) await applyHealthFix(f);
+    } catch (e) {
+      setFixError(e?.message || String(e));
+    } finally {
+      setFixing(null);
+    }
+    await runCheck();
+  }, [runCheck]);
+
+  return (
+    <Card className="section">
+      <Flex direction="column" gap="3">
+        <Flex align="center" justify="between" wrap="wrap" gap="3">
+          <Text weight="bold">Store Health</Text>
+          <Button size="1" variant="soft" onClick={() => { setFixError(null); runCheck(); }} disabled={busy || !!fixing}>{busy ? "Checking…" : findings ? "Check Again" : "Run Check"}</Button>
+        </Flex>
+        <Separator />
+        {error && <Text color="red" size="2">{error}</Text>}
+        {fixError && <Text color="red" size="2">Fix failed: {fixError}</Text>}
+        {!findings && !busy && <Text size="2" color="gray">Checks parent links, slot refs and cardinality, properties, type chains, models and ids across the whole store.</Text>}
+        {findings && findings.length === 0 && <Text size="2" color="green">No problems found.</Text>}
+        {findings && SEVERITIES.map((severity) => {
+          const group = findings.filter((f) => f.severity === severity);
+          if (!group.length) return null;
+          const fixable = group.filter((f) => f.fix);
+          return (
+            <Box key={severity}>
+              <Flex align="center" justify="between" mb="1">
+                <Flex align="center" gap="2">
+                  <Badge color={severityColor[severity]} variant="soft">{group.length}</Badge>
+                  <Text size="2" weight="medium">{severityTitle[severity]}</Text>
+                </Flex>
+                {fixable.length > 1 && (
+                  <Button size="1" variant="soft" color={severityColor[severity]} disabled={!!fixing} onClick={() => fix(fixable, `all:${severity}`)}>
+                    {fixing === `all:${severity}` ? "Fixing…" : `Fix all ${fixable.length}`}
+                  </Button>
+                )}
+              </Flex>
+              <Flex direction="column" gap="1">
+                {group.map((f) => (
+                  <Flex key={f.key} align="center" justify="between" gap="2" style={{ padding: "2px 0" }}>
+                    <Box style={{ minWidth: 0 }}>
+                      <Text as="div" size="2">{f.message}</Text>
+                      <Text as="div" size="1" color="gray"><Code>{f.code}</Code> {f.docId}</Text>
+                    </Box>
+                    {f.fix && (
+                      <Button size="1" variant="soft" disabled={!!fixing} onClick={() => fix([f], f.key)} style={{ flexShrink: 0 }}>
+                        {fixing === f.key ? "Fixing…" : f.fix.label}
+                      </Button>
+                    )}
+                  </Flex>
+                ))}
+              </Flex>
+            </Box>
+          );
+        })}
+      </Flex>
+    </Card>
+  );
+}
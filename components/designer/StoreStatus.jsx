@@ -1,11 +1,32 @@
 "use client";
 
 import React, { useEffect, useState, useCallback } from "react";
-import { Box, Card, Flex, Button, Text, Separator, Code } from "@radix-ui/themes";
-import { reconcileStore } from "@/lib/store/reconcile";
+import { Box, Card, Flex, Button, Text, Separator, Code, Badge } from "@radix-ui/themes";
+import { reconcileStore, resetStoreFromSeed, applyReconcilePlan } from "@/lib/store/reconcile";
 import { listDocs } from "@/lib/store/resolver";
 import { store } from "@/lib/store/adapter";
-import { withBase } from "@/lib/basePath";
+import { collectGarbage } from "@/lib/store/type-system";
+import { getSyncState, setSyncEnabled, syncNow, resolveSyncConflict } from "@/lib/store/sync";
+
+const planKinds = {
+  new: { label: "new", color: "green", apply: "Add" },
+  updated: { label: "updated", color: "blue", apply: "Update" },
+  modified: { label: "edited locally", color: "amber", apply: "Update (discard my edits)" },
+  removed: { label: "removed from seed", color: "red", apply: "Delete" },
+  renamed: { label: "renamed", color: "violet", apply: "Rename" },
+};
+
+// Extra detail for entries that touch user docs: the new id, and how many user docs refer to it
+function describePlanEntry(e) {
+  const refs = e.refs?.length ? `${e.refs.length} user doc${e.refs.length === 1 ? "" : "s"} ${e.kind === "renamed" ? "to update" : "still using it"}` : "";
+  return [e.kind === "renamed" ? `→ ${e.to}` : "", refs].filter(Boolean).join(" · ");
+}
+
+function describeSyncConflict(c) {
+  if (!c.server) return "deleted on the server, changed here";
+  if (!c.local) return "changed on the server, deleted here";
+  return "changed here and on the server";
+}
 
 export default function StoreStatus() {
   const [loading, setLoading] = useState(true);
@@ -13,15 +34,31 @@ export default function StoreStatus() {
   const [manifest, setManifest] = useState(null);
   const [docs, setDocs] = useState([]);
   const [error, setError] = useState(null);
+  const [busyGc, setBusyGc] = useState(false);
+  const [gcPlan, setGcPlan] = useState(null); // dry-run result awaiting confirmation
+  const [plan, setPlan] = useState(null); // reconcile plan awaiting review
+  const [decisions, setDecisions] = useState({}); // docId -> "apply" | "skip" | "fork"
+  const [busyPlan, setBusyPlan] = useState(false);
+  const [sync, setSync] = useState(null);
+  const [syncUrl, setSyncUrl] = useState("");
+  const [syncToken, setSyncToken] = useState("");
+  const [busySync, setBusySync] = useState(false);
 
   const refresh = useCallback(async () => {
     setLoading(true);
     try {
-      await reconcileStore();
+      const result = await reconcileStore();
+      setPlan(result.pending || null);
+      // Edited site docs default to keeping a copy, so nothing local is lost by clicking Apply
+      setDecisions(Object.fromEntries((result.pending?.entries || []).map((e) => [e.id, e.kind === "modified" ? "fork" : "apply"])));
       const headers = await listDocs("");
       setDocs(headers);
       const meta = await store.getMeta("siteManifest");
       setManifest(meta || null);
+      const syncState = await getSyncState();
+      setSync(syncState);
+      setSyncUrl((prev) => prev || syncState.url);
+      setSyncToken((prev) => prev || syncState.token || "");
       setError(null);
     } catch (e) {
       setError(e?.message || String(e));
@@ -38,45 +75,8 @@ export default function StoreStatus() {
     if (busyReset) return;
     setBusyReset(true);
     try {
-      // Delete all docs
-      const headers = await listDocs("");
-      for (const h of headers) {
-        const docId = h.id || h.$id;
-        if (docId) {
-          try { await store.deleteDoc(docId); } catch {}
-        }
-      }
-      // Load seed index
-      const res = await fetch(withBase("/store-seed/index.json"), { cache: "no-store" });
-      if (!res.ok) throw new Error(`Failed to fetch store-seed index: ${res.status}`);
-      const index = await res.json();
-      const seedDocs = Array.isArray(index?.docs) ? index.docs : [];
-      // Put each seed doc (handling arrays)
-      for (const entry of seedDocs) {
-        if (!entry?.path) continue;
-        const r = await fetch(withBase(`/store-seed/${entry.path}`), { cache: "no-store" });
-        if (!r.ok) throw new Error(`Failed to fetch seed doc ${entry.path}: ${r.status}`);
-        const data = await r.json();
-        
-        // Handle array of docs (for batch loading)
-        const docArray = entry.array && Array.isArray(data) ? data : [data];
-        
-        for (const doc of docArray) {
-          // Normalize: use "id" field, fallback to "$id", or use entry.$id
-          const docId = doc.id || doc.$id || entry.$id;
-          if (!docId) {
-            console.warn(`[StoreStatus] Doc in ${entry.path} has no id field`);
-            continue;
-          }
-          
-          // Ensure both id and $id are set for backward compatibility
-          doc.id = docId;
-          doc.$id = docId;
-          
-          await store.putDoc(doc);
-        }
-      }
-      try { if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent("store:docSaved", { detail: { reset: true } })); } catch {}
+      // Delete all docs and reload the seed in one atomic batch
+      await resetStoreFromSeed();
       await refresh();
     } catch (e) {
       setError(e?.message || String(e));
@@ -85,6 +85,66 @@ export default function StoreStatus() {
     }
   }, [busyReset, refresh]);
 
+  const handleApplyPlan = useCallback(async (acceptAll) => {
+    if (!plan || busyPlan) return;
+    setBusyPlan(true);
+    try {
+      const pick = (decision) => (acceptAll ? [] : plan.entries.filter((e) => decisions[e.id] === decision).map((e) => e.id));
+      await applyReconcilePlan(plan, { skip: pick("skip"), fork: pick("fork") });
+      await refresh();
+    } catch (e) {
+      // Typically a planned doc changed meanwhile: re-plan, then show why
+      await refresh();
+      setError(e?.message || String(e));
+    } finally {
+      setBusyPlan(false);
+    }
+  }, [plan, busyPlan, decisions, refresh]);
+
+  // Dry run first so the user sees what will be removed
+  const handleFindGarbage = useCallback(async () => {
+    if (busyGc) return;
+    setBusyGc(true);
+    try {
+      setGcPlan(await collectGarbage({ dryRun: true }));
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setBusyGc(false);
+    }
+  }, [busyGc]);
+
+  const handleCollectGarbage = useCallback(async () => {
+    if (busyGc) return;
+    setBusyGc(true);
+    try {
+      await collectGarbage();
+      setGcPlan(null);
+      await refresh();
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setBusyGc(false);
+    }
+  }, [busyGc, refresh]);
+
+  // Sync is opt-in: nothing talks to a server until it is enabled here
+  const runSync = useCallback(async (fn) => {
+    if (busySync) return;
+    setBusySync(true);
+    try {
+      await fn();
+      setSync(await getSyncState());
+      setDocs(await listDocs(""));
+      setError(null);
+    } catch (e) {
+      setError(e?.message || String(e));
+      setSync(await getSyncState());
+    } finally {
+      setBusySync(false);
+    }
+  }, [busySync]);
+
   return (
     <Card className="section">
       <Flex direction="column" gap="3">
@@ -92,11 +152,74 @@ export default function StoreStatus() {
           <Text weight="bold">Store Status</Text>
           <Flex gap="2" align="center">
             <Button size="1" variant="soft" onClick={refresh} disabled={loading}>{loading ? "Refreshing…" : "Refresh"}</Button>
+            <Button size="1" variant="soft" onClick={handleFindGarbage} disabled={busyGc}>{busyGc ? "Scanning…" : "Collect Garbage"}</Button>
             <Button size="1" color="crimson" onClick={handleReset} disabled={busyReset}>{busyReset ? "Resetting…" : "RESET"}</Button>
           </Flex>
         </Flex>
         <Separator />
         {error && <Text color="red" size="2">{error}</Text>}
+        {plan && (
+          <Flex direction="column" gap="2">
+            <Text size="2">The site seed changed. Review the update before it is applied:</Text>
+            <Box>
+              {plan.entries.map((e) => (
+                <Flex key={e.id} align="center" justify="between" gap="2" style={{ padding: "2px 0" }}>
+                  <Flex align="center" gap="2" style={{ minWidth: 0 }}>
+                    <Badge color={planKinds[e.kind].color} variant="soft">{planKinds[e.kind].label}</Badge>
+                    <Text size="2" title={e.id} style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{e.name}</Text>
+                    {describePlanEntry(e) && <Text size="1" color="gray" style={{ whiteSpace: "nowrap" }}>{describePlanEntry(e)}</Text>}
+                  </Flex>
+                  <select
+                    value={decisions[e.id] || "apply"}
+                    onChange={(ev) => setDecisions((prev) => ({ ...prev, [e.id]: ev.target.value }))}
+                    style={{ padding: 2, fontSize: 12, flexShrink: 0 }}
+                    aria-label={`Reconcile ${e.name}`}
+                  >
+                    <option value="apply">{planKinds[e.kind].apply}</option>
+                    {(e.kind === "modified" || e.kind === "removed" || (e.kind === "renamed" && e.local)) && (
+                      <option value="fork">Keep a local copy, then {e.kind === "modified" ? "update" : e.kind === "removed" ? "delete" : "rename"}</option>
+                    )}
+                    <option value="skip">Skip</option>
+                  </select>
+                </Flex>
+              ))}
+            </Box>
+            <Flex gap="2">
+              <Button size="1" onClick={() => handleApplyPlan(false)} disabled={busyPlan}>{busyPlan ? "Applying…" : "Apply"}</Button>
+              <Button size="1" variant="soft" onClick={() => handleApplyPlan(true)} disabled={busyPlan}>Accept All</Button>
+              <Button size="1" variant="soft" color="gray" onClick={() => setPlan(null)} disabled={busyPlan}>Later</Button>
+            </Flex>
+          </Flex>
+        )}
+        {gcPlan && (
+          <Box>
+            {gcPlan.instances.length === 0 && gcPlan.blobs.length === 0 ? (
+              <Flex align="center" justify="between">
+                <Text size="2" color="gray">No garbage found.</Text>
+                <Button size="1" variant="soft" onClick={() => setGcPlan(null)}>Dismiss</Button>
+              </Flex>
+            ) : (
+              <Flex direction="column" gap="2">
+                <Text size="2">
+                  {gcPlan.instances.length} unreachable instance{gcPlan.instances.length !== 1 ? "s" : ""} and {gcPlan.blobs.length} unreferenced blob{gcPlan.blobs.length !== 1 ? "s" : ""}:
+                </Text>
+                {gcPlan.blobs.length > 0 && <Text size="1" color="amber">Deleted blobs cannot be restored with Undo.</Text>}
+                <Box>
+                  {[...gcPlan.instances, ...gcPlan.blobs].slice(0, 10).map((id) => (
+                    <Text key={id} as="div" size="1"><Code>{id}</Code></Text>
+                  ))}
+                  {gcPlan.instances.length + gcPlan.blobs.length > 10 && (
+                    <Text size="1" color="gray">…and {gcPlan.instances.length + gcPlan.blobs.length - 10} more</Text>
+                  )}
+                </Box>
+                <Flex gap="2">
+                  <Button size="1" color="crimson" onClick={handleCollectGarbage} disabled={busyGc}>{busyGc ? "Deleting…" : "Delete"}</Button>
+                  <Button size="1" variant="soft" onClick={() => setGcPlan(null)}>Cancel</Button>
+                </Flex>
+              </Flex>
+            )}
+          </Box>
+        )}
         <Box>
           <Text size="2" color="gray">Docs in store: {docs?.length ?? 0}</Text>
         </Box>
@@ -121,6 +244,70 @@ export default function StoreStatus() {
             )}
           </Box>
         </Box>
+        <Separator />
+        <Box>
+          <Flex align="center" justify="between" gap="2" wrap="wrap">
+            <Text size="2" color="gray">Team Sync</Text>
+            {sync?.enabled && (
+              <Flex gap="2">
+                <Button size="1" variant="soft" onClick={() => runSync(syncNow)} disabled={busySync}>{busySync ? "Syncing…" : "Sync Now"}</Button>
+                <Button size="1" variant="soft" color="gray" onClick={() => runSync(() => setSyncEnabled(false))} disabled={busySync}>Disable</Button>
+              </Flex>
+            )}
+          </Flex>
+          {sync && !sync.enabled && (
+            <Flex direction="column" gap="2" style={{ marginTop: 4 }}>
+              <Text size="1" color="gray">Share docs through a local sync server (<Code>npm run sync:server</Code>). Off by default.</Text>
+              <Flex gap="2" align="center">
+                <input
+                  value={syncUrl}
+                  onChange={(e) => setSyncUrl(e.target.value)}
+                  placeholder="http://localhost:4010"
+                  style={{ flex: 1, minWidth: 0, padding: 4, fontSize: 12 }}
+                  aria-label="Sync server URL"
+                />
+                <input
+                  type="password"
+                  value={syncToken}
+                  onChange={(e) => setSyncToken(e.target.value)}
+                  placeholder="token (if the server prints one)"
+                  style={{ flex: 1, minWidth: 0, padding: 4, fontSize: 12 }}
+                  aria-label="Sync server token"
+                />
+                <Button size="1" variant="soft" onClick={() => runSync(async () => { await setSyncEnabled(true, syncUrl, syncToken); await syncNow(); })} disabled={busySync || !syncUrl.trim()}>
+                  {busySync ? "Connecting…" : "Enable"}
+                </Button>
+              </Flex>
+            </Flex>
+          )}
+          {sync?.enabled && (
+            <Box style={{ marginTop: 4 }}>
+              <Text as="div" size="2">server: <Code>{sync.url}</Code></Text>
+              {sync.lastSync && (
+                <Text as="div" size="2" color="gray">
+                  last sync {sync.lastSync.at}: {sync.lastSync.pulled} pulled, {sync.lastSync.pushed} pushed, {sync.lastSync.blobs} blob{sync.lastSync.blobs !== 1 ? "s" : ""}
+                </Text>
+              )}
+              {sync.conflicts?.length > 0 && (
+                <Flex direction="column" gap="1" style={{ marginTop: 6 }}>
+                  <Text size="2" color="amber">{sync.conflicts.length} conflict{sync.conflicts.length !== 1 ? "s" : ""} (not synced until resolved):</Text>
+                  {sync.conflicts.map((c) => (
+                    <Flex key={c.id} align="center" justify="between" gap="2">
+                      <Box style={{ minWidth: 0 }}>
+                        <Text as="div" size="2">{c.local?.name || c.server?.name || c.id}</Text>
+                        <Text as="div" size="1" color="gray">{describeSyncConflict(c)} (server v{c.serverVersion})</Text>
+                      </Box>
+                      <Flex gap="1" style={{ flexShrink: 0 }}>
+                        <Button size="1" variant="soft" disabled={busySync} onClick={() => runSync(async () => { await resolveSyncConflict(c.id, "mine"); await syncNow(); })}>Keep Mine</Button>
+                        <Button size="1" variant="soft" color="gray" disabled={busySync} onClick={() => runSync(() => resolveSyncConflict(c.id, "theirs"))}>Take Theirs</Button>
+                      </Flex>
+                    </Flex>
+                  ))}
+                </Flex>
+              )}
+            </Box>
+          )}
+        </Box>
       </Flex>
     </Card>
   );
@@ -7,12 +7,18 @@
 
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import { Box, Button, Flex, Text, IconButton } from '@radix-ui/themes';
-import { Wrench, ChevronRight, ChevronDown } from 'lucide-react';
+import { Wrench, ChevronRight, ChevronDown, X } from 'lucide-react';
 import * as THREE from 'three';
 import { ThreeCadViewer } from '@/components/cad/ThreeCadViewer';
 import { Toolbar } from '@/components/cad/Toolbar';
 import { getDoc } from '@/lib/store/resolver';
 import { useStoreModels } from './useStoreModels';
+import { computeRollup, summarizeRollup } from '@/lib/store/rollup';
+import { subscribeStoreChanges, changedIds } from '@/lib/store/events';
+import { store, StoreConflictError } from '@/lib/store/adapter';
+import { trackTemplateOverrides } from '@/lib/store/template-sync';
+import { formatLocation, resolveLocation, findSnapMate } from '@/lib/store/mates';
+import { useSelection } from './SelectionProvider';
 
 const toArray = React.Children.toArray;
 
@@ -102,6 +108,74 @@ function extractCellText(value) {
   return ''
 }
 
+const formatNumber = (n, digits = 1) => (Number.isInteger(n) ? String(n) : n.toFixed(digits))
+const formatRuntime = (h) => (h >= 1 ? `${formatNumber(h)} h` : `${Math.round(h * 60)} min`)
+
+const EXPLODE_SCALE = 2.5 // How much to scale positions in exploded mode
+const LOCATION_KEYS = ['dx', 'dy', 'dz', 'rx', 'ry', 'rz']
+const TRANSLATION_SNAPS = [0, 1, 5, 10] // gizmo grid in mm, 0 = free
+const ROTATION_SNAPS = [0, 15, 45, 90] // gizmo angle step in degrees, 0 = free
+
+const addLocations = (a, b) => Object.fromEntries(LOCATION_KEYS.map((k) => [k, a[k] + b[k]]))
+const subtractLocations = (a, b) => Object.fromEntries(LOCATION_KEYS.map((k) => [k, a[k] - b[k]]))
+
+/**
+ * Wrapper transform for a composed location: translation, then rotation in degrees, ZYX order
+ */
+function locationPlacement(location) {
+  const rotation = new THREE.Euler(
+    THREE.MathUtils.degToRad(location.rx),
+    THREE.MathUtils.degToRad(location.ry),
+    THREE.MathUtils.degToRad(location.rz),
+    'ZYX'
+  )
+  return {
+    position: new THREE.Vector3(location.dx, location.dy, location.dz),
+    quaternion: new THREE.Quaternion().setFromEuler(rotation),
+  }
+}
+
+/**
+ * Placement of a composed location in each viewer state (exploded states scale it away from the origin)
+ */
+function placementStates(location) {
+  const { position, quaternion } = locationPlacement(location)
+  const exploded = position.clone().multiplyScalar(EXPLODE_SCALE)
+  return {
+    normal_a: { position, quaternion },
+    normal_b: { position, quaternion },
+    exploded_a: { position: exploded, quaternion },
+    exploded_b: { position: exploded, quaternion },
+  }
+}
+
+/**
+ * Composed location of a wrapper transform. A rotation has two ZYX Euler solutions and
+ * each angle is only known up to 360 degrees; pick the angles nearest `near` so that
+ * small gizmo moves make small edits to the stored angles.
+ */
+function placementLocation({ position, quaternion }, near) {
+  const euler = new THREE.Euler().setFromQuaternion(quaternion, 'ZYX')
+  const a = [euler.x, euler.y, euler.z].map((r) => THREE.MathUtils.radToDeg(r))
+  const b = [a[0] + 180, 180 - a[1], a[2] + 180]
+  const wrap = (d) => d - 360 * Math.round(d / 360)
+  const toward = (angles) => angles.map((v, i) => near[i] + wrap(v - near[i]))
+  const distance = (angles) => angles.reduce((sum, v, i) => sum + Math.abs(v - near[i]), 0)
+  const [rx, ry, rz] = [toward(a), toward(b)].sort((p, q) => distance(p) - distance(q))[0]
+  return { dx: position.x, dy: position.y, dz: position.z, rx, ry, rz }
+}
+
+/**
+ * New own location of a part for a gizmo placement of its wrapper: locations compose
+ * additively down the tree (see expandChildren in model-resolver.js), so the part's own
+ * location takes the whole change and its parents stay put
+ */
+function ownLocationFor(part, placement) {
+  const composed = addLocations(part.parent, part.own)
+  const next = placementLocation(placement, [composed.rx, composed.ry, composed.rz])
+  return subtractLocations(next, part.parent)
+}
+
 /**
  * SystemViewer component
  * Displays 3D models from store documents
@@ -120,6 +194,12 @@ export function SystemViewer({
   styleMode = 'STUDIO',
   // Behavior
   autoFitOnLoad = true,
+  // Mass / CoG / power roll-up overlay and CoG marker (also toggled from the viewer)
+  stats = false,
+  // Click a part to select it and move/rotate it with a gizmo (saved to its instance location)
+  editable = false,
+  // Follow SelectionProvider: highlight and focus the selected part or assembly, and select what is clicked
+  selectable = false,
   // Children (for markdown table)
   children,
 }) {
@@ -148,6 +228,22 @@ export function SystemViewer({
   const [modelCenterHelper, setModelCenterHelper] = useState(false)
   // Preview visibility mode: 'full' | 'translucent' | 'hidden'
   const [previewMode, setPreviewMode] = useState('full')
+  const [statsVisible, setStatsVisible] = useState(!!stats)
+  const [rollup, setRollup] = useState(null)
+  const rollupWatchRef = useRef(new Set()) // ids whose changes invalidate the roll-up
+  // Picking and the placement gizmo
+  const { selectedId, setSelectedId, setActiveDocId } = useSelection()
+  const partsRef = useRef([]) // per scene model: { index, id, name, editable, preview, parentId, ancestors, parent, own, mate, version }
+  const [partsVersion, setPartsVersion] = useState(0) // bumped when partsRef is rebuilt or its ancestors load
+  const pickedIdRef = useRef(null) // last id selected by clicking in the scene (not re-focused)
+  const [picked, setPicked] = useState(null) // index into partsRef
+  const pickedRef = useRef(null)
+  pickedRef.current = picked
+  const [pickedLocation, setPickedLocation] = useState('')
+  const [gizmoMode, setGizmoMode] = useState('translate')
+  const [translationSnap, setTranslationSnap] = useState(1)
+  const [rotationSnap, setRotationSnap] = useState(15)
+  const [snapToConnectors, setSnapToConnectors] = useState(false)
   
   // Parse objects from props or children table
   const { objectIds: parsedIds, leftover: leftoverChildren } = useMemo(
@@ -194,6 +290,8 @@ export function SystemViewer({
     didInitCategoriesRef.current = false
     userModifiedCategoriesRef.current = false
     setExpandedTopCats(new Set())
+    partsRef.current = []
+    setPicked(null)
   }, [objectIdsKey])
   
   // Track if we're in the browser (client-side)
@@ -211,6 +309,49 @@ export function SystemViewer({
     }
   )
   
+  // Mass, CoG and power roll-up over every displayed object, kept current with store edits
+  const specsKey = JSON.stringify(objectSpecs)
+  useEffect(() => {
+    if (!isMounted || !statsVisible || objectSpecs.length === 0) {
+      setRollup(null)
+      return
+    }
+    let cancelled = false
+    const load = async () => {
+      try {
+        const results = await Promise.all(objectSpecs.map((spec) => computeRollup(spec.id, { location: spec.location })))
+        if (cancelled) return
+        const parts = results.flatMap((r) => r.parts)
+        rollupWatchRef.current = new Set([...objectIds, ...parts.flatMap((p) => [p.id, p.type])])
+        setRollup(summarizeRollup({ parts, missing: results.flatMap((r) => r.missing) }))
+      } catch (e) {
+        console.warn('[SystemViewer] roll-up failed', e)
+        if (!cancelled) setRollup(null)
+      }
+    }
+    load()
+    const unsubscribe = subscribeStoreChanges((detail) => {
+      if (detail.reset || detail.refresh || changedIds(detail).some((id) => rollupWatchRef.current.has(id))) load()
+    })
+    return () => {
+      cancelled = true
+      unsubscribe()
+    }
+  }, [isMounted, statsVisible, specsKey])
+
+  // CoG marker, sized to the spread of the parts; hidden while exploded since parts move away from it
+  useEffect(() => {
+    const viewer = viewerRef.current
+    if (!viewer?.setMarker) return
+    const cog = statsVisible && explodeMode !== 'exploded' ? rollup?.mass?.cog : null
+    if (!cog) {
+      viewer.setMarker('cog', null)
+      return
+    }
+    const spread = Math.max(0, ...rollup.parts.map((p) => Math.hypot(p.position[0] - cog[0], p.position[1] - cog[1], p.position[2] - cog[2])))
+    viewer.setMarker('cog', cog, { size: Math.max(1.5, spread * 0.04) })
+  }, [rollup, statsVisible, explodeMode])
+
   // Attach location data to loaded models
   const modelsWithLocation = useMemo(() => {
     if (!isMounted) return [] // Don't show models until mounted
@@ -227,7 +368,8 @@ export function SystemViewer({
     return models.map((model, index) => ({
       ...model,
       // Use location from model (hierarchical expansion) if available, otherwise from objectSpecs (table)
-      location: model.location || objectSpecs[index]?.location || { dx: 0, dy: 0, dz: 0, rx: 0, ry: 0, rz: 0 }
+      location: model.location || objectSpecs[index]?.location || { dx: 0, dy: 0, dz: 0, rx: 0, ry: 0, rz: 0 },
+      placedByParent: !!model.location,
     }))
   }, [models, objectSpecs, isMounted, loading, objectIds, expectedObjectIdsKey, objectIdsKey])
   
@@ -329,8 +471,6 @@ export function SystemViewer({
     if (!viewerRef.current || modelsWithLocation.length === 0) return
     if (sceneInitializedRef.current) return
     
-    const EXPLODE_SCALE = 2.5 // How much to scale positions in exploded mode
-    
     // Build multi-scene definition for ThreeCadViewer
     const sceneDefinition = {
       models: modelsWithLocation.map(m => {
@@ -358,18 +498,7 @@ export function SystemViewer({
         wrapper.add(m.object)
         
         // Apply Tm transform to the wrapper (this operates in To's frame)
-        const locationPos = new THREE.Vector3(
-          m.location.dx,
-          m.location.dy,
-          m.location.dz
-        )
-        const locationRot = new THREE.Euler(
-          THREE.MathUtils.degToRad(m.location.rx),
-          THREE.MathUtils.degToRad(m.location.ry),
-          THREE.MathUtils.degToRad(m.location.rz),
-          'ZYX'
-        )
-        const locationQuat = new THREE.Quaternion().setFromEuler(locationRot)
+        const { position: locationPos, quaternion: locationQuat } = locationPlacement(m.location)
         
         // Normal position/rotation for wrapper
         const normalPos = locationPos.clone()
@@ -392,6 +521,7 @@ export function SystemViewer({
         const baseOpacity = isPreview ? (previewMode === 'hidden' ? 0 : (previewMode === 'translucent' ? 0.5 : 1)) : 1
         
         return {
+          id: m.$id,
           name: m.doc.name || m.$id,
           object: wrapper,
           states: {
@@ -440,6 +570,42 @@ export function SystemViewer({
     
     viewerRef.current.setMultiScene?.(sceneDefinition)
     sceneInitializedRef.current = true
+    // Parts placed by their parent's slots can be moved; their location (or mate) is relative to the parent chain
+    partsRef.current = modelsWithLocation.map((m, index) => {
+      const own = m.ownLocation || parseLocation(typeof m.doc?.location === 'string' ? m.doc.location : '')
+      const preview = m.doc?.meta?.transient === true
+      return {
+        index,
+        id: m.$id,
+        name: m.doc?.name || m.$id,
+        editable: m.placedByParent && !preview,
+        preview,
+        parentId: typeof m.doc?.parent === 'string' ? m.doc.parent : null,
+        ancestors: [],
+        parent: subtractLocations(m.location, own),
+        own,
+        mate: m.doc?.mate || null,
+        version: m.doc?.meta?.version ?? 0,
+      }
+    })
+    setPicked(null)
+    setPartsVersion((v) => v + 1)
+    // Parent chains of the parts, so selecting an assembly highlights everything under it
+    const parts = partsRef.current
+    ;(async () => {
+      const parentOf = new Map()
+      for (const part of parts) {
+        const ancestors = []
+        let id = part.preview ? null : part.parentId
+        while (id && !ancestors.includes(id) && ancestors.length < 32) {
+          ancestors.push(id)
+          if (!parentOf.has(id)) parentOf.set(id, (await store.getDoc(id))?.parent || null)
+          id = parentOf.get(id)
+        }
+        part.ancestors = ancestors
+      }
+      if (partsRef.current === parts) setPartsVersion((v) => v + 1)
+    })().catch((e) => console.warn('[SystemViewer] parent chains failed', e))
     // Ensure explode state comes up OFF visually and logically
     try { setExplodeMode('normal') } catch {}
   }, [modelsWithLocation, autoFitOnLoad, objectIds, previewMode])
@@ -541,6 +707,141 @@ export function SystemViewer({
     return () => clearTimeout(t)
   }, [modelsWithLocation.map(m => m?.$id).join('|')])
   
+  // Keep moved parts in place when their location changes in the store (gizmo saves, undo/redo, JSON edits).
+  // Mated parts follow their target, so they are re-resolved whenever a part or a type changes.
+  useEffect(() => {
+    return subscribeStoreChanges(async (detail) => {
+      const parts = partsRef.current.filter((p) => p.editable)
+      const ids = new Set(changedIds(detail))
+      const matesMayMove = [...ids].some((id) => id.startsWith('spoke://types/') || parts.some((p) => p.id === id))
+      const touched = detail.reset || detail.refresh ? parts : parts.filter((p) => ids.has(p.id) || (p.mate && matesMayMove))
+      if (touched.length === 0) return
+      const updates = {}
+      for (const part of touched) {
+        const doc = await store.getDoc(part.id)
+        if (!doc || partsRef.current[part.index] !== part) continue
+        const parent = doc.mate && part.parentId ? await store.getDoc(part.parentId) : null
+        part.own = await resolveLocation(doc, parent)
+        part.mate = doc.mate || null
+        part.version = doc.meta?.version ?? 0
+        updates[part.index] = placementStates(addLocations(part.parent, part.own))
+      }
+      viewerRef.current?.updateStatePlacement?.(updates)
+      const part = pickedRef.current == null ? null : partsRef.current[pickedRef.current]
+      if (part && updates[part.index]) setPickedLocation(formatLocation(part.own))
+    })
+  }, [])
+
+  // Select a clicked part; with `selectable`, persisted parts are also selected in the tree and editor,
+  // and clicking empty space selects the whole view again
+  const handlePick = useCallback((hit) => {
+    const part = hit ? partsRef.current[hit.index] : null
+    setPicked(part ? part.index : null)
+    setPickedLocation(part?.editable ? formatLocation(part.own) : '')
+    if (!selectable) return
+    if (part && !part.preview) {
+      pickedIdRef.current = part.id
+      setSelectedId(part.id)
+      setActiveDocId(part.id)
+    } else if (!part && objectIds.length > 0) {
+      pickedIdRef.current = objectIds[0]
+      setSelectedId(objectIds[0])
+    }
+  }, [selectable, setSelectedId, setActiveDocId, objectIdsKey])
+
+  // Parts under the selection: the selected part itself or every part of a selected assembly.
+  // Selecting what the viewer shows as a whole highlights nothing.
+  const selectedIndices = useMemo(() => {
+    if (!selectable) return picked == null ? [] : [picked]
+    if (!selectedId || objectIds.includes(selectedId)) return []
+    return partsRef.current.filter((p) => p.id === selectedId || p.ancestors.includes(selectedId)).map((p) => p.index)
+  }, [selectable, picked, selectedId, objectIdsKey, partsVersion])
+  const selectedIndicesKey = selectedIndices.join(',')
+
+  useEffect(() => {
+    viewerRef.current?.setHighlight?.(selectedIndices)
+  }, [selectedIndicesKey, partsVersion])
+
+  // A selection made elsewhere (tree, editor) picks the matching part and brings it into view
+  useEffect(() => {
+    if (!selectable || !sceneInitializedRef.current) return
+    const part = partsRef.current.find((p) => p.id === selectedId)
+    setPicked(part ? part.index : null)
+    setPickedLocation(part?.editable ? formatLocation(part.own) : '')
+    if (selectedId && selectedId === pickedIdRef.current) return
+    pickedIdRef.current = null
+    if (selectedIndices.length > 0) viewerRef.current?.focusModels?.(selectedIndices)
+    else if (objectIds.includes(selectedId)) viewerRef.current?.frameToCurrent?.()
+  }, [selectable, selectedId, selectedIndicesKey])
+
+  // Write a gizmo placement back to the part's instance doc as one undoable edit. With connector
+  // snapping the part mates to the nearest connector in reach (see mates.js); any other move drops its mate.
+  const saveLocation = useCallback(async (part, placement) => {
+    const restore = () => viewerRef.current?.updateStatePlacement?.({ [part.index]: placementStates(addLocations(part.parent, part.own)) })
+    const proposed = ownLocationFor(part, placement)
+    let location = formatLocation(proposed)
+    let mate = null
+    if (snapToConnectors && part.parentId) {
+      try {
+        const [doc, parent] = await Promise.all([store.getDoc(part.id), store.getDoc(part.parentId)])
+        const snap = await findSnapMate(doc, parent, proposed)
+        if (snap) {
+          location = formatLocation(snap.location)
+          mate = snap.mate
+        }
+      } catch (e) {
+        console.warn('[SystemViewer] connector snap failed', e)
+      }
+    }
+    if (location === formatLocation(part.own) && JSON.stringify(mate) === JSON.stringify(part.mate)) {
+      restore()
+      return
+    }
+    const save = async (expectedVersion) => {
+      const current = await store.getDoc(part.id)
+      if (!current) throw new Error(`${part.id} is no longer in the store`)
+      const next = structuredClone(current)
+      next.location = location
+      if (mate) next.mate = mate
+      else delete next.mate
+      next.meta = { ...(next.meta || {}), version: (next.meta?.version ?? 0) + 1, updatedAt: new Date().toISOString(), origin: next.meta?.origin || 'user' }
+      const label = mate ? `Mate ${next.name || next.id} to ${mate.to}` : `${gizmoMode === 'rotate' ? 'Rotate' : 'Move'} ${next.name || next.id}`
+      await store.putDoc(await trackTemplateOverrides(current, next), { label, expectedVersion })
+    }
+    try {
+      await save(part.version)
+    } catch (e) {
+      if (!(e instanceof StoreConflictError)) {
+        console.warn('[SystemViewer] location save failed', e)
+        restore()
+        return
+      }
+      if (!window.confirm(`${part.name} was changed elsewhere (now version ${e.actualVersion}) since it was loaded.\n\nMove it to ${location} anyway?`)) {
+        restore()
+        return
+      }
+      try { await save(e.actualVersion) } catch (err) { alert(`Save failed: ${err?.message || err}`); restore() }
+    }
+  }, [gizmoMode, snapToConnectors])
+
+  // Gizmo on the picked part; parts only move in the normal (assembled) view
+  const pickedPart = picked == null ? null : partsRef.current[picked] || null
+  useEffect(() => {
+    const viewer = viewerRef.current
+    if (!viewer?.setGizmo) return
+    if (!editable || !pickedPart?.editable || explodeMode === 'exploded') {
+      viewer.setGizmo(null)
+      return
+    }
+    viewer.setGizmo(pickedPart.index, {
+      mode: gizmoMode,
+      translationSnap,
+      rotationSnap,
+      onChange: (placement) => setPickedLocation(formatLocation(ownLocationFor(pickedPart, placement))),
+      onCommit: (placement) => saveLocation(pickedPart, placement),
+    })
+  }, [editable, pickedPart, explodeMode, gizmoMode, translationSnap, rotationSnap, saveLocation])
+
   const renderedChildren = useMemo(
     () => leftoverChildren,
     [leftoverChildren]
@@ -614,8 +915,68 @@ export function SystemViewer({
           modelCenterVisible={modelCenterHelper}
           frameScreenBias={{ x: 0, y: 0 }}
           autoFitOnResize={true}
+          onPick={editable || selectable ? handlePick : undefined}
+          hoverHighlight={editable || selectable}
         />
         
+        {/* Picked part - top center: gizmo mode, snapping and its location */}
+        {editable && pickedPart && (
+          <Flex
+            align="center"
+            gap="2"
+            wrap="wrap"
+            style={{
+              position: 'absolute',
+              top: 8,
+              left: '50%',
+              transform: 'translateX(-50%)',
+              zIndex: 12,
+              maxWidth: 'calc(100% - 120px)',
+              padding: '4px 8px',
+              background: 'var(--color-panel-solid)',
+              border: '1px solid var(--gray-6)',
+              borderRadius: 6,
+            }}
+          >
+            <Text size="1" weight="bold">{pickedPart.name}</Text>
+            {pickedPart.editable ? (
+              <>
+                <Flex gap="1">
+                  <Button size="1" variant={gizmoMode === 'translate' ? 'solid' : 'soft'} onClick={() => setGizmoMode('translate')}>Move</Button>
+                  <Button size="1" variant={gizmoMode === 'rotate' ? 'solid' : 'soft'} onClick={() => setGizmoMode('rotate')}>Rotate</Button>
+                </Flex>
+                {gizmoMode === 'translate' ? (
+                  <Button size="1" variant="soft" title="Grid snap" onClick={() => setTranslationSnap((v) => TRANSLATION_SNAPS[(TRANSLATION_SNAPS.indexOf(v) + 1) % TRANSLATION_SNAPS.length])}>
+                    Grid {translationSnap ? `${translationSnap} mm` : 'off'}
+                  </Button>
+                ) : (
+                  <Button size="1" variant="soft" title="Angle snap" onClick={() => setRotationSnap((v) => ROTATION_SNAPS[(ROTATION_SNAPS.indexOf(v) + 1) % ROTATION_SNAPS.length])}>
+                    Angle {rotationSnap ? `${rotationSnap}°` : 'off'}
+                  </Button>
+                )}
+                <Button size="1" variant={snapToConnectors ? 'solid' : 'soft'} title="On release, attach the part to the nearest connector in reach" onClick={() => setSnapToConnectors((v) => !v)}>
+                  Connectors
+                </Button>
+                <Text size="1" color="gray" style={{ fontFamily: 'var(--code-font-family, monospace)' }} title="location (dx,dy,dz,rx,ry,rz)">
+                  {explodeMode === 'exploded' ? 'Collapse to move' : pickedLocation}
+                </Text>
+                {pickedPart.mate && explodeMode !== 'exploded' && (
+                  <Text size="1" color="gray" title={`Mated: ${pickedPart.mate.connector} to ${pickedPart.mate.to}`}>
+                    on {pickedPart.mate.to}
+                  </Text>
+                )}
+              </>
+            ) : (
+              <Text size="1" color="gray">
+                {pickedPart.preview ? 'Type preview (read-only)' : 'Top-level part: not placed by a parent'}
+              </Text>
+            )}
+            <IconButton size="1" variant="ghost" aria-label="Deselect" onClick={() => handlePick(null)}>
+              <X size={14} />
+            </IconButton>
+          </Flex>
+        )}
+
         {/* Wrench Button - Top right */}
         {toolsEnabled && (
           <IconButton
@@ -690,6 +1051,18 @@ export function SystemViewer({
               gap: 8,
             }}
           >
+            {/* Roll-up stats and CoG marker */}
+            <Flex>
+              <Button
+                variant={statsVisible ? 'solid' : 'soft'}
+                onClick={() => setStatsVisible((v) => !v)}
+                size="1"
+                title="Mass, center of gravity and power budget"
+              >
+                Stats
+              </Button>
+            </Flex>
+
             {/* Previews Toggle (moved above for prominence) */}
             <Flex>
               <Button
@@ -764,6 +1137,33 @@ export function SystemViewer({
           </Box>
         )}
         
+        {/* Roll-up stats - bottom left, below the status messages */}
+        {statsVisible && rollup && !loading && !error && (
+          <Box style={{ position: 'absolute', bottom: 8, left: 8, padding: 8, background: 'rgba(0,0,0,0.7)', color: 'white', borderRadius: 4, pointerEvents: 'none', zIndex: 10, maxWidth: 260 }}>
+            <Flex direction="column" gap="1">
+              <Text size="1">
+                Mass: {rollup.mass.weighed ? `${formatNumber(rollup.mass.total)} g` : '—'}
+                {rollup.mass.unweighed > 0 && ` (${rollup.mass.unweighed} of ${rollup.parts.length} parts unweighed)`}
+              </Text>
+              {rollup.mass.cog && (
+                <Text size="1">CoG: {rollup.mass.cog.map((v) => formatNumber(v)).join(', ')} mm</Text>
+              )}
+              {rollup.power.sources > 0 && (
+                <Text size="1">Battery: {formatNumber(rollup.power.capacity_mAh, 0)} mAh · {formatNumber(rollup.power.energy_Wh, 2)} Wh</Text>
+              )}
+              {rollup.power.loads > 0 && (
+                <Text size="1">Draw: {formatNumber(rollup.power.current_mA, 0)} mA · {formatNumber(rollup.power.power_W, 2)} W</Text>
+              )}
+              {rollup.power.runtime_h != null && (
+                <Text size="1" weight="bold">Runtime: ~{formatRuntime(rollup.power.runtime_h)}</Text>
+              )}
+              {rollup.power.unknownVoltage > 0 && (
+                <Text size="1" style={{ opacity: 0.8 }}>{rollup.power.unknownVoltage} power part{rollup.power.unknownVoltage === 1 ? '' : 's'} without a voltage</Text>
+              )}
+            </Flex>
+          </Box>
+        )}
+
         {/* Status messages */}
         {loading && (
           <Box style={{ position: 'absolute', bottom: 8, left: 8, padding: 8, background: 'rgba(0,0,0,0.7)', color: 'white', borderRadius: 4, pointerEvents: 'none', zIndex: 10 }}>
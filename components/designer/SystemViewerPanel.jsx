@@ -7,29 +7,54 @@ import { useSelection } from '@/components/designer/SelectionProvider.jsx'
 import { SystemViewer } from '@/components/designer/SystemViewer.jsx'
 import { getVisualizableIds, getVisualizationInfo } from '@/lib/store/visualization'
 import { safeGetDoc } from '@/lib/store/resolver'
+import { subscribeStoreChanges, touches } from '@/lib/store/events'
 
 /**
  * SystemViewerPanel - Wrapper for SystemViewer that connects to selection system
- * Shows the selected object and all its hierarchical children
+ * Shows the selected object and all its hierarchical children. Selecting one of the shown
+ * parts (in the tree or the scene) keeps the view and highlights the part instead.
  */
+
+// Whether `id` is `ancestorId` or sits somewhere below it through parent links
+async function isWithin(id, ancestorId) {
+  const seen = new Set()
+  for (let cur = id; cur && !seen.has(cur) && seen.size < 32; cur = (await safeGetDoc(cur))?.parent) {
+    if (cur === ancestorId) return true
+    seen.add(cur)
+  }
+  return false
+}
+
 export default function SystemViewerPanel({ expectedHeight }) {
   const contentRef = useRef(null)
   const [panelH, setPanelH] = useState(0)
   const { selectedId } = useSelection()
+  const [viewId, setViewId] = useState(null) // object shown: the selection, or the assembly containing it
   const [objectIds, setObjectIds] = useState([])
-  const [selectedDoc, setSelectedDoc] = useState(null)
+  const [viewDoc, setViewDoc] = useState(null)
   const [vizInfo, setVizInfo] = useState(null)
   const [loading, setLoading] = useState(false)
   const [loadError, setLoadError] = useState(null)
   
-  // Load visualization info and object IDs when selection changes
+  useEffect(() => {
+    let cancelled = false
+    ;(async () => {
+      if (selectedId && viewId && await isWithin(selectedId, viewId)) return
+      if (!cancelled) setViewId(selectedId || null)
+    })()
+    return () => {
+      cancelled = true
+    }
+  }, [selectedId])
+
+  // Load visualization info and object IDs when the shown object changes
   useEffect(() => {
     let cancelled = false
     
     async function loadVisualization() {
-      if (!selectedId) {
+      if (!viewId) {
         setObjectIds([])
-        setSelectedDoc(null)
+        setViewDoc(null)
         setVizInfo(null)
         setLoadError(null)
         return
@@ -43,15 +68,15 @@ export default function SystemViewerPanel({ expectedHeight }) {
         
         // Get document and visualization info
         const [doc, info] = await Promise.all([
-          safeGetDoc(selectedId),
-          getVisualizationInfo(selectedId)
+          safeGetDoc(viewId),
+          getVisualizationInfo(viewId)
         ])
         
         
         
         if (cancelled) return
         
-        setSelectedDoc(doc)
+        setViewDoc(doc)
         setVizInfo(info)
         
         if (!info.canVisualize) {
@@ -63,11 +88,11 @@ export default function SystemViewerPanel({ expectedHeight }) {
         // For types: include the type ID so the viewer hook can auto-instantiate a temporary instance
         // For instances: expand to include all visualizable children
         let ids = []
-        const isType = typeof selectedId === 'string' && selectedId.startsWith('spoke://types/')
+        const isType = typeof viewId === 'string' && viewId.startsWith('spoke://types/')
         if (isType) {
-          ids = [selectedId]
+          ids = [viewId]
         } else {
-          ids = await getVisualizableIds(selectedId)
+          ids = await getVisualizableIds(viewId)
         }
         
         if (cancelled) return
@@ -87,7 +112,7 @@ export default function SystemViewerPanel({ expectedHeight }) {
     return () => {
       cancelled = true
     }
-  }, [selectedId])
+  }, [viewId])
 
   // Measure available content height for the viewer and pass as explicit px
   useEffect(() => {
@@ -104,24 +129,19 @@ export default function SystemViewerPanel({ expectedHeight }) {
   
   // Listen for store updates to refresh viewer
   useEffect(() => {
-    if (typeof window === 'undefined') return
-    
-    const handleStoreChange = (event) => {
-      const { $id } = event.detail || {}
-      
+    const handleStoreChange = (detail) => {
       // If the selected object or any of its children changed, trigger reload
-      if (selectedId && ($id === selectedId || objectIds.includes($id))) {
+      if (viewId && (touches(detail, viewId) || objectIds.some((id) => touches(detail, id)))) {
         // Re-trigger the effect by updating a dummy state
         setObjectIds(prev => [...prev])
       }
     }
     
-    window.addEventListener('store:docSaved', handleStoreChange)
-    return () => window.removeEventListener('store:docSaved', handleStoreChange)
-  }, [selectedId, objectIds])
+    return subscribeStoreChanges(handleStoreChange)
+  }, [viewId, objectIds])
   
-  const showEmpty = !selectedId || !vizInfo?.canVisualize
-  const docName = selectedDoc?.name || selectedId || 'Unknown'
+  const showEmpty = !viewId || !vizInfo?.canVisualize
+  const docName = viewDoc?.name || viewId || 'Unknown'
   
   return (
     <Card style={{ 
@@ -132,7 +152,7 @@ export default function SystemViewerPanel({ expectedHeight }) {
       overflow: 'hidden'
     }}>
       {/* Minimal header bar */}
-      {selectedId && (
+      {viewId && (
         <Flex 
           justify="between" 
           align="center" 
@@ -169,10 +189,10 @@ export default function SystemViewerPanel({ expectedHeight }) {
             <EyeOff size={48} style={{ color: 'var(--gray-8)', opacity: 0.5 }} />
             <Box style={{ textAlign: 'center' }}>
               <Text size="3" weight="medium" color="gray" as="div" mb="1">
-                {selectedId ? 'No 3D Model' : 'No Selection'}
+                {viewId ? 'No 3D Model' : 'No Selection'}
               </Text>
               <Text size="2" color="gray" as="div">
-                {selectedId 
+                {viewId 
                   ? `This object has no model or parts to visualize.`
                   : 'Select an object in the explorer to view its 3D model.'
                 }
@@ -226,6 +246,8 @@ export default function SystemViewerPanel({ expectedHeight }) {
               shadingMode="SOURCE"
               styleMode="STUDIO"
               autoFitOnLoad={true}
+              editable
+              selectable
             />
           </Box>
         )}
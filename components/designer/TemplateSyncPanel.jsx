@@ -0,0 +1,100 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+import { Badge, Box, Button, Card, Flex, ScrollArea, Text } from "@radix-ui/themes";
+import { planTemplateSync, applyTemplateSync } from "@/lib/store/template-sync";
+
+const opColor = { add: "green", remove: "red", change: "amber" };
+
+function formatValue(v) {
+  if (v === undefined) return "—";
+  return typeof v === "string" ? v : JSON.stringify(v);
+}
+
+/**
+ * TemplateSyncPanel - preview and apply "sync from type" for an instance tree
+ */
+export default function TemplateSyncPanel({ instanceId, onClose }) {
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setPlan(null);
+    setError("");
+    (async () => {
+      try {
+        const next = await planTemplateSync(instanceId);
+        if (!cancelled) setPlan(next);
+      } catch (e) {
+        if (!cancelled) setError(e?.message || String(e));
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [instanceId]);
+
+  const onApply = useCallback(async () => {
+    if (!plan || busy) return;
+    setBusy(true);
+    try {
+      await applyTemplateSync(plan);
+      onClose?.();
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }, [plan, busy, onClose]);
+
+  const applicable = plan ? plan.changes.filter((c) => !c.overridden).length + plan.missing.length : 0;
+
+  return (
+    <Card variant="surface" style={{ padding: 8 }}>
+      <Flex direction="column" gap="2">
+        <Text size="2" weight="medium">Sync from type</Text>
+        {error && <Text size="1" color="red">{error}</Text>}
+        {!plan && !error && <Text size="1" color="gray">Comparing with type templates…</Text>}
+        {plan && (
+          <>
+            {plan.changes.length === 0 && plan.missing.length === 0 ? (
+              <Text size="1" color="gray">Already in sync with its type templates.</Text>
+            ) : (
+              <ScrollArea type="auto" scrollbars="vertical" style={{ maxHeight: 240 }}>
+                <Flex direction="column" gap="1">
+                  {plan.changes.map((c) => (
+                    <Box key={`${c.id}:${c.field}`} style={{ fontSize: 12, opacity: c.overridden ? 0.6 : 1 }}>
+                      <Flex align="center" gap="2" wrap="wrap">
+                        <Badge size="1" variant="soft" color={opColor[c.op]}>{c.op}</Badge>
+                        <span>{c.name}</span>
+                        <code>{c.field}</code>
+                        {c.overridden && <Badge size="1" variant="outline" color="gray" title="Changed by a user; sync keeps it">overridden, kept</Badge>}
+                      </Flex>
+                      <div style={{ marginLeft: 8, wordBreak: "break-all" }}>{formatValue(c.before)} → {formatValue(c.after)}</div>
+                    </Box>
+                  ))}
+                  {plan.missing.map((m) => (
+                    <Box key={`${m.parentId}:${m.slot}:${m.index}`} style={{ fontSize: 12 }}>
+                      <Flex align="center" gap="2">
+                        <Badge size="1" variant="soft" color="green">create</Badge>
+                        <span>{m.template?.name || `${m.slot}[${m.index}]`}</span>
+                        <code>{m.slot}</code>
+                      </Flex>
+                    </Box>
+                  ))}
+                </Flex>
+              </ScrollArea>
+            )}
+            {plan.extra.length > 0 && (
+              <Text size="1" color="gray">{plan.extra.length} child instance{plan.extra.length !== 1 ? "s have" : " has"} no matching template and will be left alone.</Text>
+            )}
+          </>
+        )}
+        <Flex gap="1">
+          <Button size="1" onClick={onApply} disabled={!plan || busy || applicable === 0}>{busy ? "Applying…" : `Apply ${applicable} change${applicable !== 1 ? "s" : ""}`}</Button>
+          <Button size="1" variant="soft" onClick={onClose}>Close</Button>
+        </Flex>
+      </Flex>
+    </Card>
+  );
+}
@@ -5,10 +5,12 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
 import { store } from '@/lib/store/adapter'
 import { batchResolveModels } from '@/lib/store/model-resolver'
-import { loadModelAsset, getFileExtension, resolveModelPath } from '@/lib/models/loader'
+import { loadModelAsset, loadModelBlob, getFileExtension, resolveModelPath } from '@/lib/models/loader'
 import { applyTransform } from '@/lib/models/transform'
 import { getEffectiveSlots, createInstanceFromType } from '@/lib/store/type-system'
 import { getNested } from '@/lib/store/slot-path'
+import { resolveLocation } from '@/lib/store/mates'
+import { subscribeStoreChanges, touches } from '@/lib/store/events'
 import * as THREE from 'three'
 
 /**
@@ -49,11 +51,6 @@ export function useStoreModels(objectIds, options = {}) {
       // 2) Build previews for types in-memory using createInstanceFromType() without persisting
       const previewItems = []
       const { resolveModelFromDoc, getEffectivePosition, getEffectiveRotation } = await import('@/lib/store/model-resolver')
-      const parseLocationString = (locationStr) => {
-        if (!locationStr || typeof locationStr !== 'string') return { dx: 0, dy: 0, dz: 0, rx: 0, ry: 0, rz: 0 }
-        const parts = String(locationStr).split(',').map(s => parseFloat(s.trim()) || 0)
-        return { dx: parts[0]||0, dy: parts[1]||0, dz: parts[2]||0, rx: parts[3]||0, ry: parts[4]||0, rz: parts[5]||0 }
-      }
       const composeLocations = (a, b) => ({ dx: (a?.dx||0)+(b?.dx||0), dy: (a?.dy||0)+(b?.dy||0), dz: (a?.dz||0)+(b?.dz||0), rx: (a?.rx||0)+(b?.rx||0), ry: (a?.ry||0)+(b?.ry||0), rz: (a?.rz||0)+(b?.rz||0) })
       for (const typeId of typeIds) {
         try {
@@ -74,8 +71,10 @@ export function useStoreModels(objectIds, options = {}) {
             }
           } catch {}
 
-          // Recursive expansion using in-memory docs to find leaf items
-          const expand = async (docId, parentLoc = { dx:0,dy:0,dz:0,rx:0,ry:0,rz:0 }) => {
+          // Recursive expansion using in-memory docs to find leaf items; mates resolve against
+          // the unsaved siblings
+          const getPreviewDoc = async (id) => docsById.get(id) || null
+          const expand = async (docId, parentLoc = { dx:0,dy:0,dz:0,rx:0,ry:0,rz:0 }, ownLoc = null) => {
             const doc = docsById.get(docId)
             if (!doc) return
             const typeRef = doc.type || doc.$type
@@ -90,16 +89,16 @@ export function useStoreModels(objectIds, options = {}) {
                 const childDoc = docsById.get(childId)
                 if (!childDoc) continue
                 hasChildren = true
-                const childLoc = composeLocations(parentLoc, parseLocationString(childDoc.location))
-                await expand(childId, childLoc)
+                const ownChildLoc = await resolveLocation(childDoc, doc, { getDoc: getPreviewDoc })
+                await expand(childId, composeLocations(parentLoc, ownChildLoc), ownChildLoc)
               }
             }
             if (!hasChildren) {
               const model = await resolveModelFromDoc(doc)
-              if (!model || !model.url) return
+              if (!model || (!model.url && !model.ref)) return
               const position = await getEffectivePosition(doc)
               const rotation = await getEffectiveRotation(doc)
-              previewItems.push({ $id: doc.id, doc, model, position, rotation, location: parentLoc })
+              previewItems.push({ $id: doc.id, doc, model, position, rotation, location: parentLoc, ownLocation: ownLoc })
             }
           }
 
@@ -118,22 +117,33 @@ export function useStoreModels(objectIds, options = {}) {
       // Load 3D assets
       const loadedModels = []
       for (const item of resolved) {
-        const { $id, doc, model, position, rotation, location } = item
+        const { $id, doc, model, position, rotation, location, ownLocation } = item
         
-        if (!model || !model.url) {
-          console.warn(`[useStoreModels] No model URL for ${$id}`)
+        if (!model || (!model.url && !model.ref)) {
+          console.warn(`[useStoreModels] No model URL or ref for ${$id}`)
           continue
         }
         
-        const ext = getFileExtension(model.url)
-        if (!ext) {
-          console.warn(`[useStoreModels] No extension for ${model.url}`)
-          continue
+        let object3D
+        if (model.ref) {
+          // Stored blob (uploaded file); extension comes from the blob's meta
+          try {
+            object3D = await loadModelBlob(model.ref)
+          } catch (err) {
+            console.warn(`[useStoreModels] Failed to load blob ${model.ref} for ${$id}:`, err)
+            continue
+          }
+        } else {
+          const ext = getFileExtension(model.url)
+          if (!ext) {
+            console.warn(`[useStoreModels] No extension for ${model.url}`)
+            continue
+          }
+          
+          const url = resolveModelPath(model.url, basePrefix)
+          object3D = await loadModelAsset(url, ext)
         }
         
-        const url = resolveModelPath(model.url, basePrefix)
-        const object3D = await loadModelAsset(url, ext)
-        
         // Store the raw object without transforms
         // The caller (SystemViewer) will handle transforms via state definitions
         if (object3D) {
@@ -150,6 +160,7 @@ export function useStoreModels(objectIds, options = {}) {
           position,
           rotation,
           location, // Pass through location from hierarchical expansion
+          ownLocation, // Relative to the parent (resolved mate or location)
         })
       }
       
@@ -177,19 +188,14 @@ export function useStoreModels(objectIds, options = {}) {
   
   // Listen for store updates
   useEffect(() => {
-    if (typeof window === 'undefined') return
-    
-    const handleStoreChange = (event) => {
-      const { $id, deleted } = event.detail || {}
-      
+    const handleStoreChange = (detail) => {
       // If any of our objects changed, reload
-      if (objectIds && objectIds.includes($id)) {
+      if (objectIds && objectIds.some((id) => touches(detail, id))) {
         loadModels()
       }
     }
     
-    window.addEventListener('store:docSaved', handleStoreChange)
-    return () => window.removeEventListener('store:docSaved', handleStoreChange)
+    return subscribeStoreChanges(handleStoreChange)
   }, [objectIds, loadModels])
   
   const reload = useCallback(() => {
@@ -8,6 +8,7 @@ import { Github, Twitter, Youtube } from 'lucide-react'
 import ModelViewer from '@/components/model/ModelViewer'
 import SystemViewer from '@/components/designer/SystemViewer'
 import ResetStoreButton from '@/components/designer/ResetStoreButton'
+import BOMTable from '@/components/designer/BOMTable'
 import MDXImage from '@/components/MDXImage'
 import ClientMdxCodeRenderer from '@/components/mdx/ClientMdxCodeRenderer'
 import ClientMdxCodeWrapper from '@/components/mdx/ClientMdxCodeWrapper'
@@ -195,6 +196,8 @@ export function Mdx({ source, components = {}, layout }) {
     SystemViewer,
     // ResetStoreButton - reset store from seeds
     ResetStoreButton,
+    // BOM - bill of materials for a store instance: <BOM instance="spoke://instances/..." />
+    BOM: BOMTable,
     NewsletterForm,
     FeatureBox,
     NextLink,
@@ -1,18 +1,20 @@
 /**
  * Generic 3D model loader utilities
- * Supports STL, 3MF, GLB/GLTF formats with caching
+ * Supports STL, 3MF, GLB/GLTF and STEP formats with caching,
+ * from URLs or from blobs in the store (by sha256 hash)
  */
 
 import * as THREE from 'three'
 import { getAssetPath } from '@/lib/paths'
+import { resolveRef } from '@/lib/store/resolver'
 
-// Module-level cache for loaded models (key: full resolved URL, value: Promise<Object3D>)
+// Module-level cache for loaded models (key: full resolved URL or blob hash, value: Promise<Object3D>)
 const modelCache = new Map()
 
 /**
  * Load a model asset from URL with format auto-detection
  * @param {string} url - Full URL to model file
- * @param {string} ext - File extension (stl, 3mf, glb, gltf)
+ * @param {string} ext - File extension (stl, 3mf, glb, gltf, step, stp)
  * @returns {Promise<THREE.Object3D|THREE.Mesh>} Loaded model
  */
 async function loadModelAssetUncached(url, ext) {
@@ -65,20 +67,46 @@ async function loadModelAssetUncached(url, ext) {
     return object
   }
   
+  if (ext === 'step' || ext === 'stp') {
+    // Meshed by the OpenCascade worker, as in the CAD workbench
+    const { callOcWorker, waitForOcWorkerReady } = await import('@/components/cad/workers/ocWorkerClient')
+    await waitForOcWorkerReady()
+    const resp = await fetch(url)
+    if (!resp.ok) throw new Error(`Failed to fetch STEP: ${resp.status}`)
+    const buf = await resp.arrayBuffer()
+    const res = await callOcWorker('loadStep', { filename: `model.${ext}`, data: buf })
+    if (!res || res.type !== 'buildResult') throw new Error('Unexpected worker response for loadStep')
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(res.positions, 3))
+    geometry.setIndex(new THREE.Uint32BufferAttribute(res.indices, 1))
+    geometry.computeVertexNormals()
+    geometry.computeBoundingBox()
+    geometry.computeBoundingSphere()
+    const material = new THREE.MeshStandardMaterial({ 
+      color: 0xe0e0e0, 
+      metalness: 0.1, 
+      roughness: 0.85 
+    })
+    const mesh = new THREE.Mesh(geometry, material)
+    mesh.userData.__sourceType = 'geometry'
+    return mesh
+  }
+  
   throw new Error(`Unsupported model extension: .${ext}`)
 }
 
 /**
  * Load a model asset with caching
- * Subsequent calls with same URL return cloned instances
+ * Subsequent calls with same URL (or cache key) return cloned instances
  * @param {string} url - Full URL to model file
- * @param {string} ext - File extension (stl, 3mf, glb, gltf)
+ * @param {string} ext - File extension (stl, 3mf, glb, gltf, step, stp)
+ * @param {string} cacheKey - Cache key when the URL is not stable (defaults to url)
  * @returns {Promise<THREE.Object3D|THREE.Mesh>} Loaded model (cloned if cached)
  */
-export async function loadModelAsset(url, ext) {
+export async function loadModelAsset(url, ext, cacheKey = url) {
   // Check cache first
-  if (modelCache.has(url)) {
-    const cachedPromise = modelCache.get(url)
+  if (modelCache.has(cacheKey)) {
+    const cachedPromise = modelCache.get(cacheKey)
     const cachedObject = await cachedPromise
     
     // Clone the cached object for this instance
@@ -109,12 +137,59 @@ export async function loadModelAsset(url, ext) {
   
   // Cache miss: load and cache the promise
   const loadPromise = loadModelAssetUncached(url, ext)
-  modelCache.set(url, loadPromise)
+  modelCache.set(cacheKey, loadPromise)
   
   // Wait for load to complete and return the original
   return await loadPromise
 }
 
+// Model extensions by MIME type, for blobs stored without a filename
+const MIME_EXTENSIONS = {
+  'model/stl': 'stl',
+  'application/sla': 'stl',
+  'model/3mf': '3mf',
+  'application/vnd.ms-package.3dmanufacturing-3dmodel+xml': '3mf',
+  'model/gltf-binary': 'glb',
+  'model/gltf+json': 'gltf',
+  'model/step': 'step',
+  'application/step': 'step',
+}
+
+/**
+ * Model file extension for a stored blob, from its filename or else its MIME type
+ * @param {Object} meta - Blob meta { mime, filename }
+ * @returns {string} Extension without dot, or '' if unknown
+ */
+export function getBlobExtension(meta) {
+  const fromName = getFileExtension(meta?.filename || '')
+  if (fromName) return fromName
+  return MIME_EXTENSIONS[String(meta?.mime || '').toLowerCase()] || ''
+}
+
+/**
+ * Load a model stored as a blob (model.ref: "sha256-...") through a temporary object URL.
+ * Blobs the site manifest declares are fetched on first use (see resolveRef).
+ * @param {string} hash - Blob hash (sha256-<hex>)
+ * @returns {Promise<THREE.Object3D|THREE.Mesh>} Loaded model (cloned if cached)
+ */
+export async function loadModelBlob(hash) {
+  if (modelCache.has(hash)) return await loadModelAsset(null, null, hash)
+  const record = await resolveRef(hash)
+  if (!record?.data) throw new Error(`Model blob ${hash} not found`)
+  const ext = getBlobExtension(record.meta)
+  if (!ext) throw new Error(`Model blob ${hash} has no known file type`)
+  const url = URL.createObjectURL(record.data)
+  try {
+    return await loadModelAsset(url, ext, hash)
+  } catch (err) {
+    // Don't keep a failed load for a blob that may be replaced
+    modelCache.delete(hash)
+    throw err
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
 /**
  * Clone an object for scene use
  * @param {THREE.Object3D} object - Object to clone
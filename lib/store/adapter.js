@@ -1,24 +1,103 @@
 // Minimal IndexedDB adapter (no external deps). JS-only.
 // Stores:
 // - docs: key = $id (string), value = full JSON doc
+//   indexes (v2): type, parent, origin (meta.origin), name (meta.nameKey, normalized name)
+//   meta.nameKey only exists in the stored record for the name index; docs read back never carry it
 // - blobs: key = sha256-<hex>, value = { data: Blob, meta: { mime, size, createdAt, filename? } }
 // - meta: key = string, value = any
+// - revisions (v3): key = auto seq, value = { id, seq, at, source, doc } (previous versions, last REVISION_LIMIT per doc)
+//   indexes: id
+// All doc writes go through store.batch(), which commits atomically and emits "store:changed".
+//
+// `store` is the IndexedDB adapter and the default for every lib/store module. Other adapters
+// implement the same API and can be passed as `options.adapter` to type-system, mates, rollup,
+// bom, template-sync, health, query and bundle:
+// - memory-adapter.js: createMemoryAdapter() for tests and Node scripts
+// - fs-adapter.js: openFsAdapter(dir) over a directory of JSON docs like public/store-seed (Node only)
+// Adapter API: batch, putDoc, deleteDoc, getDoc, listDocHeaders, queryDocs, listRevisions,
+// restoreRevision, putBlob, getBlob, listBlobHashes, hasBlob, getMeta, setMeta, hashBlob.
+
+import { emitStoreChanged } from "./events.js";
 
 const DB_NAME = "spoke_store_v1";
-const DB_VERSION = 1;
+const DB_VERSION = 3;
+
+// Previous versions kept per doc in the revisions store
+export const REVISION_LIMIT = 20;
+
+// Secondary indexes on the docs store: index name -> keyPath
+const DOC_INDEXES = {
+  type: "type",
+  parent: "parent",
+  origin: "meta.origin",
+  name: "meta.nameKey",
+};
+
+// Normalized name used by the "name" index (lowercased, trimmed, collapsed whitespace)
+export function normalizeName(name) {
+  if (name == null) return "";
+  return String(name).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// Copy of a doc as stored in IndexedDB, with the key the name index reads
+function withNameKey(doc) {
+  return { ...doc, meta: { ...(doc.meta || {}), nameKey: normalizeName(doc.name) } };
+}
+
+// Drop the stored-only name key from a doc read back (in place)
+function withoutNameKey(doc) {
+  if (doc?.meta && typeof doc.meta === "object" && "nameKey" in doc.meta) {
+    const { nameKey, ...meta } = doc.meta;
+    doc.meta = meta;
+  }
+  return doc;
+}
+
+function migrateDocs(t, oldVersion) {
+  const s = t.objectStore("docs");
+  for (const [name, keyPath] of Object.entries(DOC_INDEXES)) {
+    if (!s.indexNames.contains(name)) s.createIndex(name, keyPath, { unique: false });
+  }
+  // v1 -> v2: backfill meta.nameKey so existing docs show up in the name index
+  if (oldVersion > 0 && oldVersion < 2) {
+    const cursorReq = s.openCursor();
+    cursorReq.onsuccess = () => {
+      const cur = cursorReq.result;
+      if (!cur) return;
+      const doc = cur.value;
+      if (doc && typeof doc === "object") cur.update(withNameKey(doc));
+      cur.continue();
+    };
+  }
+}
+
+// One cached connection per page; reset if the DB is closed or upgraded elsewhere
+let dbPromise = null;
 
 function openDB() {
-  return new Promise((resolve, reject) => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onupgradeneeded = () => {
+    req.onupgradeneeded = (e) => {
       const db = req.result;
       if (!db.objectStoreNames.contains("docs")) db.createObjectStore("docs");
       if (!db.objectStoreNames.contains("blobs")) db.createObjectStore("blobs");
       if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+      if (!db.objectStoreNames.contains("revisions")) {
+        const revs = db.createObjectStore("revisions", { keyPath: "seq", autoIncrement: true });
+        revs.createIndex("id", "id", { unique: false });
+      }
+      migrateDocs(req.transaction, e.oldVersion || 0);
     };
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => { try { db.close(); } catch {} dbPromise = null; };
+      db.onclose = () => { dbPromise = null; };
+      resolve(db);
+    };
+    req.onerror = () => { dbPromise = null; reject(req.error); };
   });
+  return dbPromise;
 }
 
 async function tx(store, mode, fn) {
@@ -33,24 +112,253 @@ async function tx(store, mode, fn) {
   });
 }
 
+export function normalizeDocForPut(doc, caller) {
+  // Support both "id" and "$id" fields
+  const docId = doc?.id || doc?.$id;
+  if (!docId || typeof docId !== "string") throw new Error(`${caller}: doc.id or doc.$id required`);
+  // Ensure both are set for backward compatibility
+  doc.id = docId;
+  doc.$id = docId;
+  return withoutNameKey(doc);
+}
+
+/**
+ * Thrown (and the whole batch discarded) when a put was based on a stale version:
+ * the stored doc's meta.version no longer matches the expectedVersion the writer read.
+ * Typically another tab saved the same doc in between.
+ */
+export class StoreConflictError extends Error {
+  constructor(id, expectedVersion, current) {
+    const actualVersion = current?.meta?.version ?? 0;
+    super(`Conflict saving ${id}: expected version ${expectedVersion}, store has ${current ? actualVersion : "no doc"}`);
+    this.name = "StoreConflictError";
+    this.id = id;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+    this.current = current ?? null;
+  }
+}
+
+export function blobRecord(blob, meta = {}) {
+  return { data: blob, meta: { ...meta, size: blob?.size ?? meta.size ?? 0, createdAt: meta.createdAt || new Date().toISOString() } };
+}
+
+// Staging handle passed to batch(). Writes are buffered as ops and committed together
+// (in one IndexedDB transaction here) once the callback resolves.
+export function createBatchHandle(read, readMeta) {
+  const ops = [];
+  const staged = new Map(); // docId -> doc | null (deleted)
+  const stagedMeta = new Map(); // meta key -> value
+  const handle = {
+    // options.expectedVersion: meta.version the edit was based on (0 = doc must not exist yet)
+    // options.keepVersion: store doc.meta.version as given instead of bumping it (a server copy taken verbatim)
+    put(doc, options = {}) {
+      const d = normalizeDocForPut(doc, "batch.put");
+      const op = { kind: "put", id: d.id, doc: d };
+      if (options && options.expectedVersion !== undefined && options.expectedVersion !== null) op.expectedVersion = Number(options.expectedVersion);
+      if (options?.keepVersion) op.keepVersion = true;
+      ops.push(op);
+      staged.set(d.id, d);
+      return d;
+    },
+    // options.expectedVersion: as for put(); the doc must still be at that version to be deleted
+    delete(id, options = {}) {
+      if (!id || typeof id !== "string") throw new Error("batch.delete: id required");
+      const op = { kind: "delete", id };
+      if (options && options.expectedVersion !== undefined && options.expectedVersion !== null) op.expectedVersion = Number(options.expectedVersion);
+      ops.push(op);
+      staged.set(id, null);
+    },
+    putBlob(hash, blob, meta = {}) {
+      if (typeof hash !== "string" || !hash.startsWith("sha256-")) throw new Error("batch.putBlob: key must be sha256-<hex>");
+      ops.push({ kind: "putBlob", id: hash, record: blobRecord(blob, meta) });
+    },
+    // Blob deletes are not recorded in the undo history
+    deleteBlob(hash) {
+      if (typeof hash !== "string" || !hash.startsWith("sha256-")) throw new Error("batch.deleteBlob: key must be sha256-<hex>");
+      ops.push({ kind: "deleteBlob", id: hash });
+    },
+    setMeta(key, value) {
+      ops.push({ kind: "setMeta", id: key, value });
+      stagedMeta.set(key, value);
+    },
+    // Reads see this batch's staged writes first
+    async get(id) {
+      if (staged.has(id)) return staged.get(id);
+      return await read(id);
+    },
+    async getMeta(key) {
+      if (stagedMeta.has(key)) return stagedMeta.get(key);
+      return await readMeta(key);
+    },
+  };
+  return { handle, ops };
+}
+
+// Undo/redo operation log, kept in the meta store: { undo: [entry], redo: [entry] }
+// entry = { label, at, changes: [{ id, before, after }] } where before/after are full doc snapshots (null = absent)
+export const HISTORY_KEY = "history";
+export const HISTORY_LIMIT = 100;
+
+export function cloneSnapshot(doc) {
+  if (doc == null) return null;
+  try { return structuredClone(doc); } catch { return JSON.parse(JSON.stringify(doc)); }
+}
+
+/**
+ * Set the meta.version a put is stored with: one past the stored doc's, so the version stays a
+ * trustworthy concurrency token even for writes that carry an older snapshot (undo/redo) or never
+ * bumped it. A higher version the writer chose on purpose (a pulled server doc) is kept.
+ * Called once per doc per batch by every adapter's commit.
+ * @param {Object} doc - Doc being stored (updated in place)
+ * @param {Object|null} prev - Stored doc before the batch
+ * @returns {Object} doc
+ */
+export function bumpVersion(doc, prev) {
+  const version = Math.max((prev?.meta?.version ?? 0) + 1, Number(doc.meta?.version) || 0);
+  doc.meta = { ...(doc.meta || {}), version };
+  return doc;
+}
+
+function commitOps(db, ops, { history = null, source = "" } = {}) {
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(["docs", "blobs", "meta", "revisions"], "readwrite");
+    const docs = t.objectStore("docs");
+    const blobs = t.objectStore("blobs");
+    const meta = t.objectStore("meta");
+    const revisions = t.objectStore("revisions");
+    const at = new Date().toISOString();
+    const before = new Map(); // docId -> doc before this batch (null if absent)
+    const final = new Map(); // docId -> final staged doc (null if deleted)
+    const expected = new Map(); // docId -> meta.version the first versioned write was based on
+    const keepVersion = new Set(); // docIds whose last put asked for keepVersion
+    for (const op of ops) {
+      if ((op.kind === "put" || op.kind === "delete") && op.expectedVersion !== undefined && !expected.has(op.id)) expected.set(op.id, op.expectedVersion);
+    }
+    let conflict = null;
+    for (const op of ops) {
+      if (op.kind === "put" || op.kind === "delete") {
+        // Only a doc's last write in the batch is stored
+        final.set(op.id, op.kind === "put" ? op.doc : null);
+        if (op.keepVersion) keepVersion.add(op.id);
+        else keepVersion.delete(op.id);
+      } else if (op.kind === "putBlob") {
+        blobs.put(op.record, op.id);
+      } else if (op.kind === "deleteBlob") {
+        blobs.delete(op.id);
+      } else if (op.kind === "setMeta") {
+        meta.put(op.value, op.id);
+      }
+    }
+    // Each doc write waits for its pre-batch read: requests run in order, so the read sees the
+    // stored doc, checks expectedVersion, keeps the overwritten revision and sets the new version
+    for (const id of final.keys()) {
+      before.set(id, null);
+      const r = docs.get(id);
+      r.onsuccess = () => {
+        const prev = withoutNameKey(r.result ?? null);
+        before.set(id, prev);
+        if (expected.has(id) && (prev?.meta?.version ?? 0) !== expected.get(id)) {
+          if (!conflict) {
+            conflict = new StoreConflictError(id, expected.get(id), prev);
+            try { t.abort(); } catch {}
+          }
+          return;
+        }
+        const doc = final.get(id);
+        if (doc) docs.put(withNameKey(keepVersion.has(id) ? doc : bumpVersion(doc, prev)), id);
+        else docs.delete(id);
+        if (!prev) return;
+        // Keep the overwritten version, then prune to the newest REVISION_LIMIT
+        revisions.add({ id, at, source, doc: prev });
+        const keysReq = revisions.index("id").getAllKeys(id);
+        keysReq.onsuccess = () => {
+          const keys = keysReq.result || [];
+          for (const key of keys.slice(0, Math.max(0, keys.length - REVISION_LIMIT))) revisions.delete(key);
+        };
+      };
+    }
+    if (history && final.size > 0) {
+      // Queued after every docs.get above, so all before-snapshots are known in onsuccess
+      const r = meta.get(HISTORY_KEY);
+      r.onsuccess = () => {
+        const changes = [];
+        for (const [id, after] of final.entries()) {
+          const prev = before.get(id) ?? null;
+          if (prev == null && after == null) continue;
+          changes.push({ id, before: cloneSnapshot(prev), after: cloneSnapshot(after) });
+        }
+        if (changes.length === 0) return;
+        const log = r.result && Array.isArray(r.result.undo) ? r.result : { undo: [], redo: [] };
+        const undo = [...log.undo, { label: history.label || "", at: new Date().toISOString(), changes }].slice(-HISTORY_LIMIT);
+        // A new edit invalidates the redo stack
+        meta.put({ undo, redo: [] }, HISTORY_KEY);
+      };
+    }
+    t.oncomplete = () => {
+      const added = [], updated = [], deleted = [];
+      for (const [id, doc] of final.entries()) {
+        const was = before.get(id) != null;
+        if (doc == null) { if (was) deleted.push(id); }
+        else if (was) updated.push(id);
+        else added.push(id);
+      }
+      resolve({ added, updated, deleted });
+    };
+    // Pending requests fail with AbortError after a conflict abort; report the conflict instead
+    t.onerror = () => reject(conflict || t.error);
+    t.onabort = () => reject(conflict || t.error || new Error("batch aborted"));
+  });
+}
+
+// Content hash used as a blob key: sha256-<hex>
+export async function hashBlob(blob) {
+  const buf = await blob.arrayBuffer();
+  const digest = await crypto.subtle.digest("SHA-256", buf);
+  const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  return `sha256-${hex}`;
+}
+
 export const store = {
-  async putDoc(doc) {
-    // Support both "id" and "$id" fields
-    const docId = doc.id || doc.$id;
-    if (!docId || typeof docId !== "string") throw new Error("putDoc: doc.id or doc.$id required");
-    // Ensure both are set for backward compatibility
-    doc.id = docId;
-    doc.$id = docId;
-    await tx("docs", "readwrite", (s) => s.put(doc, docId));
+  /**
+   * Run several writes atomically on the cached connection.
+   * The callback stages writes on `tx` (put, delete, putBlob, deleteBlob, setMeta; get and getMeta read staged state);
+   * nothing is written if it throws, and all staged writes commit in one transaction otherwise.
+   * Emits a single "store:changed" event with the added/updated/deleted doc ids.
+   * Each batch is one undo step unless `history: false` is passed.
+   * A put or delete staged with `{ expectedVersion }` makes the whole batch fail with StoreConflictError
+   * if the stored doc's meta.version differs (optimistic concurrency across tabs).
+   * Every stored doc gets a new meta.version here (see bumpVersion); callers need not bump it.
+   * A put staged with `{ keepVersion: true }` is stored with the meta.version it carries.
+   * @param {Function} fn - async (tx) => any
+   * @param {Object} options - { label, history, silent, source, reset } (source/reset go into the event detail)
+   * @returns {Promise<any>} The callback's return value
+   */
+  async batch(fn, options = {}) {
+    const { silent = false, history = true, label = "", ...extra } = options || {};
+    const { handle, ops } = createBatchHandle((id) => store.getDoc(id), (key) => store.getMeta(key));
+    const result = await fn(handle);
+    if (ops.length === 0) return result;
+    const db = await openDB();
+    const changes = await commitOps(db, ops, { history: history ? { label } : null, source: extra.source || label });
+    if (!silent) emitStoreChanged({ ...changes, ...extra });
+    return result;
+  },
+  // options.expectedVersion: see batch(); other options are passed to batch().
+  // The doc is left with the meta.version it was stored with (see bumpVersion).
+  async putDoc(doc, options = {}) {
+    const { expectedVersion, ...batchOptions } = options || {};
+    normalizeDocForPut(doc, "putDoc");
+    await store.batch((t) => { t.put(doc, { expectedVersion }); }, batchOptions);
   },
-  async deleteDoc(id) {
+  async deleteDoc(id, options = {}) {
     if (!id || typeof id !== "string") throw new Error("deleteDoc: id required");
-    await tx("docs", "readwrite", (s) => s.delete(id));
+    await store.batch((t) => { t.delete(id); }, options);
   },
   async getDoc(id) {
     return await tx("docs", "readonly", (s) => new Promise((res, rej) => {
       const r = s.get(id);
-      r.onsuccess = () => res(r.result ?? null);
+      r.onsuccess = () => res(withoutNameKey(r.result ?? null));
       r.onerror = () => rej(r.error);
     }));
   },
@@ -62,10 +370,11 @@ export const store = {
       cursorReq.onsuccess = () => {
         const cur = cursorReq.result;
         if (cur) {
-          const doc = cur.value;
+          const doc = withoutNameKey(cur.value);
           const docId = doc.id || doc.$id;
           if (!prefix || String(cur.key).startsWith(prefix)) {
             results.push({ 
+              key: String(cur.key),
               id: docId,
               $id: docId,  // backward compat
               type: doc.type,
@@ -82,10 +391,78 @@ export const store = {
       cursorReq.onerror = () => rej(cursorReq.error);
     }));
   },
+  /**
+   * Query docs through the secondary indexes.
+   * Uses the most selective index among the given criteria and filters the rest in memory.
+   * With no criteria, returns every doc in a single read.
+   * @param {Object} criteria - { type, parent, origin, namePrefix }
+   * @returns {Promise<Array>} Matching docs
+   */
+  async queryDocs({ type, parent, origin, namePrefix } = {}) {
+    const prefix = namePrefix != null && namePrefix !== "" ? normalizeName(namePrefix) : null;
+    const matches = (doc) => {
+      if (!doc) return false;
+      if (type != null && doc.type !== type) return false;
+      if (parent != null && doc.parent !== parent) return false;
+      if (origin != null && doc.meta?.origin !== origin) return false;
+      if (prefix != null && !String(doc.meta?.nameKey ?? normalizeName(doc.name)).startsWith(prefix)) return false;
+      return true;
+    };
+    const docs = await tx("docs", "readonly", (s) => new Promise((res, rej) => {
+      let r;
+      if (parent != null) r = s.index("parent").getAll(parent);
+      else if (type != null) r = s.index("type").getAll(type);
+      else if (prefix != null) r = s.index("name").getAll(IDBKeyRange.bound(prefix, prefix + "\uffff"));
+      else if (origin != null) r = s.index("origin").getAll(origin);
+      else r = s.getAll();
+      r.onsuccess = () => res(r.result || []);
+      r.onerror = () => rej(r.error);
+    }));
+    return docs.filter(matches).map(withoutNameKey);
+  },
+  /**
+   * List stored previous versions of a doc, newest first
+   * @param {string} id - Doc id
+   * @returns {Promise<Array>} [{ rev, version, at, source, doc }]
+   */
+  async listRevisions(id) {
+    if (!id || typeof id !== "string") throw new Error("listRevisions: id required");
+    const records = await tx("revisions", "readonly", (s) => new Promise((res, rej) => {
+      const r = s.index("id").getAll(id);
+      r.onsuccess = () => res(r.result || []);
+      r.onerror = () => rej(r.error);
+    }));
+    return records
+      .map((rec) => ({ rev: rec.seq, version: rec.doc?.meta?.version ?? null, at: rec.at, source: rec.source || "", doc: withoutNameKey(rec.doc) }))
+      .sort((a, b) => b.rev - a.rev);
+  },
+  /**
+   * Write a stored revision back as the current doc (the replaced version becomes a revision itself)
+   * @param {string} id - Doc id
+   * @param {number} rev - Revision number from listRevisions()
+   * @returns {Promise<Object>} The restored doc
+   */
+  async restoreRevision(id, rev) {
+    const record = await tx("revisions", "readonly", (s) => new Promise((res, rej) => {
+      const r = s.get(Number(rev));
+      r.onsuccess = () => res(r.result ?? null);
+      r.onerror = () => rej(r.error);
+    }));
+    if (!record || record.id !== id) throw new Error(`restoreRevision: revision ${rev} not found for ${id}`);
+    const current = await store.getDoc(id);
+    const doc = structuredClone(record.doc);
+    doc.meta = {
+      ...(doc.meta || {}),
+      version: (current?.meta?.version ?? doc.meta?.version ?? 0) + 1,
+      updatedAt: new Date().toISOString(),
+      restoredFrom: Number(rev),
+    };
+    await store.putDoc(doc, { label: `Restore ${doc.name || id} to revision ${rev}`, source: "restoreRevision" });
+    return doc;
+  },
   async putBlob(hash, blob, meta = {}) {
     if (typeof hash !== "string" || !hash.startsWith("sha256-")) throw new Error("putBlob: key must be sha256-<hex>");
-    const record = { data: blob, meta: { ...meta, size: blob?.size ?? meta.size ?? 0, createdAt: meta.createdAt || new Date().toISOString() } };
-    await tx("blobs", "readwrite", (s) => s.put(record, hash));
+    await tx("blobs", "readwrite", (s) => s.put(blobRecord(blob, meta), hash));
   },
   async getBlob(hash) {
     return await tx("blobs", "readonly", (s) => new Promise((res, rej) => {
@@ -94,6 +471,13 @@ export const store = {
       r.onerror = () => rej(r.error);
     }));
   },
+  async listBlobHashes() {
+    return await tx("blobs", "readonly", (s) => new Promise((res, rej) => {
+      const r = s.getAllKeys();
+      r.onsuccess = () => res((r.result || []).map(String));
+      r.onerror = () => rej(r.error);
+    }));
+  },
   async hasBlob(hash) {
     return await tx("blobs", "readonly", (s) => new Promise((res, rej) => {
       const r = s.getKey(hash);
@@ -111,10 +495,5 @@ export const store = {
   async setMeta(key, value) {
     await tx("meta", "readwrite", (s) => s.put(value, key));
   },
-  async hashBlob(blob) {
-    const buf = await blob.arrayBuffer();
-    const digest = await crypto.subtle.digest("SHA-256", buf);
-    const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
-    return `sha256-${hex}`;
-  },
+  hashBlob,
 };
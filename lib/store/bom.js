@@ -0,0 +1,175 @@
+/**
+ * Bill of Materials
+ *
+ * Walks an instance tree through its effective slots and counts parts by type.
+ * Purchasing data comes from optional properties (BOM_FIELDS): the instance's own
+ * value first, then the property default declared on its type chain, e.g.
+ *   "properties": { "unitCost": { "type": "number", "unit": "USD", "default": 4.5 } }
+ * Instances of one type that disagree on any of those values get separate lines.
+ */
+
+import { store } from './adapter.js'
+import { getNested } from './slot-path.js'
+import { getEffectiveProperties, walkInstanceTree } from './type-system.js'
+
+export const BOM_FIELDS = ['partNumber', 'supplier', 'unitCost', 'mass']
+
+const adapterOf = (options) => options?.adapter || store
+
+// Sum a numeric field over the lines that have it; no total when none do or they use different units
+function sumWithUnit(lines, valueOf, unitOf) {
+  const priced = lines.filter((l) => typeof valueOf(l) === 'number')
+  const units = new Set(priced.map(unitOf))
+  if (priced.length === 0 || units.size > 1) return { total: null, unit: '' }
+  return { total: priced.reduce((sum, l) => sum + valueOf(l), 0), unit: [...units][0] || '' }
+}
+
+/**
+ * Compute the bill of materials for an instance (or for a fresh, unsaved instance of a type)
+ * @param {string} rootId - Instance id, or a type id to preview the type's default tree
+ * @param {Object} options - { adapter, includeRoot = false }
+ * @returns {Promise<Object>} {
+ *   root: { id, name, type },
+ *   lines: [{ key, type, name, quantity, partNumber, supplier, unitCost, costUnit, cost, mass, massUnit, totalMass, assembly, instances }],
+ *   totals: { quantity, cost, costUnit, mass, massUnit, unpriced },
+ *   missing: [ids referenced by a slot but not in the store]
+ * }
+ */
+export async function computeBOM(rootId, options = {}) {
+  const { includeRoot = false } = options
+  const adapter = adapterOf(options)
+  if (!rootId) throw new Error('computeBOM: instance id required')
+
+  const typeNames = new Map()
+  const propsByType = new Map()
+  const typeInfo = async (typeId) => {
+    if (!propsByType.has(typeId)) {
+      const typeDoc = typeId ? await adapter.getDoc(typeId) : null
+      typeNames.set(typeId, typeDoc?.name || typeId || '(untyped)')
+      propsByType.set(typeId, await getEffectiveProperties(typeId, { adapter }))
+    }
+    return { name: typeNames.get(typeId), props: propsByType.get(typeId) }
+  }
+
+  const lines = new Map()
+  const { root, missing } = await walkInstanceTree(rootId, async (doc, { depth, childIds }) => {
+    if (depth === 0 && !includeRoot) return
+    const { name, props } = await typeInfo(doc.type)
+    const values = {}
+    for (const field of BOM_FIELDS) {
+      const own = getNested(doc, field)
+      values[field] = own !== undefined && own !== null ? own : props[field]?.default ?? null
+    }
+    const key = JSON.stringify([doc.type || '', ...BOM_FIELDS.map((f) => values[f])])
+    if (!lines.has(key)) {
+      lines.set(key, {
+        key,
+        type: doc.type || null,
+        name,
+        quantity: 0,
+        ...values,
+        costUnit: props.unitCost?.unit || '',
+        massUnit: props.mass?.unit || '',
+        assembly: false,
+        instances: [],
+      })
+    }
+    const line = lines.get(key)
+    line.quantity++
+    line.instances.push(doc.id)
+    if (childIds.length) line.assembly = true
+  }, { adapter })
+
+  const out = [...lines.values()]
+    .map((l) => ({
+      ...l,
+      cost: typeof l.unitCost === 'number' ? l.unitCost * l.quantity : null,
+      totalMass: typeof l.mass === 'number' ? l.mass * l.quantity : null,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name) || a.key.localeCompare(b.key))
+
+  const cost = sumWithUnit(out, (l) => l.cost, (l) => l.costUnit)
+  const mass = sumWithUnit(out, (l) => l.totalMass, (l) => l.massUnit)
+  return {
+    root: { id: root.id, name: root.name || root.id, type: root.type || null },
+    lines: out,
+    totals: {
+      quantity: out.reduce((sum, l) => sum + l.quantity, 0),
+      cost: cost.total,
+      costUnit: cost.unit,
+      mass: mass.total,
+      massUnit: mass.unit,
+      unpriced: out.filter((l) => typeof l.unitCost !== 'number').length,
+    },
+    missing,
+  }
+}
+
+const BOM_COLUMNS = [
+  ['Qty', (l) => l.quantity],
+  ['Name', (l) => l.name],
+  ['Type', (l) => l.type || ''],
+  ['Part Number', (l) => l.partNumber ?? ''],
+  ['Supplier', (l) => l.supplier ?? ''],
+  ['Unit Cost', (l) => formatAmount(l.unitCost, l.costUnit)],
+  ['Cost', (l) => formatAmount(l.cost, l.costUnit)],
+  ['Unit Mass', (l) => formatAmount(l.mass, l.massUnit)],
+  ['Mass', (l) => formatAmount(l.totalMass, l.massUnit)],
+]
+
+/**
+ * Format a number with its unit for BOM output ('' when not set)
+ * @param {number|null} value
+ * @param {string} unit
+ * @returns {string}
+ */
+export function formatAmount(value, unit = '') {
+  if (typeof value !== 'number') return ''
+  const text = Number.isInteger(value) ? String(value) : value.toFixed(2)
+  return unit ? `${text} ${unit}` : text
+}
+
+/**
+ * Header and rows of a BOM as strings, in column order (shared by CSV, Markdown and the UI)
+ * @param {Object} bom - computeBOM() result
+ * @returns {Object} { header: [string], rows: [[string]], totals: [string] }
+ */
+export function bomTable(bom) {
+  const { totals } = bom
+  return {
+    header: BOM_COLUMNS.map(([title]) => title),
+    rows: bom.lines.map((l) => BOM_COLUMNS.map(([, value]) => String(value(l)))),
+    totals: [String(totals.quantity), 'Total', '', '', '', '', formatAmount(totals.cost, totals.costUnit), '', formatAmount(totals.mass, totals.massUnit)],
+  }
+}
+
+/**
+ * Export a BOM as CSV (RFC 4180 quoting), with a totals row
+ * @param {Object} bom - computeBOM() result
+ * @returns {string}
+ */
+export function bomToCSV(bom) {
+  const quote = (s) => (/[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s)
+  const { header, rows, totals } = bomTable(bom)
+  return [header, ...rows, totals].map((r) => r.map(quote).join(',')).join('\n') + '\n'
+}
+
+/**
+ * Export a BOM as a Markdown (GFM) table, with a totals row
+ * @param {Object} bom - computeBOM() result
+ * @returns {string}
+ */
+export function bomToMarkdown(bom) {
+  const cell = (s) => s.replace(/\|/g, '\\|').replace(/\n/g, ' ')
+  const { header, rows, totals } = bomTable(bom)
+  const row = (r) => `| ${r.map(cell).join(' | ')} |`
+  return [
+    `**${cell(bom.root.name)}**`,
+    '',
+    row(header),
+    `| ${header.map((_, i) => (i === 0 ? '--:' : '---')).join(' | ')} |`,
+    ...rows.map(row),
+    row(totals.map((t) => (t ? `**${t}**` : ''))),
+    '',
+  ].join('\n')
+}
@@ -0,0 +1,205 @@
+// Portable export/import of a store subtree as a single JSON bundle file.
+// A bundle holds an instance subtree, every type it depends on (type chain, slot types and
+// any other spoke://types/ reference) and the sha256- blobs referenced by those docs.
+//
+// Bundle shape:
+//   { format: "spoke-bundle", version: 1, exportedAt, root, docs: [doc], blobs: [{ hash, mime, filename, size, data: base64 }] }
+
+import { store } from "./adapter.js";
+import { generateInstanceId } from "./id.js";
+import { deepReplaceIds } from "./seed-utils.js";
+
+export const BUNDLE_FORMAT = "spoke-bundle";
+export const BUNDLE_VERSION = 1;
+
+const isTypeId = (v) => typeof v === "string" && v.startsWith("spoke://types/");
+const isInstanceId = (v) => typeof v === "string" && v.startsWith("spoke://instances/");
+const isBlobRef = (v) => typeof v === "string" && v.startsWith("sha256-");
+const adapterOf = (options) => options?.adapter || store;
+
+// Collect every string value in a doc that matches the predicate
+function collectStrings(obj, pred, out = new Set()) {
+  if (obj == null) return out;
+  if (typeof obj === "string") {
+    if (pred(obj)) out.add(obj);
+  } else if (Array.isArray(obj)) {
+    for (const v of obj) collectStrings(v, pred, out);
+  } else if (typeof obj === "object") {
+    for (const v of Object.values(obj)) collectStrings(v, pred, out);
+  }
+  return out;
+}
+
+function docId(doc) {
+  return doc?.id || doc?.$id || null;
+}
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = "";
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+function base64ToBlob(data, mime) {
+  const binary = atob(data || "");
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], mime ? { type: mime } : undefined);
+}
+
+/**
+ * Build a bundle for a doc and everything beneath it
+ * @param {string} rootId - Root of the subtree to export
+ * @param {Object} options - { adapter } (defaults to the IndexedDB store)
+ * @returns {Promise<Object>} Bundle object (see header for shape)
+ */
+export async function exportBundle(rootId, options = {}) {
+  const adapter = adapterOf(options);
+  const root = await adapter.getDoc(rootId);
+  if (!root) throw new Error(`exportBundle: ${rootId} not found`);
+
+  // Subtree: children that point back at the doc, found through parent links and the instance ids
+  // held in its slot values. The doc's own parent link is never followed, so exporting a
+  // sub-assembly does not pull in the assembly above it (and through it, every sibling).
+  const docs = new Map();
+  const queue = [root];
+  while (queue.length) {
+    const doc = queue.shift();
+    const id = docId(doc);
+    if (!id || docs.has(id)) continue;
+    docs.set(id, doc);
+    const childIds = new Set((await adapter.queryDocs({ parent: id })).map(docId));
+    const { parent, parentSlot, ...fields } = doc;
+    for (const ref of collectStrings(fields, isInstanceId)) childIds.add(ref);
+    for (const childId of childIds) {
+      if (!childId || docs.has(childId)) continue;
+      const child = await adapter.getDoc(childId);
+      if (child && child.parent === id) queue.push(child);
+    }
+  }
+
+  // Types: anything referenced from the subtree, closed over the types they reference in turn
+  const typeQueue = [...docs.values()].flatMap((d) => [...collectStrings(d, isTypeId)]);
+  while (typeQueue.length) {
+    const typeId = typeQueue.shift();
+    if (docs.has(typeId)) continue;
+    const typeDoc = await adapter.getDoc(typeId);
+    if (!typeDoc) continue;
+    docs.set(typeId, typeDoc);
+    for (const ref of collectStrings(typeDoc, isTypeId)) if (!docs.has(ref)) typeQueue.push(ref);
+  }
+
+  const blobs = [];
+  const hashes = new Set();
+  for (const d of docs.values()) collectStrings(d, isBlobRef, hashes);
+  for (const hash of hashes) {
+    const rec = await adapter.getBlob(hash);
+    if (!rec?.data) continue;
+    const meta = rec.meta || {};
+    blobs.push({ hash, mime: meta.mime || rec.data.type || null, filename: meta.filename || null, size: rec.data.size, data: await blobToBase64(rec.data) });
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    root: rootId,
+    docs: [...docs.values()],
+    blobs,
+  };
+}
+
+/**
+ * Parse and sanity-check a bundle file's text
+ * @param {string} text - File contents
+ * @returns {Object} Bundle object
+ */
+export function parseBundle(text) {
+  let bundle;
+  try { bundle = JSON.parse(text); } catch (e) { throw new Error(`Invalid bundle: ${e.message}`); }
+  if (bundle?.format !== BUNDLE_FORMAT) throw new Error("Invalid bundle: not a spoke-bundle file");
+  if (bundle.version > BUNDLE_VERSION) throw new Error(`Unsupported bundle version ${bundle.version}`);
+  if (!Array.isArray(bundle.docs)) throw new Error("Invalid bundle: docs missing");
+  return { ...bundle, blobs: Array.isArray(bundle.blobs) ? bundle.blobs : [] };
+}
+
+/**
+ * Ids in the bundle that already exist in the store
+ * @param {Object} bundle - From parseBundle()
+ * @param {Object} options - { adapter }
+ * @returns {Promise<Object>} { instances: [ids], types: [ids], other: [ids] }
+ */
+export async function findBundleCollisions(bundle, options = {}) {
+  const out = { instances: [], types: [], other: [] };
+  for (const doc of bundle.docs) {
+    const id = docId(doc);
+    if (!id || !(await adapterOf(options).getDoc(id))) continue;
+    if (isInstanceId(id)) out.instances.push(id);
+    else if (isTypeId(id)) out.types.push(id);
+    else out.other.push(id);
+  }
+  return out;
+}
+
+/**
+ * Write a bundle into the store as one atomic, undoable batch.
+ * Colliding ids are handled per mode:
+ *   "remap"     - colliding instances get fresh ids (references rewritten); local types and docs are kept
+ *   "overwrite" - bundle docs replace local ones; site docs stay origin "site" so seed reconcile still updates them
+ * Blobs are content-addressed: missing ones are added, and any whose hash does not match are skipped.
+ * @param {Object} bundle - From parseBundle()
+ * @param {Object} options - { mode: 'remap'|'overwrite', adapter }
+ * @returns {Promise<Object>} { root, written: [ids], kept: [ids], remapped: { oldId: newId }, skippedBlobs: [hashes] }
+ */
+export async function importBundle(bundle, options = {}) {
+  const mode = options.mode === "overwrite" ? "overwrite" : "remap";
+  const adapter = adapterOf(options);
+  const collisions = await findBundleCollisions(bundle, { adapter });
+
+  const mapping = {};
+  if (mode === "remap") {
+    const byId = new Map(bundle.docs.map((d) => [docId(d), d]));
+    for (const id of collisions.instances) mapping[id] = generateInstanceId({ typeId: byId.get(id)?.type });
+  }
+  const keep = new Set(mode === "remap" ? [...collisions.types, ...collisions.other] : []);
+  const docs = bundle.docs.map((d) => deepReplaceIds(d, mapping));
+  const bundleIds = new Set(docs.map(docId));
+
+  const skippedBlobs = [];
+  const blobs = [];
+  for (const b of bundle.blobs) {
+    if (!isBlobRef(b?.hash) || await adapter.hasBlob(b.hash)) continue;
+    const data = base64ToBlob(b.data, b.mime);
+    if (await adapter.hashBlob(data) !== b.hash) { skippedBlobs.push(b.hash); continue; }
+    blobs.push({ ...b, data });
+  }
+
+  const now = new Date().toISOString();
+  const written = [];
+  const kept = [];
+  const rootId = mapping[bundle.root] || bundle.root;
+  await adapter.batch(async (tx) => {
+    for (const doc of docs) {
+      const id = docId(doc);
+      if (!id) continue;
+      if (keep.has(id)) { kept.push(id); continue; }
+      const existing = await tx.get(id);
+      const origin = existing?.meta?.origin === "site" ? "site" : "user";
+      const next = { ...doc, meta: { ...(doc.meta || {}), origin, updatedAt: now, version: (existing?.meta?.version || 0) + 1 } };
+      // The exported root's parent is not part of the bundle; import it as a detached root
+      if (next.parent && !bundleIds.has(next.parent)) {
+        delete next.parent;
+        delete next.parentSlot;
+      }
+      tx.put(next);
+      written.push(id);
+    }
+    for (const b of blobs) tx.putBlob(b.hash, b.data, { mime: b.mime, size: b.data.size, filename: b.filename });
+  }, { label: `Import ${rootId}`, source: "importBundle" });
+
+  return { root: rootId, written, kept, remapped: mapping, skippedBlobs };
+}
@@ -0,0 +1,91 @@
+// Structural JSON diff and three-way merge for store docs (revision viewer, save conflicts)
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Compute a structural diff between two JSON values.
+ * Objects are compared key by key, arrays index by index; anything else by value.
+ * @param {any} a - Old value
+ * @param {any} b - New value
+ * @param {Object} options - { ignore: [top-level keys to skip, e.g. "meta"] }
+ * @returns {Array<Object>} [{ path, op: 'add'|'remove'|'change', before, after }] with JSON-Pointer paths
+ */
+export function diffJson(a, b, options = {}) {
+  const ignore = new Set(options.ignore || []);
+  const out = [];
+  const walk = (x, y, path, depth) => {
+    if (x === y) return;
+    if (isPlainObject(x) && isPlainObject(y)) {
+      const keys = new Set([...Object.keys(x), ...Object.keys(y)]);
+      for (const k of [...keys].sort()) {
+        if (depth === 0 && ignore.has(k)) continue;
+        const p = `${path}/${escapePointer(k)}`;
+        if (!(k in y)) out.push({ path: p, op: "remove", before: x[k] });
+        else if (!(k in x)) out.push({ path: p, op: "add", after: y[k] });
+        else walk(x[k], y[k], p, depth + 1);
+      }
+      return;
+    }
+    if (Array.isArray(x) && Array.isArray(y)) {
+      const n = Math.max(x.length, y.length);
+      for (let i = 0; i < n; i++) {
+        const p = `${path}/${i}`;
+        if (i >= y.length) out.push({ path: p, op: "remove", before: x[i] });
+        else if (i >= x.length) out.push({ path: p, op: "add", after: y[i] });
+        else walk(x[i], y[i], p, depth + 1);
+      }
+      return;
+    }
+    if (JSON.stringify(x) !== JSON.stringify(y)) {
+      out.push({ path: path || "/", op: "change", before: x, after: y });
+    }
+  };
+  walk(a, b, "", 0);
+  return out;
+}
+
+const sameJson = (x, y) => x === y || JSON.stringify(x) === JSON.stringify(y);
+
+/**
+ * Three-way merge of two edits of the same JSON value.
+ * Objects merge key by key; arrays and scalars are replaced as a whole.
+ * A path changed on only one side takes that side; changed differently on both sides it is a
+ * conflict and the merged value keeps `mine` there.
+ * @param {any} base - Common ancestor (the version both edits started from)
+ * @param {any} mine - Local edit
+ * @param {any} theirs - Concurrent edit (e.g. saved from another tab)
+ * @param {Object} options - { ignore: [top-level keys to take from `theirs` without conflict, e.g. "meta"] }
+ * @returns {Object} { merged, conflicts: [{ path, base, mine, theirs }] } with JSON-Pointer paths
+ */
+export function mergeJson(base, mine, theirs, options = {}) {
+  const ignore = new Set(options.ignore || []);
+  const conflicts = [];
+  const merge = (b, m, t, path, depth) => {
+    if (sameJson(m, t)) return m;
+    if (sameJson(b, m)) return t;
+    if (sameJson(b, t)) return m;
+    if (isPlainObject(m) && isPlainObject(t)) {
+      const bo = isPlainObject(b) ? b : {};
+      const out = {};
+      const keys = new Set([...Object.keys(m), ...Object.keys(t)]);
+      for (const k of keys) {
+        if (depth === 0 && ignore.has(k)) {
+          if (k in t) out[k] = t[k];
+          continue;
+        }
+        const v = merge(bo[k], m[k], t[k], `${path}/${escapePointer(k)}`, depth + 1);
+        if (v !== undefined) out[k] = v;
+      }
+      return out;
+    }
+    conflicts.push({ path: path || "/", base: b, mine: m, theirs: t });
+    return m;
+  };
+  return { merged: merge(base, mine, theirs, "", 0), conflicts };
+}
@@ -0,0 +1,79 @@
+// Typed change events emitted by the store adapter.
+// Every committed write (single putDoc/deleteDoc or a batch) dispatches exactly one
+// "store:changed" CustomEvent on window with detail:
+//   { added: [ids], updated: [ids], deleted: [ids], source?: string, reset?: boolean, refresh?: boolean, remote?: boolean }
+// Events are also posted on a BroadcastChannel so other tabs on the same origin (sharing the
+// same IndexedDB) see them; those arrive locally with remote: true and are never re-posted.
+
+export const STORE_CHANGED = "store:changed";
+export const STORE_CHANNEL = "spoke-store";
+
+// Lazily opened; false when BroadcastChannel is unavailable (SSR, old browsers)
+let channel = null;
+
+function getChannel() {
+  if (channel !== null) return channel;
+  channel = false;
+  try {
+    if (typeof window === "undefined" || typeof BroadcastChannel === "undefined") return channel;
+    channel = new BroadcastChannel(STORE_CHANNEL);
+    channel.onmessage = (e) => {
+      const detail = e?.data;
+      if (!detail || typeof detail !== "object") return;
+      try { window.dispatchEvent(new CustomEvent(STORE_CHANGED, { detail: { ...detail, remote: true } })); } catch {}
+    };
+  } catch {
+    channel = false;
+  }
+  return channel;
+}
+
+export function emitStoreChanged(detail = {}) {
+  const payload = {
+    added: [],
+    updated: [],
+    deleted: [],
+    ...detail,
+  };
+  try {
+    if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent(STORE_CHANGED, { detail: payload }));
+  } catch {}
+  if (!payload.remote) {
+    const ch = getChannel();
+    try { if (ch) ch.postMessage(payload); } catch (err) { console.warn("[store:events] broadcast failed", err); }
+  }
+  return payload;
+}
+
+/**
+ * Subscribe to store change events. Returns an unsubscribe function.
+ * @param {Function} handler - Called with the event detail
+ */
+export function subscribeStoreChanges(handler) {
+  if (typeof window === "undefined" || typeof handler !== "function") return () => {};
+  // Start listening for other tabs as soon as anything here cares about changes
+  getChannel();
+  const listener = (e) => {
+    try { handler(e?.detail || { added: [], updated: [], deleted: [] }); } catch (err) { console.warn("[store:events] handler failed", err); }
+  };
+  window.addEventListener(STORE_CHANGED, listener);
+  return () => window.removeEventListener(STORE_CHANGED, listener);
+}
+
+/**
+ * All ids touched by a change event (added, updated and deleted)
+ */
+export function changedIds(detail) {
+  if (!detail) return [];
+  return [...(detail.added || []), ...(detail.updated || []), ...(detail.deleted || [])];
+}
+
+/**
+ * True if the change event touches the given id, or is a store-wide reset/refresh
+ */
+export function touches(detail, id) {
+  if (!detail) return false;
+  if (detail.reset || detail.refresh) return true;
+  if (!id) return false;
+  return changedIds(detail).includes(id);
+}
@@ -0,0 +1,200 @@
+// Node filesystem adapter over a directory of JSON docs laid out like public/store-seed:
+//   index.json  { docs: [{ path, array?, $id? }], blobs: [{ hash, path, mime, size, filename }] }
+//   <path>      one doc per file, or an array of docs when the index entry has array: true
+// Without index.json every *.json file in the directory is read as one doc (or an array of docs).
+// Docs are served from a memory adapter; each committed batch is written back to the files the
+// docs came from before it is applied. New docs get their own file (added to index.json), new
+// blobs go to blobs/<hash>. Meta, undo history and revisions are kept in memory only.
+// Node only: never import this from browser code.
+
+import fs from "fs/promises";
+import path from "path";
+import { createMemoryAdapter } from "./memory-adapter.js";
+
+const INDEX_FILE = "index.json";
+const BLOB_DIR = "blobs";
+
+async function readJson(file) {
+  const text = await fs.readFile(file, "utf8");
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${file}: ${e.message}`);
+  }
+}
+
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(data, null, 2)}\n`, "utf8");
+}
+
+// File name for a doc created through the adapter: spoke://types/power/cell -> types-power-cell.json
+function fileNameForId(id) {
+  return `${String(id).replace(/^spoke:\/\//, "").replace(/[^\w.-]+/g, "-")}.json`;
+}
+
+/**
+ * Open a directory of JSON docs as a store adapter
+ * @param {string} dir - Directory (e.g. public/store-seed)
+ * @param {Object} options - { onChange } passed to createMemoryAdapter()
+ * @returns {Promise<Object>} Adapter, plus `sources` (Map docId -> relative file path) and
+ *   `issues` ([{ path, message }] for files or entries that could not be loaded)
+ */
+export async function openFsAdapter(dir, options = {}) {
+  const root = path.resolve(dir);
+  const indexPath = path.join(root, INDEX_FILE);
+  let index = null;
+  try {
+    index = await readJson(indexPath);
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  const entries = index
+    ? (Array.isArray(index.docs) ? index.docs : [])
+    : (await fs.readdir(root)).filter((f) => f.endsWith(".json")).sort().map((f) => ({ path: f, array: undefined }));
+
+  const docs = [];
+  const sources = new Map(); // docId -> relative path
+  const files = new Map(); // relative path -> { array, ids: [docId], plain: Set(docId without $id in the file) }
+  const issues = [];
+  for (const entry of entries) {
+    const rel = String(entry?.path || "");
+    if (!rel) continue;
+    let data;
+    try {
+      data = await readJson(path.join(root, rel));
+    } catch (e) {
+      issues.push({ path: rel, message: e.code === "ENOENT" ? `Missing file ${rel}` : e.message });
+      continue;
+    }
+    const array = entry.array ?? Array.isArray(data);
+    if (array && !Array.isArray(data)) {
+      issues.push({ path: rel, message: `Expected array in ${rel}` });
+      continue;
+    }
+    const file = { array, ids: [], plain: new Set() };
+    files.set(rel, file);
+    for (const doc of array ? data : [data]) {
+      if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+        issues.push({ path: rel, message: `Invalid entry in ${rel}` });
+        continue;
+      }
+      const docId = doc.id || doc.$id || (!array && entry.$id);
+      if (typeof docId !== "string") {
+        issues.push({ path: rel, message: `Missing id in ${array ? "entry from " : ""}${rel}` });
+        continue;
+      }
+      if (sources.has(docId)) {
+        issues.push({ path: rel, message: `Duplicate id ${docId} in ${rel} and ${sources.get(docId)}` });
+        continue;
+      }
+      if (!doc.$id) file.plain.add(docId);
+      file.ids.push(docId);
+      sources.set(docId, rel);
+      docs.push(doc);
+    }
+  }
+  const blobEntries = index && Array.isArray(index.blobs) ? index.blobs : [];
+
+  // Docs as they go into the files: a plain doc keeps its id-only form
+  const toFileDoc = (doc, plain) => {
+    const out = { ...doc };
+    if (plain && out.$id === out.id) delete out.$id;
+    return out;
+  };
+
+  const persist = async ({ docs: changed, blobs: changedBlobs, get }) => {
+    const touched = new Set();
+    const nextSources = new Map(sources);
+    const nextFiles = new Map([...files].map(([rel, f]) => [rel, { ...f, ids: [...f.ids], plain: new Set(f.plain) }]));
+    const removed = new Set(); // files deleted because their last doc was
+    let indexChanged = false;
+    for (const [id, doc] of changed.entries()) {
+      const rel = nextSources.get(id);
+      if (rel) {
+        touched.add(rel);
+        if (doc == null) {
+          const file = nextFiles.get(rel);
+          file.ids = file.ids.filter((x) => x !== id);
+          nextSources.delete(id);
+        }
+      } else if (doc != null) {
+        let name = fileNameForId(id);
+        for (let n = 2; nextFiles.has(name); n++) name = fileNameForId(`${id}-${n}`);
+        nextFiles.set(name, { array: false, ids: [id], plain: new Set([id]) });
+        nextSources.set(id, name);
+        touched.add(name);
+        indexChanged = true;
+      }
+    }
+
+    const nextBlobs = [...blobEntries];
+    const blobFiles = []; // [relative path, record | null]
+    for (const [hash, record] of changedBlobs.entries()) {
+      const at = nextBlobs.findIndex((b) => b.hash === hash);
+      if (record == null) {
+        if (at < 0) continue;
+        if (nextBlobs[at].path) blobFiles.push([nextBlobs[at].path, null]);
+        nextBlobs.splice(at, 1);
+      } else {
+        const ext = path.extname(record.meta?.filename || "");
+        const rel = at >= 0 && nextBlobs[at].path ? nextBlobs[at].path : `${BLOB_DIR}/${hash}${ext}`;
+        const entry = { hash, path: rel, mime: record.meta?.mime, size: record.meta?.size, filename: record.meta?.filename };
+        if (at >= 0) nextBlobs[at] = entry;
+        else nextBlobs.push(entry);
+        blobFiles.push([rel, record]);
+      }
+      indexChanged = true;
+    }
+
+    for (const rel of touched) {
+      const file = nextFiles.get(rel);
+      const fileDocs = file.ids.map((id) => toFileDoc(get(id), file.plain.has(id)));
+      if (!file.array && fileDocs.length === 0) {
+        await fs.rm(path.join(root, rel), { force: true });
+        nextFiles.delete(rel);
+        removed.add(rel);
+        indexChanged = true;
+      } else {
+        await writeJson(path.join(root, rel), file.array ? fileDocs : fileDocs[0]);
+      }
+    }
+    for (const [rel, record] of blobFiles) {
+      const file = path.join(root, rel);
+      if (record == null) {
+        await fs.rm(file, { force: true });
+      } else {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, Buffer.from(await record.data.arrayBuffer()));
+      }
+    }
+    if (indexChanged && index) {
+      const kept = (index.docs || []).filter((e) => !removed.has(String(e?.path || "")));
+      const listed = new Set(kept.map((e) => String(e?.path || "")));
+      const created = [...nextFiles.keys()].filter((rel) => !listed.has(rel)).map((rel) => ({ path: rel }));
+      index = { ...index, docs: [...kept, ...created], blobs: nextBlobs };
+      await writeJson(indexPath, index);
+    }
+
+    sources.clear();
+    for (const [id, rel] of nextSources) sources.set(id, rel);
+    files.clear();
+    for (const [rel, f] of nextFiles) files.set(rel, { array: f.array, ids: f.ids, plain: f.plain });
+    blobEntries.splice(0, blobEntries.length, ...nextBlobs);
+  };
+
+  // Blobs declared in index.json are read once, at open
+  const blobs = [];
+  for (const b of blobEntries) {
+    if (typeof b?.hash !== "string" || !b.path) continue;
+    try {
+      const buf = await fs.readFile(path.join(root, b.path));
+      blobs.push([b.hash, { data: new Blob([buf], { type: b.mime || "" }), meta: { mime: b.mime, size: buf.length, filename: b.filename } }]);
+    } catch (e) {
+      issues.push({ path: b.path, message: `Failed to read blob ${b.hash}: ${e.message}` });
+    }
+  }
+
+  const adapter = createMemoryAdapter({ docs, blobs, onChange: options?.onChange, persist });
+  return Object.assign(adapter, { sources, issues });
+}
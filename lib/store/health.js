@@ -0,0 +1,295 @@
+/**
+ * Store Health
+ *
+ * Runs the store's integrity checks across every doc and reports findings with
+ * targeted fixes. Covers parent links (validateParentLinks), slot/property rules
+ * (validateInstance), dangling and duplicated slot refs, type-chain cycles,
+ * missing types and models, and ids that do not match their storage key.
+ */
+
+import { store } from './adapter.js'
+import { getNested, setNested } from './slot-path.js'
+import { getEffectiveSlots, getEffectiveProperties, validateParentLinks, validateInstance, instantiateSlot } from './type-system.js'
+import { BLOB_SOURCES_KEY } from './resolver.js'
+import { getAssetPath } from '../paths.js'
+
+export const SEVERITIES = ['error', 'warning', 'info']
+
+const isInstanceId = (id) => typeof id === 'string' && id.startsWith('spoke://instances/')
+const isDocRef = (id) => typeof id === 'string' && id.startsWith('spoke://')
+const adapterOf = (options) => options?.adapter || store
+
+// Same rules as resolveModelPath() in lib/models/loader.js, without pulling in three.js
+function modelUrl(raw) {
+  if (/^https?:\/\//i.test(raw)) return raw
+  return getAssetPath(raw.startsWith('/') ? raw : `/models/${raw}`)
+}
+
+async function urlExists(url) {
+  try {
+    const res = await fetch(url, { method: 'HEAD', cache: 'no-store' })
+    return res.ok
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Check the whole store
+ * @param {Object} options - { checkUrls = true (HEAD-request model.url paths), adapter }
+ * @returns {Promise<Array>} Findings: [{ key, severity, code, docId, field, message, fix: { kind, label, ... } | null }]
+ */
+export async function checkStoreHealth(options = {}) {
+  const { checkUrls = true } = options
+  const adapter = adapterOf(options)
+  const findings = []
+  const add = (severity, code, docId, message, fix = null, field = null) => {
+    findings.push({ key: `${code}:${docId}:${field || ''}:${findings.length}`, severity, code, docId, field, message, fix })
+  }
+
+  const docs = await adapter.queryDocs()
+  const byId = new Map(docs.map((d) => [d.id, d]))
+
+  // Ids that disagree with their storage key, or with each other
+  const headers = await adapter.listDocHeaders('')
+  for (const h of headers) {
+    if (h.key && h.id !== h.key) {
+      add('error', 'id_key_mismatch', h.key, `Stored under ${h.key} but its id is ${h.id}`, { kind: 'rekey', key: h.key, label: 'Use storage key as id' })
+    }
+  }
+  for (const d of docs) {
+    if (d.$id && d.id && d.$id !== d.id) {
+      add('error', 'id_mismatch', d.id, `id ${d.id} and $id ${d.$id} differ`, { kind: 'rekey', key: d.id, label: 'Set $id to id' })
+    }
+  }
+
+  // Type chains: missing parents and cycles
+  const reportedCycles = new Set()
+  for (const d of docs) {
+    if (!d.id?.startsWith('spoke://types/') || !d.type) continue
+    const seen = [d.id]
+    let cur = d.type
+    while (cur) {
+      if (seen.includes(cur)) {
+        const cycle = seen.slice(seen.indexOf(cur))
+        const sig = [...cycle].sort().join('|')
+        if (!reportedCycles.has(sig)) {
+          reportedCycles.add(sig)
+          const last = seen[seen.length - 1]
+          add('error', 'type_cycle', last, `Type chain loops: ${[...cycle, cur].join(' -> ')}`, { kind: 'clearType', docId: last, label: `Remove type link from ${last.split('/').pop()}` }, 'type')
+        }
+        break
+      }
+      const next = byId.get(cur)
+      if (!next) {
+        if (isDocRef(cur)) add('warning', 'missing_base_type', seen[seen.length - 1], `Base type ${cur} not found`, null, 'type')
+        break
+      }
+      seen.push(cur)
+      cur = next.type
+    }
+  }
+
+  // Instance checks
+  const referencedBy = new Map() // childId -> [{ parent, slot }]
+  for (const d of docs) {
+    if (!isInstanceId(d.id)) continue
+    if (!d.type) {
+      add('error', 'missing_type', d.id, 'Instance has no type')
+      continue
+    }
+    if (!byId.has(d.type)) {
+      add('error', 'missing_type', d.id, `Type ${d.type} not found`, null, 'type')
+      continue
+    }
+    if (reportedCycles.size && [...reportedCycles].some((sig) => sig.split('|').includes(d.type))) continue
+
+    const { byPath } = await getEffectiveSlots(d.type, { adapter })
+    for (const [slotPath, slotDef] of Object.entries(byPath)) {
+      const value = getNested(d, slotPath)
+      const ids = Array.isArray(value) ? value : (value ? [value] : [])
+      const seen = new Set()
+      for (const ref of ids) {
+        if (typeof ref !== 'string') continue
+        if (seen.has(ref)) {
+          add('warning', 'duplicate_ref', d.id, `${slotPath} lists ${ref} more than once`, { kind: 'dedupeSlot', docId: d.id, slot: slotPath, label: 'Remove duplicates' }, slotPath)
+          continue
+        }
+        seen.add(ref)
+        const child = byId.get(ref)
+        if (!child) {
+          add('error', 'dangling_ref', d.id, `${slotPath} points at missing ${ref}`, { kind: 'removeRef', docId: d.id, slot: slotPath, ref, label: 'Remove dangling ref' }, slotPath)
+          continue
+        }
+        if (!referencedBy.has(ref)) referencedBy.set(ref, [])
+        referencedBy.get(ref).push({ parent: d.id, slot: slotPath })
+        if (isInstanceId(ref) && (child.parent !== d.id || child.parentSlot !== slotPath)) {
+          add('warning', 'stale_parent_link', ref, `Held in ${d.id} ${slotPath} but its parent is ${child.parent ? `${child.parent} ${child.parentSlot || ''}` : 'unset'}`,
+            { kind: 'relinkParent', docId: ref, parent: d.id, slot: slotPath, label: 'Re-link parent' }, 'parent')
+        }
+      }
+    }
+
+    const properties = await getEffectiveProperties(d.type, { adapter })
+    for (const err of await validateInstance(d, { adapter })) {
+      const slotDef = byPath[err.field]
+      if (slotDef && err.error === 'Required slot is empty') {
+        add('error', 'required_slot', d.id, `${err.field}: ${err.error}`, { kind: 'instantiateSlot', docId: d.id, slot: err.field, label: 'Instantiate slot' }, err.field)
+      } else if (slotDef && /at least/.test(err.error)) {
+        add('warning', 'slot_cardinality', d.id, `${err.field}: ${err.error}`, { kind: 'instantiateSlot', docId: d.id, slot: err.field, label: 'Add missing items' }, err.field)
+      } else if (slotDef) {
+        add('error', 'slot_invalid', d.id, `${err.field}: ${err.error}`, null, err.field)
+      } else {
+        const def = properties[err.field]
+        const fix = def?.default !== undefined ? { kind: 'setValue', docId: d.id, field: err.field, value: def.default, label: `Set to default (${JSON.stringify(def.default)})` } : null
+        add('warning', 'property_invalid', d.id, `${err.field}: ${err.error}`, fix, err.field)
+      }
+    }
+  }
+
+  // Parent links from the child's side; a child some other doc holds is covered above
+  for (const e of await validateParentLinks({ adapter })) {
+    if (referencedBy.has(e.instance)) continue
+    if (e.error === 'missing_parent') {
+      add('error', 'missing_parent', e.instance, e.message, { kind: 'detachParent', docId: e.instance, label: 'Detach from parent' }, 'parent')
+    } else if (e.error === 'parent_mismatch') {
+      const child = byId.get(e.instance)
+      add('error', 'parent_mismatch', e.instance, e.message, { kind: 'relinkParent', docId: e.instance, parent: child.parent, slot: child.parentSlot, label: 'Add to parent slot' }, 'parent')
+    } else {
+      add('warning', e.error, e.instance, e.message)
+    }
+  }
+
+  // Models: need a url or ref, and the file has to exist
+  const sources = (await adapter.getMeta(BLOB_SOURCES_KEY)) || {}
+  const blobs = new Set(await adapter.listBlobHashes())
+  const urlChecks = new Map() // url -> Promise<boolean>
+  for (const d of docs) {
+    const model = d.model
+    if (!model || typeof model !== 'object') continue
+    if (!model.url && !model.ref) {
+      add('warning', 'model_missing_source', d.id, 'model has neither url nor ref', { kind: 'removeModel', docId: d.id, label: 'Remove empty model' }, 'model')
+    } else if (model.ref) {
+      if (!blobs.has(model.ref) && !sources[model.ref]) add('error', 'model_blob_missing', d.id, `model.ref ${model.ref} is not in the store`, null, 'model.ref')
+    } else if (checkUrls && typeof model.url === 'string') {
+      const url = modelUrl(model.url)
+      if (!urlChecks.has(url)) urlChecks.set(url, urlExists(url))
+      if (!(await urlChecks.get(url))) add('error', 'model_url_missing', d.id, `model.url ${model.url} could not be loaded`, null, 'model.url')
+    }
+  }
+
+  const order = (f) => SEVERITIES.indexOf(f.severity)
+  return findings.sort((a, b) => order(a) - order(b))
+}
+
+/**
+ * Apply a finding's fix in one batch (one undo step)
+ * @param {Object} finding - From checkStoreHealth()
+ * @param {Object} options - { adapter }
+ * @returns {Promise<boolean>} true if something was written
+ */
+export async function applyHealthFix(finding, options = {}) {
+  const fix = finding?.fix
+  if (!fix) return false
+  const now = new Date().toISOString()
+  const bump = (doc) => {
+    doc.meta = { ...(doc.meta || {}), version: (doc.meta?.version || 0) + 1, updatedAt: now }
+    return doc
+  }
+  let wrote = false
+  const adapter = adapterOf(options)
+
+  await adapter.batch(async (tx) => {
+    const doc = fix.docId ? await tx.get(fix.docId) : null
+    switch (fix.kind) {
+      case 'removeRef': {
+        if (!doc) return
+        const value = getNested(doc, fix.slot)
+        setNested(doc, fix.slot, Array.isArray(value) ? value.filter((v) => v !== fix.ref) : (value === fix.ref ? null : value))
+        tx.put(bump(doc))
+        break
+      }
+      case 'dedupeSlot': {
+        const value = doc ? getNested(doc, fix.slot) : null
+        if (!Array.isArray(value)) return
+        setNested(doc, fix.slot, [...new Set(value)])
+        tx.put(bump(doc))
+        break
+      }
+      case 'detachParent': {
+        if (!doc) return
+        delete doc.parent
+        delete doc.parentSlot
+        tx.put(bump(doc))
+        break
+      }
+      case 'relinkParent': {
+        if (!doc || !fix.parent || !fix.slot) return
+        const parent = await tx.get(fix.parent)
+        if (!parent) return
+        doc.parent = fix.parent
+        doc.parentSlot = fix.slot
+        tx.put(bump(doc))
+        const value = getNested(parent, fix.slot)
+        const { byPath } = await getEffectiveSlots(parent.type, { adapter })
+        if (Array.isArray(value) ? !value.includes(doc.id) : value !== doc.id) {
+          if (Array.isArray(value) || byPath[fix.slot]?.array) setNested(parent, fix.slot, [...(Array.isArray(value) ? value : []), doc.id])
+          else if (!value) setNested(parent, fix.slot, doc.id)
+          else throw new Error(`${fix.parent} ${fix.slot} already holds ${value}`)
+          tx.put(bump(parent))
+        }
+        break
+      }
+      case 'instantiateSlot': {
+        if (!doc) return
+        const { byPath } = await getEffectiveSlots(doc.type, { adapter })
+        const slotDef = byPath[fix.slot]
+        if (!slotDef) return
+        const value = getNested(doc, fix.slot)
+        const have = Array.isArray(value) ? value.length : (value ? 1 : 0)
+        const need = slotDef.array ? Math.max(slotDef.minItems || 0, slotDef.required ? 1 : 0) - have : (have ? 0 : 1)
+        if (need <= 0) return
+        // A template list would restart at index 0; fill missing items from templates at their positions
+        const templates = Array.isArray(slotDef.template) ? slotDef.template.slice(have, have + need) : null
+        const def = templates ? { ...slotDef, template: templates } : slotDef
+        const created = await instantiateSlot(doc.id, fix.slot, def, need, { adapter })
+        for (const c of created) tx.put(c.doc)
+        const ids = created.map((c) => c.id)
+        setNested(doc, fix.slot, slotDef.array ? [...(Array.isArray(value) ? value : []), ...ids] : ids[0] || null)
+        tx.put(bump(doc))
+        break
+      }
+      case 'setValue': {
+        if (!doc) return
+        setNested(doc, fix.field, structuredClone(fix.value))
+        tx.put(bump(doc))
+        break
+      }
+      case 'clearType': {
+        if (!doc) return
+        delete doc.type
+        tx.put(bump(doc))
+        break
+      }
+      case 'removeModel': {
+        if (!doc) return
+        delete doc.model
+        tx.put(bump(doc))
+        break
+      }
+      case 'rekey': {
+        const stored = await tx.get(fix.key)
+        if (!stored) return
+        stored.id = fix.key
+        stored.$id = fix.key
+        tx.put(bump(stored))
+        break
+      }
+      default:
+        throw new Error(`applyHealthFix: unknown fix ${fix.kind}`)
+    }
+    wrote = true
+  }, { label: `Fix: ${finding.message}`, source: 'storeHealth' })
+
+  return wrote
+}
@@ -0,0 +1,92 @@
+// Undo/redo on top of the operation log that store.batch() records in the meta store.
+// Each log entry is one logical edit (one batch) with before/after snapshots of every doc it touched.
+// Snapshots go back with a new meta.version (the store bumps it past the current one, see
+// bumpVersion in adapter.js), so versions never go backwards and stale editors still conflict.
+// Each write is checked against the version the entry left the doc at: if the doc was edited
+// since (e.g. in another tab), the step fails with StoreConflictError and nothing is applied.
+
+import { store, HISTORY_KEY } from "./adapter";
+
+function readLog(value) {
+  if (!value || !Array.isArray(value.undo) || !Array.isArray(value.redo)) return { undo: [], redo: [] };
+  return { undo: [...value.undo], redo: [...value.redo] };
+}
+
+// The next entry on a stack that touches a doc starts (redo) or ends (undo) at the state just
+// written, so it takes over that state's new version for its own version check
+function carryVersion(entries, id, side, version) {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const change = (entries[i].changes || []).find((c) => c.id === id);
+    if (!change) continue;
+    if (change[side]) change[side].meta = { ...change[side].meta, version };
+    return;
+  }
+}
+
+// Move the newest entry from one stack to the other, writing the chosen side of its snapshots
+async function step(from, to, side, source) {
+  let applied = null;
+  await store.batch(async (tx) => {
+    const log = readLog(await tx.getMeta(HISTORY_KEY));
+    const entry = log[from].pop();
+    if (!entry) return;
+    const current = side === "before" ? "after" : "before";
+    for (const change of entry.changes || []) {
+      const snapshot = change[side];
+      const expectedVersion = change[current]?.meta?.version ?? 0;
+      if (snapshot) {
+        // Record the version the store will give it, so the opposite step checks against it
+        snapshot.meta = { ...snapshot.meta, version: Math.max(expectedVersion + 1, snapshot.meta?.version ?? 0) };
+        tx.put(structuredClone(snapshot), { expectedVersion });
+        carryVersion(log[from], change.id, current, snapshot.meta.version);
+      } else {
+        tx.delete(change.id, { expectedVersion });
+      }
+    }
+    log[to].push(entry);
+    tx.setMeta(HISTORY_KEY, log);
+    applied = entry;
+  }, { source, history: false });
+  return applied;
+}
+
+/**
+ * Revert the most recent logical edit
+ * @throws {StoreConflictError} If a doc it touched has changed since the edit
+ * @returns {Promise<Object|null>} The undone log entry, or null if there was nothing to undo
+ */
+export async function undo() {
+  return await step("undo", "redo", "before", "undo");
+}
+
+/**
+ * Re-apply the most recently undone edit
+ * @throws {StoreConflictError} If a doc it touched has changed since the undo
+ * @returns {Promise<Object|null>} The redone log entry, or null if there was nothing to redo
+ */
+export async function redo() {
+  return await step("redo", "undo", "after", "redo");
+}
+
+/**
+ * Summary of the undo/redo stacks for UI state
+ * @returns {Promise<Object>} { canUndo, canRedo, undoLabel, redoLabel }
+ */
+export async function getHistoryState() {
+  const log = readLog(await store.getMeta(HISTORY_KEY));
+  const lastUndo = log.undo[log.undo.length - 1];
+  const lastRedo = log.redo[log.redo.length - 1];
+  return {
+    canUndo: !!lastUndo,
+    canRedo: !!lastRedo,
+    undoLabel: lastUndo?.label || "",
+    redoLabel: lastRedo?.label || "",
+  };
+}
+
+/**
+ * Drop all undo/redo entries
+ */
+export async function clearHistory() {
+  await store.setMeta(HISTORY_KEY, { undo: [], redo: [] });
+}
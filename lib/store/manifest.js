@@ -25,13 +25,16 @@ function djb2Hash(str) {
 export async function buildManifest() {
   // Reads /store-seed/index.json which lists docs and blobs to include.
   // index.json shape:
-  // { "docs": [ { "path": "root.json", "$id": "spoke://docs/root" } ], "blobs": [ { "hash": "sha256-...", "path": "blobs/file.bin", "mime": "...", "size": 123 } ] }
+  // { "docs": [ { "path": "root.json", "$id": "spoke://docs/root" } ], "blobs": [ { "hash": "sha256-...", "path": "blobs/file.bin", "mime": "...", "size": 123 } ],
+  //   "tombstones": [ "spoke://types/old" ] }
+  // A doc may carry "renamedFrom": "<old id>" (or an array); it is moved into manifest.aliases { oldId: newId }.
   try {
     const idxRes = await fetch(withBase("/store-seed/index.json"), { cache: "no-store" });
     if (!idxRes.ok) throw new Error(`store-seed index ${idxRes.status}`);
     const index = await idxRes.json();
 
     const docs = [];
+    const aliases = {};
     for (const entry of index.docs || []) {
       const p = String(entry.path || "");
       if (!p) continue;
@@ -53,6 +56,11 @@ export async function buildManifest() {
         // Ensure both id and $id are set for backward compatibility
         doc.id = docId;
         doc.$id = docId;
+
+        for (const oldId of [].concat(doc.renamedFrom || [])) {
+          if (typeof oldId === "string" && oldId !== docId) aliases[oldId] = docId;
+        }
+        delete doc.renamedFrom;
         
         // Mark as site origin
         doc.meta = { ...(doc.meta || {}), origin: "site" };
@@ -69,17 +77,24 @@ export async function buildManifest() {
       filename: b.filename,
     }));
 
-    const manifest = { manifestVersion: 1, docs, blobs };
+    // Ids deleted from the seed; reconcile removes their site-origin copies
+    const tombstones = (index.tombstones || [])
+      .map((t) => (typeof t === "string" ? t : t?.id))
+      .filter((id) => typeof id === "string" && id);
+
+    const manifest = { manifestVersion: 1, docs, blobs, tombstones, aliases };
     const canonical = JSON.stringify(stableStringify({
       manifestVersion: manifest.manifestVersion,
       docs: docs.map((d) => ({ $id: d.$id, defSig: d.defSig })),
       blobs: blobs.map((b) => ({ hash: b.hash, size: b.size, mime: b.mime })),
+      ...(tombstones.length ? { tombstones: [...tombstones].sort() } : {}),
+      ...(Object.keys(aliases).length ? { aliases } : {}),
     }));
     const manifestHash = djb2Hash(canonical);
     return { ...manifest, manifestHash };
   } catch (e) {
     // Fallback to empty manifest if seed is missing
-    const manifest = { manifestVersion: 1, docs: [], blobs: [] };
+    const manifest = { manifestVersion: 1, docs: [], blobs: [], tombstones: [], aliases: {} };
     const manifestHash = djb2Hash(JSON.stringify(stableStringify(manifest)));
     return { ...manifest, manifestHash, error: String(e) };
   }
@@ -0,0 +1,285 @@
+/**
+ * Connectors and Mates
+ *
+ * Types declare named connection points (frame faces, panel mounting sides, connector ports)
+ * in their `connectors` block, in the part's own frame (see getEffectiveConnectors):
+ *   "connectors": { "front": { "position": [0, 0, 48], "normal": [0, 0, 1], "up": [0, 1, 0] } }
+ * `normal` points out of the part; `up` fixes the roll about it (only its part across the
+ * normal counts). An instance (usually through its slot template) attaches one of its
+ * connectors to a sibling's, or to its parent's own:
+ *   "mate": { "connector": "back", "to": "frame.front" }
+ * `to` is "<slot>.<connector>", where the slot is a name or path in the parent (`panels[1]` for
+ * an array item, first item by default), or "parent.<connector>". The mated part is placed so
+ * the two connectors touch: positions coincide, normals face each other, ups line up.
+ * An optional `"roll": 180` (degrees) turns the part about the target's normal, e.g. to mount
+ * the same panel the other way up on the opposite face.
+ *
+ * The result is the part's own location relative to its parent, which then composes down the
+ * tree like any `location`. The stored `location` stays the fallback when a mate cannot be
+ * resolved (missing connector, missing sibling, mate cycle); the designer keeps both in sync.
+ */
+
+import { store } from './adapter.js'
+import { getChildRefs, getEffectiveConnectors } from './type-system.js'
+
+export const ZERO_LOCATION = { dx: 0, dy: 0, dz: 0, rx: 0, ry: 0, rz: 0 }
+const LOCATION_KEYS = Object.keys(ZERO_LOCATION)
+const MAX_MATE_DEPTH = 8 // mates to mated siblings; deeper chains are treated as cycles
+const DEG = Math.PI / 180
+
+const adapterOf = (options) => options?.adapter || store
+
+/**
+ * Parse a location ("dx,dy,dz,rx,ry,rz" or { dx, dy, dz, rx, ry, rz }); missing parts are 0
+ * @param {string|Object} location
+ * @returns {Object} { dx, dy, dz, rx, ry, rz }
+ */
+export function parseLocation(location) {
+  if (location && typeof location === 'object') {
+    return Object.fromEntries(LOCATION_KEYS.map((k) => [k, Number(location[k]) || 0]))
+  }
+  if (typeof location !== 'string' || !location.trim()) return { ...ZERO_LOCATION }
+  const parts = location.split(',').map((s) => parseFloat(s.trim()) || 0)
+  return Object.fromEntries(LOCATION_KEYS.map((k, i) => [k, parts[i] || 0]))
+}
+
+/**
+ * Format a location as the "dx,dy,dz,rx,ry,rz" string stored on instances
+ * (translations to 0.001 mm, angles to 0.01 degree)
+ * @param {Object} location - { dx, dy, dz, rx, ry, rz }
+ * @returns {string}
+ */
+export function formatLocation(location) {
+  return LOCATION_KEYS.map((k, i) => {
+    const scale = i < 3 ? 1000 : 100
+    const v = Math.round(location[k] * scale) / scale
+    return String(v === 0 ? 0 : v)
+  }).join(',')
+}
+
+// 3x3 matrices as arrays of rows
+const multiply = (a, b) => a.map((row) => [0, 1, 2].map((j) => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]))
+const transpose = (m) => [0, 1, 2].map((i) => m.map((row) => row[i]))
+const apply = (m, v) => m.map((row) => row[0] * v[0] + row[1] * v[1] + row[2] * v[2])
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+const normalize = (v) => {
+  const length = Math.hypot(...v)
+  return length > 1e-9 ? v.map((x) => x / length) : null
+}
+
+// Rotation of a location: degrees in ZYX order, R = Rz * Ry * Rx (as THREE.Euler(..., 'ZYX'))
+function rotationOf({ rx, ry, rz }) {
+  const [sx, cx, sy, cy, sz, cz] = [Math.sin(rx * DEG), Math.cos(rx * DEG), Math.sin(ry * DEG), Math.cos(ry * DEG), Math.sin(rz * DEG), Math.cos(rz * DEG)]
+  return [
+    [cz * cy, cz * sy * sx - sz * cx, cz * sy * cx + sz * sx],
+    [sz * cy, sz * sy * sx + cz * cx, sz * sy * cx - cz * sx],
+    [-sy, cy * sx, cy * cx],
+  ]
+}
+
+// ZYX angles of a rotation; at gimbal lock (ry = ±90) rx is taken as 0
+function anglesOf(m) {
+  const ry = Math.asin(Math.max(-1, Math.min(1, -m[2][0])))
+  if (Math.abs(m[2][0]) > 1 - 1e-9) return { rx: 0, ry: ry / DEG, rz: Math.atan2(-m[0][1], m[1][1]) / DEG }
+  return { rx: Math.atan2(m[2][1], m[2][2]) / DEG, ry: ry / DEG, rz: Math.atan2(m[1][0], m[0][0]) / DEG }
+}
+
+// Connector axes as matrix columns: x = up x normal, y = up (made normal to z), z = normal
+function connectorFrame(connector) {
+  const z = normalize(connector?.normal || [])
+  const upRaw = connector?.up || []
+  const up = z && upRaw.length === 3 ? normalize(upRaw.map((u, i) => u - dot(upRaw, z) * z[i])) : null
+  if (!z || !up) return null
+  return transpose([cross(up, z), up, z])
+}
+
+const positionOf = (connector) => (Array.isArray(connector?.position) ? [0, 1, 2].map((i) => Number(connector.position[i]) || 0) : [0, 0, 0])
+const clean = (v) => {
+  const r = Math.round(v * 1e6) / 1e6
+  return r === 0 ? 0 : r
+}
+
+/**
+ * True if a connector definition has a usable normal and an up-vector across it
+ * @param {Object} connector - { position, normal, up }
+ * @returns {boolean}
+ */
+export function isValidConnector(connector) {
+  const triple = (v) => Array.isArray(v) && v.length === 3 && v.every((x) => typeof x === 'number' && Number.isFinite(x))
+  if (connector?.position !== undefined && !triple(connector.position)) return false
+  return triple(connector?.normal) && triple(connector?.up) && connectorFrame(connector) !== null
+}
+
+/**
+ * Location of a part that puts its `connector` against `target`, a connector of a part placed at
+ * `targetLocation` (both in the same parent frame): positions coincide, normals oppose, ups align
+ * @param {Object} connector - Connector of the part being placed, in its own frame
+ * @param {Object} target - Connector it attaches to, in the target part's frame
+ * @param {Object} targetLocation - Location of the target part (ZERO_LOCATION for the parent itself)
+ * @param {number} roll - Degrees about the target's normal
+ * @returns {Object|null} { dx, dy, dz, rx, ry, rz }, or null for an invalid connector
+ */
+export function mateLocation(connector, target, targetLocation = ZERO_LOCATION, roll = 0) {
+  const own = connectorFrame(connector)
+  const other = connectorFrame(target)
+  if (!own || !other) return null
+  const targetRotation = rotationOf(targetLocation)
+  // Turn the target's axes half way round its up-vector (x and the normal reverse), then roll
+  // about the reversed normal
+  const [s, c] = [Math.sin(-roll * DEG), Math.cos(-roll * DEG)]
+  const facing = multiply(multiply(multiply(targetRotation, other), [[-1, 0, 0], [0, 1, 0], [0, 0, -1]]), [[c, -s, 0], [s, c, 0], [0, 0, 1]])
+  const rotation = multiply(facing, transpose(own))
+  const meet = apply(targetRotation, positionOf(target))
+  const offset = apply(rotation, positionOf(connector))
+  const { rx, ry, rz } = anglesOf(rotation)
+  return {
+    dx: clean(targetLocation.dx + meet[0] - offset[0]),
+    dy: clean(targetLocation.dy + meet[1] - offset[1]),
+    dz: clean(targetLocation.dz + meet[2] - offset[2]),
+    rx: clean(rx),
+    ry: clean(ry),
+    rz: clean(rz),
+  }
+}
+
+/**
+ * Split a mate's `to` into its target and connector: "frame.front" -> { ref: 'frame', connector: 'front' }
+ * @param {string} to
+ * @returns {Object|null} { ref, connector }
+ */
+export function parseMateTarget(to) {
+  if (typeof to !== 'string') return null
+  const i = to.lastIndexOf('.')
+  if (i <= 0 || i === to.length - 1) return null
+  return { ref: to.slice(0, i), connector: to.slice(i + 1) }
+}
+
+/**
+ * Id of the parent's child a mate refers to ("frame", "children.frame", "sidePanels[1]")
+ * @param {Object} parent - Parent instance document
+ * @param {string} ref - Slot name or path, with an optional [index] for array slots
+ * @param {Object} options - { adapter }
+ * @returns {Promise<string|null>}
+ */
+export async function findMateSibling(parent, ref, options = {}) {
+  const match = /^(.+?)(?:\[(\d+)\])?$/.exec(ref || '')
+  if (!parent || !match) return null
+  const [, name, index] = match
+  const refs = await getChildRefs(parent, options)
+  const paths = Object.keys(refs)
+  const path = paths.find((p) => p === name) || paths.find((p) => p.split('.').pop() === name)
+  if (!path) return null
+  const value = Array.isArray(refs[path]) ? refs[path][Number(index) || 0] : refs[path]
+  return typeof value === 'string' ? value : null
+}
+
+/**
+ * Own location of an instance relative to its parent: from its `mate` when that resolves,
+ * otherwise its `location`
+ * @param {Object} doc - Instance document
+ * @param {Object} parent - Its parent instance document (null for a root)
+ * @param {Object} options - { adapter, getDoc } getDoc: reads siblings (e.g. unsaved preview docs)
+ * @returns {Promise<Object>} { dx, dy, dz, rx, ry, rz }
+ */
+export async function resolveLocation(doc, parent, options = {}) {
+  return resolveLocationAt(doc, parent, options, 0)
+}
+
+async function resolveLocationAt(doc, parent, options, depth) {
+  const fallback = parseLocation(doc?.location)
+  if (!doc?.mate || !parent) return fallback
+  if (depth >= MAX_MATE_DEPTH) {
+    console.warn(`[mates] mate chain too deep (cycle?) at ${doc.id}; using its location`)
+    return fallback
+  }
+  try {
+    return (await resolveMate(doc, parent, options, depth)) || fallback
+  } catch (err) {
+    console.warn(`[mates] failed to resolve mate of ${doc.id}:`, err)
+    return fallback
+  }
+}
+
+async function resolveMate(doc, parent, options, depth) {
+  const target = parseMateTarget(doc.mate.to)
+  if (!target || typeof doc.mate.connector !== 'string') return null
+  const connector = (await getEffectiveConnectors(doc.type, options))[doc.mate.connector]
+  if (!connector) return null
+  if (target.ref === 'parent') {
+    const other = (await getEffectiveConnectors(parent.type, options))[target.connector]
+    return other ? mateLocation(connector, other, ZERO_LOCATION, Number(doc.mate.roll) || 0) : null
+  }
+  const siblingId = await findMateSibling(parent, target.ref, options)
+  if (!siblingId || siblingId === doc.id) return null
+  const getDoc = options.getDoc || ((id) => adapterOf(options).getDoc(id))
+  const sibling = await getDoc(siblingId)
+  if (!sibling) return null
+  const other = (await getEffectiveConnectors(sibling.type, options))[target.connector]
+  if (!other) return null
+  return mateLocation(connector, other, await resolveLocationAt(sibling, parent, options, depth + 1), Number(doc.mate.roll) || 0)
+}
+
+/**
+ * Nearest connector pair for a part dropped at `location`: one of its connectors against a
+ * sibling's or the parent's, within `tolerance` mm. Siblings that mate to this part are skipped.
+ * The roll is the quarter turn closest to how the part was dropped.
+ * @param {Object} doc - Instance being placed
+ * @param {Object} parent - Its parent instance document
+ * @param {Object} location - Proposed own location of the part
+ * @param {Object} options - { adapter, getDoc, tolerance = 8 }
+ * @returns {Promise<Object|null>} { mate: { connector, to, roll? }, location, distance }
+ */
+export async function findSnapMate(doc, parent, location, options = {}) {
+  const { tolerance = 8 } = options
+  if (!doc || !parent) return null
+  const own = Object.entries(await getEffectiveConnectors(doc.type, options)).filter(([, c]) => isValidConnector(c))
+  if (own.length === 0) return null
+  const placed = parseLocation(location)
+  const placedRotation = rotationOf(placed)
+  const worldOf = (connector, at, rotation) => apply(rotation, positionOf(connector)).map((v, i) => v + [at.dx, at.dy, at.dz][i])
+
+  // Targets: the parent's own connectors, then every sibling's at its resolved location
+  const targets = [{ ref: 'parent', location: ZERO_LOCATION, connectors: await getEffectiveConnectors(parent.type, options) }]
+  const getDoc = options.getDoc || ((id) => adapterOf(options).getDoc(id))
+  for (const [path, value] of Object.entries(await getChildRefs(parent, options))) {
+    const ids = Array.isArray(value) ? value : [value]
+    for (const [i, id] of ids.entries()) {
+      if (typeof id !== 'string' || id === doc.id) continue
+      const sibling = await getDoc(id)
+      if (!sibling) continue
+      const back = parseMateTarget(sibling.mate?.to)
+      if (back && back.ref !== 'parent' && await findMateSibling(parent, back.ref, options) === doc.id) continue
+      const name = path.split('.').pop()
+      targets.push({
+        ref: Array.isArray(value) ? `${name}[${i}]` : name,
+        location: await resolveLocation(sibling, parent, { ...options, getDoc }),
+        connectors: await getEffectiveConnectors(sibling.type, options),
+      })
+    }
+  }
+
+  let best = null
+  for (const target of targets) {
+    const targetRotation = rotationOf(target.location)
+    for (const [targetName, other] of Object.entries(target.connectors)) {
+      if (!isValidConnector(other)) continue
+      const meet = worldOf(other, target.location, targetRotation)
+      for (const [name, connector] of own) {
+        const at = worldOf(connector, placed, placedRotation)
+        const distance = Math.hypot(at[0] - meet[0], at[1] - meet[1], at[2] - meet[2])
+        if (distance > tolerance || (best && distance >= best.distance)) continue
+        // Closest quarter-turn: largest trace of (candidate rotation)^T * (dropped rotation)
+        const rolls = [0, 90, 180, 270].map((roll) => {
+          const candidate = mateLocation(connector, other, target.location, roll)
+          const r = multiply(transpose(rotationOf(candidate)), placedRotation)
+          return { roll, location: candidate, trace: r[0][0] + r[1][1] + r[2][2] }
+        })
+        const { roll, location: snapped } = rolls.sort((a, b) => b.trace - a.trace)[0]
+        const mate = { connector: name, to: `${target.ref}.${targetName}`, ...(roll ? { roll } : {}) }
+        best = { mate, location: snapped, distance }
+      }
+    }
+  }
+  return best
+}
@@ -0,0 +1,217 @@
+// In-memory store adapter with the same API as the IndexedDB `store` (see adapter.js),
+// for unit tests and Node scripts. Docs, blobs, meta and revisions live in Maps; docs and
+// meta values are cloned on the way in and out, as IndexedDB would.
+// A batch checks every expectedVersion before anything is applied, then awaits the optional
+// `persist` hook, and only then updates the maps, so a failing batch leaves no trace.
+
+import {
+  createBatchHandle,
+  normalizeDocForPut,
+  normalizeName,
+  blobRecord,
+  cloneSnapshot,
+  hashBlob,
+  StoreConflictError,
+  bumpVersion,
+  HISTORY_KEY,
+  HISTORY_LIMIT,
+  REVISION_LIMIT,
+} from "./adapter.js";
+
+/**
+ * Create an in-memory adapter
+ * @param {Object} options - { docs, blobs, onChange, persist }
+ *   docs: initial docs, stored as given (no revisions, no history)
+ *   blobs: initial blobs as [hash, { data, meta }] pairs
+ *   onChange: called with the change detail ({ added, updated, deleted, ...source/reset }) after each non-silent batch
+ *   persist: async ({ docs, blobs, meta, get }) awaited before a batch is applied; throwing discards the batch.
+ *     docs/blobs/meta are Maps of the batch's writes (null = deleted); get(id) reads the post-batch doc
+ * @returns {Object} Adapter
+ */
+export function createMemoryAdapter(options = {}) {
+  const { onChange = null, persist = null } = options || {};
+  const docs = new Map();
+  const blobs = new Map();
+  const meta = new Map();
+  const revisions = []; // { seq, id, at, source, doc }, oldest first
+  let seq = 0;
+
+  for (const doc of options?.docs || []) {
+    const d = normalizeDocForPut(cloneSnapshot(doc), "createMemoryAdapter");
+    docs.set(d.id, d);
+  }
+  for (const [hash, record] of options?.blobs || []) blobs.set(hash, record);
+
+  const byKey = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+  async function commit(ops, { history = null, source = "" } = {}) {
+    const at = new Date().toISOString();
+    const expected = new Map(); // docId -> meta.version the first versioned write was based on
+    for (const op of ops) {
+      if ((op.kind === "put" || op.kind === "delete") && op.expectedVersion !== undefined && !expected.has(op.id)) expected.set(op.id, op.expectedVersion);
+    }
+    const before = new Map(); // docId -> doc before this batch (null if absent)
+    const final = new Map(); // docId -> final staged doc (null if deleted)
+    const keepVersion = new Set(); // docIds whose last put asked for keepVersion
+    const blobWrites = new Map();
+    const metaWrites = new Map();
+    for (const op of ops) {
+      if (op.kind === "put" || op.kind === "delete") {
+        if (!before.has(op.id)) {
+          const prev = docs.get(op.id) ?? null;
+          if (expected.has(op.id) && (prev?.meta?.version ?? 0) !== expected.get(op.id)) {
+            throw new StoreConflictError(op.id, expected.get(op.id), cloneSnapshot(prev));
+          }
+          before.set(op.id, prev);
+        }
+        final.set(op.id, op.kind === "put" ? op.doc : null);
+        if (op.keepVersion) keepVersion.add(op.id);
+        else keepVersion.delete(op.id);
+      } else if (op.kind === "putBlob") {
+        blobWrites.set(op.id, op.record);
+      } else if (op.kind === "deleteBlob") {
+        blobWrites.set(op.id, null);
+      } else if (op.kind === "setMeta") {
+        metaWrites.set(op.id, cloneSnapshot(op.value));
+      }
+    }
+
+    // One version bump per doc per batch, as in adapter.js
+    for (const [id, doc] of final.entries()) {
+      if (doc) final.set(id, cloneSnapshot(keepVersion.has(id) ? doc : bumpVersion(doc, before.get(id))));
+    }
+
+    if (persist) {
+      const get = (id) => cloneSnapshot(final.has(id) ? final.get(id) : docs.get(id) ?? null);
+      await persist({ docs: final, blobs: blobWrites, meta: metaWrites, get });
+    }
+
+    for (const [id, prev] of before.entries()) {
+      if (!prev) continue;
+      revisions.push({ seq: ++seq, id, at, source, doc: prev });
+      const own = revisions.filter((r) => r.id === id);
+      for (const old of own.slice(0, Math.max(0, own.length - REVISION_LIMIT))) revisions.splice(revisions.indexOf(old), 1);
+    }
+    for (const [id, doc] of final.entries()) {
+      if (doc == null) docs.delete(id);
+      else docs.set(id, doc);
+    }
+    for (const [hash, record] of blobWrites.entries()) {
+      if (record == null) blobs.delete(hash);
+      else blobs.set(hash, record);
+    }
+    for (const [key, value] of metaWrites.entries()) meta.set(key, value);
+
+    if (history && final.size > 0) {
+      const changes = [];
+      for (const [id, after] of final.entries()) {
+        const prev = before.get(id) ?? null;
+        if (prev == null && after == null) continue;
+        changes.push({ id, before: cloneSnapshot(prev), after: cloneSnapshot(after) });
+      }
+      if (changes.length > 0) {
+        const log = meta.get(HISTORY_KEY);
+        const undo = [...(log && Array.isArray(log.undo) ? log.undo : []), { label: history.label || "", at, changes }].slice(-HISTORY_LIMIT);
+        meta.set(HISTORY_KEY, { undo, redo: [] });
+      }
+    }
+
+    const added = [], updated = [], deleted = [];
+    for (const [id, doc] of final.entries()) {
+      const was = before.get(id) != null;
+      if (doc == null) { if (was) deleted.push(id); }
+      else if (was) updated.push(id);
+      else added.push(id);
+    }
+    return { added, updated, deleted };
+  }
+
+  const adapter = {
+    // See store.batch() in adapter.js
+    async batch(fn, options = {}) {
+      const { silent = false, history = true, label = "", ...extra } = options || {};
+      const { handle, ops } = createBatchHandle((id) => adapter.getDoc(id), (key) => adapter.getMeta(key));
+      const result = await fn(handle);
+      if (ops.length === 0) return result;
+      const changes = await commit(ops, { history: history ? { label } : null, source: extra.source || label });
+      if (!silent && onChange) onChange({ ...changes, ...extra });
+      return result;
+    },
+    async putDoc(doc, options = {}) {
+      const { expectedVersion, ...batchOptions } = options || {};
+      normalizeDocForPut(doc, "putDoc");
+      await adapter.batch((t) => { t.put(doc, { expectedVersion }); }, batchOptions);
+    },
+    async deleteDoc(id, options = {}) {
+      if (!id || typeof id !== "string") throw new Error("deleteDoc: id required");
+      await adapter.batch((t) => { t.delete(id); }, options);
+    },
+    async getDoc(id) {
+      return cloneSnapshot(docs.get(id) ?? null);
+    },
+    async listDocHeaders(prefix = "") {
+      return [...docs.entries()]
+        .filter(([key]) => !prefix || key.startsWith(prefix))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, doc]) => {
+          const docId = doc.id || doc.$id;
+          return { key, id: docId, $id: docId, type: doc.type, $type: doc.$type, meta: cloneSnapshot(doc.meta), name: doc.name || docId };
+        });
+    },
+    async queryDocs({ type, parent, origin, namePrefix } = {}) {
+      const prefix = namePrefix != null && namePrefix !== "" ? normalizeName(namePrefix) : null;
+      const out = [];
+      for (const doc of docs.values()) {
+        if (type != null && doc.type !== type) continue;
+        if (parent != null && doc.parent !== parent) continue;
+        if (origin != null && doc.meta?.origin !== origin) continue;
+        if (prefix != null && !normalizeName(doc.name).startsWith(prefix)) continue;
+        out.push(cloneSnapshot(doc));
+      }
+      return out.sort(byKey);
+    },
+    async listRevisions(id) {
+      if (!id || typeof id !== "string") throw new Error("listRevisions: id required");
+      return revisions
+        .filter((rec) => rec.id === id)
+        .map((rec) => ({ rev: rec.seq, version: rec.doc?.meta?.version ?? null, at: rec.at, source: rec.source || "", doc: cloneSnapshot(rec.doc) }))
+        .sort((a, b) => b.rev - a.rev);
+    },
+    async restoreRevision(id, rev) {
+      const record = revisions.find((rec) => rec.seq === Number(rev));
+      if (!record || record.id !== id) throw new Error(`restoreRevision: revision ${rev} not found for ${id}`);
+      const current = docs.get(id) ?? null;
+      const doc = cloneSnapshot(record.doc);
+      doc.meta = {
+        ...(doc.meta || {}),
+        version: (current?.meta?.version ?? doc.meta?.version ?? 0) + 1,
+        updatedAt: new Date().toISOString(),
+        restoredFrom: Number(rev),
+      };
+      await adapter.putDoc(doc, { label: `Restore ${doc.name || id} to revision ${rev}`, source: "restoreRevision" });
+      return doc;
+    },
+    // Direct blob/meta writes skip history and change events, like the IndexedDB adapter
+    async putBlob(hash, blob, blobMeta = {}) {
+      if (typeof hash !== "string" || !hash.startsWith("sha256-")) throw new Error("putBlob: key must be sha256-<hex>");
+      await commit([{ kind: "putBlob", id: hash, record: blobRecord(blob, blobMeta) }]);
+    },
+    async getBlob(hash) {
+      return blobs.get(hash) ?? null;
+    },
+    async listBlobHashes() {
+      return [...blobs.keys()].sort();
+    },
+    async hasBlob(hash) {
+      return blobs.has(hash);
+    },
+    async getMeta(key) {
+      return cloneSnapshot(meta.get(key) ?? null);
+    },
+    async setMeta(key, value) {
+      await commit([{ kind: "setMeta", id: key, value }]);
+    },
+    hashBlob,
+  };
+  return adapter;
+}
@@ -1,11 +1,15 @@
 /**
  * Store model resolver - extracts and resolves 3D model data from store documents
  * Handles type inheritance and model property merging
+ *
+ * A model comes from either `model.url` (a path under /models) or `model.ref`
+ * (a sha256 blob hash in the store, e.g. an uploaded file); the most specific one wins.
  */
 
 import { store } from '@/lib/store/adapter'
 import { getEffectiveSlots } from './type-system.js'
 import { getNested } from './slot-path.js'
+import { resolveLocation } from './mates.js'
 
 /**
  * Resolve model information from a store document
@@ -20,7 +24,8 @@ export async function resolveModelFromDoc(doc, maxDepth = 5) {
   // Direct model definition
   if (doc.model && typeof doc.model === 'object') {
     return {
-      url: doc.model.url || null,
+      url: doc.model.ref ? null : (doc.model.url || null),
+      ref: doc.model.ref || null,
       offset: Array.isArray(doc.model.offset) ? doc.model.offset : [0, 0, 0],
       rotation: Array.isArray(doc.model.rotation) ? doc.model.rotation : [0, 0, 0],
       scale: Array.isArray(doc.model.scale) ? doc.model.scale : [1, 1, 1],
@@ -107,13 +112,15 @@ export async function getEffectiveModel(doc) {
       if (!effectiveModel) {
         effectiveModel = {
           url: null,
+          ref: null,
           offset: [0, 0, 0],
           rotation: [0, 0, 0],
           scale: [1, 1, 1],
         }
       }
       
-      if (item.model.url) effectiveModel.url = item.model.url
+      if (item.model.ref) { effectiveModel.ref = item.model.ref; effectiveModel.url = null }
+      else if (item.model.url) { effectiveModel.url = item.model.url; effectiveModel.ref = null }
       if (Array.isArray(item.model.offset)) effectiveModel.offset = [...item.model.offset]
       if (Array.isArray(item.model.rotation)) effectiveModel.rotation = [...item.model.rotation]
       if (Array.isArray(item.model.scale)) effectiveModel.scale = [...item.model.scale]
@@ -167,26 +174,6 @@ export async function getEffectiveRotation(doc) {
   return [0, 0, 0]
 }
 
-/**
- * Parse location string "dx,dy,dz,rx,ry,rz" into object
- * @param {string} locationStr - Location string
- * @returns {Object} Location object with dx, dy, dz, rx, ry, rz
- */
-function parseLocationString(locationStr) {
-  if (!locationStr || typeof locationStr !== 'string') {
-    return { dx: 0, dy: 0, dz: 0, rx: 0, ry: 0, rz: 0 }
-  }
-  const parts = locationStr.split(',').map(s => parseFloat(s.trim()) || 0)
-  return {
-    dx: parts[0] || 0,
-    dy: parts[1] || 0,
-    dz: parts[2] || 0,
-    rx: parts[3] || 0,
-    ry: parts[4] || 0,
-    rz: parts[5] || 0,
-  }
-}
-
 /**
  * Compose two locations (parent + child)
  * For now, simple addition. Could be enhanced with proper transform composition.
@@ -210,7 +197,7 @@ function composeLocations(parent, child) {
  * @param {Object} doc - Store document that may have slots with child references
  * @param {Object} parentLocation - Parent's location to compose with children
  * @param {number} maxDepth - Maximum recursion depth
- * @returns {Promise<Array<Object>>} Array of { $id, location } for all leaf objects
+ * @returns {Promise<Array<Object>>} Array of { $id, location, ownLocation } for all leaf objects
  */
 async function expandChildren(doc, parentLocation = { dx: 0, dy: 0, dz: 0, rx: 0, ry: 0, rz: 0 }, maxDepth = 10) {
   if (!doc || maxDepth <= 0) return []
@@ -239,8 +226,8 @@ async function expandChildren(doc, parentLocation = { dx: 0, dy: 0, dz: 0, rx: 0
         const childDoc = await store.getDoc(childId)
         if (!childDoc) continue
         
-        // Parse child's location (if present)
-        const childLocation = parseLocationString(childDoc.location || '0,0,0,0,0,0')
+        // Child's own location: from its mate (see mates.js) or its location string
+        const childLocation = await resolveLocation(childDoc, doc)
         
         // Compose with parent location
         const composedLocation = composeLocations(parentLocation, childLocation)
@@ -256,6 +243,7 @@ async function expandChildren(doc, parentLocation = { dx: 0, dy: 0, dz: 0, rx: 0
           expanded.push({
             $id: childId,
             location: composedLocation,
+            ownLocation: childLocation,
           })
         }
       } catch (err) {
@@ -272,7 +260,7 @@ async function expandChildren(doc, parentLocation = { dx: 0, dy: 0, dz: 0, rx: 0
  * Handles hierarchical objects by expanding their slots recursively
  * Can handle both types (for preview) and instances (for rendering)
  * @param {Array<string>} docIds - Array of document IDs
- * @returns {Promise<Array<Object>>} Array of { $id, doc, model, position, rotation, location }
+ * @returns {Promise<Array<Object>>} Array of { $id, doc, model, position, rotation, location, ownLocation }
  */
 export async function batchResolveModels(docIds) {
   if (!Array.isArray(docIds)) return []
@@ -297,7 +285,7 @@ export async function batchResolveModels(docIds) {
             if (!childDoc) continue
             
             const model = await getEffectiveModel(childDoc)
-            if (!model || !model.url) continue
+            if (!model || (!model.url && !model.ref)) continue
             
             const position = await getEffectivePosition(childDoc)
             const rotation = await getEffectiveRotation(childDoc)
@@ -309,6 +297,7 @@ export async function batchResolveModels(docIds) {
               position,
               rotation,
               location: item.location, // Add the composed location from hierarchy
+              ownLocation: item.ownLocation, // Relative to the parent (resolved mate or location)
             })
           } catch (err) {
             console.warn(`[model-resolver] Failed to resolve expanded child ${item.$id}:`, err)
@@ -317,7 +306,7 @@ export async function batchResolveModels(docIds) {
       } else {
         // Leaf object - has a model directly
         const model = await getEffectiveModel(doc)
-        if (!model || !model.url) continue
+        if (!model || (!model.url && !model.ref)) continue
         
         const position = await getEffectivePosition(doc)
         const rotation = await getEffectiveRotation(doc)
@@ -0,0 +1,167 @@
+// Structured search over store docs (object explorer search box).
+//
+// A query is whitespace-separated terms, all of which must match:
+//   type:power/*            type id (glob; "spoke://types/" may be left off)
+//   parent:spoke://…        parent id
+//   origin:user             meta.origin
+//   name~"front panel"      "~" = case-insensitive substring, ":" = whole value (glob)
+//   has:model               field present and non-empty (dotted paths allowed)
+//   missing:children.frame  field absent or empty
+//   chemistry:li-ion        any other dotted field path
+//   panel                   bare words match name, id or type
+// Prefix a term with "-" to negate it; quote values that contain spaces.
+
+import { store } from "./adapter.js";
+import { getNested } from "./slot-path.js";
+
+const TERM_RE = /^([A-Za-z_$][\w.$-]*)([:~])(.*)$/;
+
+const adapterOf = (options) => options?.adapter || store;
+
+const unquote = (s) => (s.length >= 2 && s.startsWith('"') && s.endsWith('"') ? s.slice(1, -1) : s);
+
+// Split on whitespace outside double quotes
+function tokenize(text) {
+  const tokens = [];
+  let cur = "";
+  let quoted = false;
+  for (const ch of String(text || "")) {
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && /\s/.test(ch)) {
+      if (cur) tokens.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  if (cur) tokens.push(cur);
+  return { tokens, unterminated: quoted };
+}
+
+function globToRegExp(glob) {
+  const src = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${src}$`, "i");
+}
+
+const isEmpty = (v) => v === undefined || v === null || v === "" || (Array.isArray(v) && v.length === 0)
+  || (typeof v === "object" && !Array.isArray(v) && Object.keys(v).length === 0);
+
+/**
+ * Parse a query string into terms
+ * @param {string} text - Query text
+ * @returns {Object} { terms: [{ field, op: ':'|'~'|'has'|'missing'|'text', value, negate }], errors: [string] }
+ */
+export function parseQuery(text) {
+  const { tokens, unterminated } = tokenize(text);
+  const terms = [];
+  const errors = unterminated ? ["Unterminated quote"] : [];
+  for (let token of tokens) {
+    let negate = false;
+    if (token.length > 1 && token.startsWith("-")) {
+      negate = true;
+      token = token.slice(1);
+    }
+    const m = token.startsWith("spoke://") ? null : token.match(TERM_RE);
+    if (!m) {
+      terms.push({ field: null, op: "text", value: unquote(token), negate });
+      continue;
+    }
+    const field = m[1];
+    const value = unquote(m[3]);
+    if (!value) {
+      errors.push(`Missing value for ${field}${m[2]}`);
+      continue;
+    }
+    if (field === "has" || field === "missing") {
+      terms.push({ field: value, op: field, value: null, negate });
+    } else if (field === "type" && m[2] === ":" && !value.startsWith("spoke://")) {
+      terms.push({ field, op: ":", value: `spoke://types/${value}`, negate });
+    } else {
+      terms.push({ field, op: m[2], value, negate });
+    }
+  }
+  return { terms, errors };
+}
+
+// Value a field term compares against
+function fieldValue(doc, field) {
+  if (field === "id") return doc.id || doc.$id;
+  if (field === "type") return doc.type || doc.$type;
+  if (field === "origin") return doc.meta?.origin;
+  return getNested(doc, field);
+}
+
+function termMatches(doc, term) {
+  if (term.op === "text") {
+    const q = term.value.toLowerCase();
+    return [doc.name, doc.id || doc.$id, doc.type || doc.$type].some((v) => String(v || "").toLowerCase().includes(q));
+  }
+  const raw = fieldValue(doc, term.field);
+  if (term.op === "has") return !isEmpty(raw);
+  if (term.op === "missing") return isEmpty(raw);
+  const values = Array.isArray(raw) ? raw : [raw];
+  return values.some((v) => {
+    if (v === undefined || v === null || typeof v === "object") return false;
+    const s = String(v);
+    if (term.op === "~") return s.toLowerCase().includes(term.value.toLowerCase());
+    return globToRegExp(term.value).test(s);
+  });
+}
+
+/**
+ * Build a predicate from a parsed query (or query text)
+ * @param {Object|string} query - parseQuery() result or query text
+ * @returns {Function} (doc) => boolean
+ */
+export function compileQuery(query) {
+  const { terms } = typeof query === "string" ? parseQuery(query) : query;
+  return (doc) => {
+    if (!doc || typeof doc !== "object") return false;
+    return terms.every((t) => termMatches(doc, t) !== t.negate);
+  };
+}
+
+/**
+ * store.queryDocs() criteria implied by a parsed query: exact, non-negated type/parent/origin
+ * terms and "name:prefix*". The full predicate still runs on the results.
+ * @param {Object} query - parseQuery() result
+ * @returns {Object} { type?, parent?, origin?, namePrefix? }
+ */
+export function queryIndexCriteria(query) {
+  const criteria = {};
+  for (const t of query.terms) {
+    if (t.negate || t.op !== ":") continue;
+    const glob = /[*?]/.test(t.value);
+    if (!glob && (t.field === "type" || t.field === "parent" || t.field === "origin") && !(t.field in criteria)) {
+      criteria[t.field] = t.value;
+    } else if (t.field === "name" && !("namePrefix" in criteria) && /^[^*?]+\*$/.test(t.value)) {
+      criteria.namePrefix = t.value.slice(0, -1);
+    }
+  }
+  return criteria;
+}
+
+// The indexes hold exact values while the predicate ignores case, so only narrow by ids written
+// as stored (they exist) and by a lowercase origin; other terms are left to the predicate
+async function canonicalCriteria(criteria, adapter) {
+  const out = { ...criteria };
+  for (const field of ["type", "parent"]) {
+    if (out[field] != null && !(await adapter.getDoc(out[field]))) delete out[field];
+  }
+  if (out.origin != null && out.origin !== out.origin.toLowerCase()) delete out.origin;
+  return out;
+}
+
+/**
+ * Run a query against the store, narrowing the read through the doc indexes where possible
+ * @param {string} text - Query text
+ * @param {Object} options - { adapter } (defaults to the IndexedDB store)
+ * @returns {Promise<Object>} { docs, errors }
+ */
+export async function runQuery(text, options = {}) {
+  const adapter = adapterOf(options);
+  const parsed = parseQuery(text);
+  const predicate = compileQuery(parsed);
+  const docs = await adapter.queryDocs(await canonicalCriteria(queryIndexCriteria(parsed), adapter));
+  return { docs: docs.filter(predicate), errors: parsed.errors };
+}
@@ -1,51 +1,241 @@
-// Reconcile site definitions into the local store on startup.
-// Overwrites site-origin docs/types whose defSig changed; never overwrites user-origin docs.
+// Reconcile site definitions into the local store.
+// planReconcile() diffs the seed manifest against the store; applyReconcilePlan() writes the
+// accepted part of the plan. User-origin docs are never overwritten.
 
-import { store } from "./adapter";
+import { store, HISTORY_KEY } from "./adapter";
 import { buildManifest, computeDefSig } from "./manifest";
+import { BLOB_SOURCES_KEY } from "./resolver";
+import { deepReplaceIds } from "./seed-utils.js";
 
-export async function reconcileStore() {
-  try {
-    const prev = (await store.getMeta("siteManifest")) || { manifestHash: null };
-    const manifest = await buildManifest();
-    if (prev.manifestHash === manifest.manifestHash) return { changed: false };
+// Where resolveRef() can fetch each declared blob on first use: { [hash]: { url, mime, size, filename } }
+function blobSources(manifest) {
+  const out = {};
+  for (const b of manifest.blobs || []) {
+    if (b.hash && b.url) out[b.hash] = { url: b.url, mime: b.mime, size: b.size, filename: b.filename };
+  }
+  return out;
+}
 
-    // Seed/overwrite site docs
-    for (const entry of manifest.docs) {
-      const { $id, doc } = entry;
-      const existing = await store.getDoc($id);
-      const origin = existing?.meta?.origin || doc?.meta?.origin || "site";
-      if (!existing) {
-        const defSig = entry.defSig || computeDefSig(doc);
-        await store.putDoc({ ...doc, meta: { ...(doc.meta || {}), origin: "site", defSig, updatedAt: new Date().toISOString(), version: 1 } });
-        continue;
-      }
-      if (origin === "site") {
-        const oldSig = existing?.meta?.defSig;
-        const newSig = entry.defSig || computeDefSig(doc);
-        if (oldSig !== newSig) {
-          const version = (existing.meta?.version || 0) + 1;
-          await store.putDoc({ ...doc, meta: { ...(existing.meta || {}), origin: "site", defSig: newSig, updatedAt: new Date().toISOString(), version } });
+// True if any string in obj (at any depth) equals id
+function referencesId(obj, id) {
+  if (typeof obj === "string") return obj === id;
+  if (obj && typeof obj === "object") return Object.values(obj).some((v) => referencesId(v, id));
+  return false;
+}
+
+// Seed the store's copy of a site doc: new docs start at version 1, updates bump the stored version
+function siteDocFromSeed(entry, existing, now) {
+  const meta = existing
+    ? { ...(existing.meta || {}), origin: "site", defSig: entry.defSig, updatedAt: now, version: (existing.meta?.version || 0) + 1 }
+    : { ...(entry.seed.meta || {}), origin: "site", defSig: entry.defSig, updatedAt: now, version: 1 };
+  return { ...entry.seed, meta };
+}
+
+// User-origin copy of a site doc, so local edits survive the seed update (instances are detached)
+async function forkSiteDoc(tx, doc, now) {
+  let id;
+  if (String(doc.id).startsWith("spoke://instances/")) {
+    const { generateInstanceId } = await import("./id.js");
+    id = generateInstanceId({ typeId: doc.type });
+  } else {
+    id = `${doc.id}-local`;
+    for (let n = 2; await tx.get(id); n++) id = `${doc.id}-local-${n}`;
+  }
+  const copy = structuredClone(doc);
+  copy.id = id;
+  copy.$id = id;
+  copy.name = `${doc.name || doc.id} (local)`;
+  if (copy.parent) {
+    delete copy.parent;
+    delete copy.parentSlot;
+  }
+  copy.meta = { origin: "user", createdAt: now, updatedAt: now, version: 1, forkedFrom: doc.id };
+  tx.put(copy, { expectedVersion: 0 });
+  return id;
+}
+
+/**
+ * Compare the site seed with the store without writing any doc.
+ * The manifest's blob sources are recorded right away, so resolveRef() can fetch declared blobs
+ * even when nothing changed or the plan waits for review.
+ * Entry kinds:
+ * - new: in the seed, not in the store
+ * - updated: site doc whose seed definition changed and which is unedited locally
+ * - modified: site doc whose seed definition changed but which was also edited locally
+ * - removed: site doc that is no longer in the seed (or listed in the manifest's tombstones)
+ * - renamed: old id of a seed doc that declares `renamedFrom`; applying deletes the old site doc
+ *   and points every user-origin doc that referenced it (`refs`) at the new id (`to`)
+ * User-origin docs are never part of a plan, except as `refs` to rewrite.
+ * @returns {Promise<Object>} { manifest, changed, entries: [{ id, kind, name, local, seed, defSig, to?, refs? }], error? }
+ */
+export async function planReconcile() {
+  const prev = (await store.getMeta("siteManifest")) || { manifestHash: null };
+  const manifest = await buildManifest();
+  // An unreachable seed would otherwise look like every site doc was removed
+  if (manifest.error) return { manifest, changed: false, entries: [], error: manifest.error };
+  await store.setMeta(BLOB_SOURCES_KEY, blobSources(manifest));
+  if (prev.manifestHash === manifest.manifestHash) return { manifest, changed: false, entries: [] };
+
+  const entries = [];
+  const seedIds = new Set();
+  const all = await store.queryDocs();
+  const byId = new Map(all.map((d) => [d.id, d]));
+  for (const { $id, doc, defSig: sig } of manifest.docs) {
+    seedIds.add($id);
+    const local = byId.get($id) || null;
+    const defSig = sig || computeDefSig(doc);
+    const name = doc.name || $id;
+    if (!local) {
+      entries.push({ id: $id, kind: "new", name, local: null, seed: doc, defSig });
+      continue;
+    }
+    if ((local.meta?.origin || "site") !== "site" || local.meta?.defSig === defSig) continue;
+    // Edited since it was seeded: its content no longer matches the defSig it was seeded with
+    const edited = !!local.meta?.defSig && computeDefSig(local) !== local.meta.defSig;
+    entries.push({ id: $id, kind: edited ? "modified" : "updated", name, local, seed: doc, defSig });
+  }
+  // User-origin docs that still point at an id going away
+  const userDocs = all.filter((d) => d.meta?.origin !== "site");
+  const refsTo = (id) => userDocs.filter((d) => d.id !== id && referencesId(d, id)).map((d) => d.id);
+
+  const aliases = manifest.aliases || {};
+  for (const [oldId, newId] of Object.entries(aliases)) {
+    if (seedIds.has(oldId)) continue;
+    const local = byId.get(oldId);
+    const own = local && local.meta?.origin === "site" ? local : null;
+    const refs = refsTo(oldId);
+    if (!own && refs.length === 0) continue;
+    entries.push({ id: oldId, kind: "renamed", name: own?.name || oldId, local: own, seed: null, defSig: null, to: newId, refs });
+  }
+  const tombstones = new Set(manifest.tombstones || []);
+  for (const local of all) {
+    if (seedIds.has(local.id) || local.id in aliases || local.meta?.origin !== "site") continue;
+    // Docs seeded before tombstones existed are recognised by their defSig
+    if (!tombstones.has(local.id) && !local.meta?.defSig) continue;
+    entries.push({ id: local.id, kind: "removed", name: local.name || local.id, local, seed: null, defSig: null, refs: refsTo(local.id) });
+  }
+  return { manifest, changed: true, entries };
+}
+
+/**
+ * Apply a planReconcile() result in one atomic batch and record the manifest as seen.
+ * Skipped docs are left as they are (and not offered again until the seed changes);
+ * forked docs are first copied to a user-origin doc (id "<id>-local", or a new instance id).
+ * Fails with StoreConflictError if a planned doc changed after the plan was made.
+ * With `partial`, the manifest is not recorded as seen, so the next plan offers the entries left out again.
+ * @param {Object} plan - planReconcile() result
+ * @param {Object} options - { skip: [ids], fork: [ids], partial }
+ * @returns {Promise<Object>} { applied: [ids], skipped: [ids], forked: { [id]: copyId } }
+ */
+export async function applyReconcilePlan(plan, options = {}) {
+  const { manifest } = plan;
+  const skip = new Set(options.skip || []);
+  const fork = new Set(options.fork || []);
+  const now = new Date().toISOString();
+  const applied = [];
+  const forked = {};
+  await store.batch(async (tx) => {
+    for (const entry of plan.entries) {
+      if (skip.has(entry.id)) continue;
+      const expectedVersion = entry.local?.meta?.version ?? 0;
+      if (fork.has(entry.id) && entry.local) forked[entry.id] = await forkSiteDoc(tx, entry.local, now);
+      if (entry.kind === "renamed") {
+        if (entry.local) tx.delete(entry.id);
+        for (const refId of entry.refs || []) {
+          const doc = await tx.get(refId);
+          if (!doc) continue;
+          const next = deepReplaceIds(doc, { [entry.id]: entry.to });
+          next.meta = { ...(next.meta || {}), version: (doc.meta?.version || 0) + 1, updatedAt: now };
+          tx.put(next);
         }
+      } else if (entry.kind === "removed") {
+        tx.delete(entry.id);
+      } else {
+        tx.put(siteDocFromSeed(entry, entry.local, now), { expectedVersion });
       }
-      // origin === "user" -> never overwrite
+      applied.push(entry.id);
     }
 
-    // Seed blobs if listed (no fetch by default; could fetch if url provided)
+    // Seed inline blobs now; blobs with only a url are fetched lazily by resolveRef()
     for (const b of manifest.blobs) {
       const has = await store.hasBlob(b.hash);
       if (!has && b.data instanceof Blob) {
-        await store.putBlob(b.hash, b.data, { mime: b.mime, size: b.data.size, filename: b.filename });
+        tx.putBlob(b.hash, b.data, { mime: b.mime, size: b.data.size, filename: b.filename });
       }
-      // If url is provided and data missing, a future enhancement can fetch lazily.
     }
+    tx.setMeta(BLOB_SOURCES_KEY, blobSources(manifest));
+
+    if (!options.partial) tx.setMeta("siteManifest", { manifestHash: manifest.manifestHash, at: now, skipped: [...skip] });
+  }, { source: "reconcile", history: false });
+  return { applied, skipped: [...skip], forked };
+}
+
+// Entry kinds reconcileStore() applies without review: they overwrite nothing anyone edited
+const AUTO_KINDS = new Set(["new", "updated"]);
+
+// The running reconcileStore(), so panels mounting together share one pass
+let reconciling = null;
+
+/**
+ * Reconcile site definitions on startup (the designer and Store Status call it). New docs and
+ * updates to unedited site docs are applied right away. Modified, removed and renamed entries are
+ * returned as `pending` for review (see StoreStatus), so local edits are never overwritten or
+ * deleted without notice.
+ * @returns {Promise<Object>} { changed, pending?, error? }
+ */
+export async function reconcileStore() {
+  if (!reconciling) {
+    reconciling = runReconcile().finally(() => { reconciling = null; });
+  }
+  return await reconciling;
+}
 
-    await store.setMeta("siteManifest", { manifestHash: manifest.manifestHash, at: new Date().toISOString() });
-    try { if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent("store:reconciled", { detail: { manifestHash: manifest.manifestHash } })); } catch {}
-    return { changed: true };
+async function runReconcile() {
+  try {
+    const plan = await planReconcile();
+    if (plan.error) return { changed: false, error: plan.error };
+    if (!plan.changed) return { changed: false };
+    const auto = plan.entries.filter((e) => AUTO_KINDS.has(e.kind));
+    const held = plan.entries.filter((e) => !AUTO_KINDS.has(e.kind));
+    if (held.length === 0) {
+      await applyReconcilePlan(plan);
+      return { changed: true };
+    }
+    if (auto.length) await applyReconcilePlan({ ...plan, entries: auto }, { partial: true });
+    return { changed: auto.length > 0, pending: { ...plan, entries: held } };
   } catch (e) {
     // Non-fatal: avoid blocking app if storage is unavailable
     console.warn("[reconcile] failed:", e);
     return { changed: false, error: String(e) };
   }
 }
+
+/**
+ * Wipe every doc in the store and reload fresh copies of the site seed, atomically.
+ * Emits one "store:changed" event with reset: true.
+ * @returns {Promise<Array<string>>} Ids of the seeded docs, in manifest order
+ */
+export async function resetStoreFromSeed() {
+  const manifest = await buildManifest();
+  if (manifest.error) throw new Error(manifest.error);
+  const headers = await store.listDocHeaders("");
+  const now = new Date().toISOString();
+  const loadedIds = [];
+  await store.batch((tx) => {
+    for (const h of headers) {
+      const docId = h.id || h.$id;
+      if (docId) tx.delete(docId);
+    }
+    for (const entry of manifest.docs) {
+      const { doc } = entry;
+      const defSig = entry.defSig || computeDefSig(doc);
+      tx.put({ ...doc, meta: { ...(doc.meta || {}), origin: "site", defSig, updatedAt: now, version: 1 } });
+      loadedIds.push(entry.$id);
+    }
+    tx.setMeta("siteManifest", { manifestHash: manifest.manifestHash, at: now });
+    tx.setMeta(BLOB_SOURCES_KEY, blobSources(manifest));
+    // Undo entries would refer to docs that no longer exist
+    tx.setMeta(HISTORY_KEY, { undo: [], redo: [] });
+  }, { source: "reset", reset: true, history: false });
+  return loadedIds;
+}
@@ -1,16 +1,233 @@
 // $ref resolver utilities for docs and blobs via the adapter
-import { store } from "./adapter";
+import { store } from "./adapter.js";
 
-export async function resolveRef(ref) {
+// Meta key holding blobs the site manifest declares but the store may not have yet:
+// { [hash]: { url, mime, size, filename } } (written by reconcile)
+export const BLOB_SOURCES_KEY = "blobSources";
+
+// Fired on window while a declared blob downloads: detail { hash, loaded, total, done }
+export const BLOB_PROGRESS = "store:blobProgress";
+
+// hash -> Promise of the stored record, so concurrent misses share one download
+const inflight = new Map();
+
+function reportProgress(onProgress, detail) {
+  try { if (typeof onProgress === "function") onProgress(detail); } catch {}
+  try { if (typeof window !== "undefined") window.dispatchEvent(new CustomEvent(BLOB_PROGRESS, { detail })); } catch {}
+}
+
+async function readWithProgress(res, hash, total, onProgress) {
+  if (!res.body || typeof res.body.getReader !== "function") return await res.blob();
+  const reader = res.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    reportProgress(onProgress, { hash, loaded, total, done: false });
+  }
+  return new Blob(chunks);
+}
+
+/**
+ * Download a blob declared in the site manifest, verify its SHA-256 and store it.
+ * @param {string} hash - sha256-<hex>
+ * @param {Object} options - { onProgress({ hash, loaded, total, done }), signal }
+ * @returns {Promise<Object|null>} The stored blob record, or null if the manifest does not declare it
+ */
+export async function fetchDeclaredBlob(hash, options = {}) {
+  if (inflight.has(hash)) return await inflight.get(hash);
+  const run = (async () => {
+    const sources = (await store.getMeta(BLOB_SOURCES_KEY)) || {};
+    const source = sources[hash];
+    if (!source?.url) return null;
+    const res = await fetch(source.url, { signal: options.signal });
+    if (!res.ok) throw new Error(`fetch ${source.url} ${res.status}`);
+    const total = Number(res.headers.get("content-length")) || source.size || 0;
+    reportProgress(options.onProgress, { hash, loaded: 0, total, done: false });
+    const raw = await readWithProgress(res, hash, total, options.onProgress);
+    const blob = source.mime ? new Blob([raw], { type: source.mime }) : raw;
+    const actual = await store.hashBlob(blob);
+    if (actual !== hash) throw new Error(`Blob from ${source.url} does not match ${hash} (got ${actual})`);
+    await store.putBlob(hash, blob, { mime: source.mime || blob.type, filename: source.filename });
+    reportProgress(options.onProgress, { hash, loaded: blob.size, total: blob.size, done: true });
+    return await store.getBlob(hash);
+  })();
+  inflight.set(hash, run);
+  try {
+    return await run;
+  } finally {
+    inflight.delete(hash);
+  }
+}
+
+// Doc fields that hold links rather than content; resolveDeep() never inlines them
+const LINK_FIELDS = new Set(["id", "$id", "parent", "meta"]);
+
+const docIdOf = (doc) => (doc && typeof doc === "object" ? doc.id || doc.$id || null : null);
+
+/**
+ * Resolve a relative doc path ("./x", "../a/b") against a spoke:// id, like a relative URL.
+ * Absolute spoke:// ids are returned unchanged.
+ * @param {string} path - Relative or absolute id (no "#" fragment)
+ * @param {string} baseId - Id of the containing doc
+ * @returns {string|null} Absolute id, or null if it climbs above the collection
+ */
+export function resolveRelativeId(path, baseId) {
+  if (!path) return baseId || null;
+  if (path.startsWith("spoke://")) return path;
+  if (!baseId || !baseId.startsWith("spoke://")) return null;
+  const segments = baseId.slice("spoke://".length).split("/");
+  segments.pop(); // relative to the containing "directory"
+  for (const part of path.split("/")) {
+    if (part === "" || part === ".") continue;
+    if (part === "..") {
+      // Keep the collection segment (types, instances, docs)
+      if (segments.length <= 1) return null;
+      segments.pop();
+    } else {
+      segments.push(part);
+    }
+  }
+  return `spoke://${segments.join("/")}`;
+}
+
+/**
+ * Split a ref into what it points at.
+ * Accepts "sha256-<hex>", "spoke://…" ids with an optional "#/json/pointer",
+ * and refs relative to the containing doc: "#/pointer", "./sibling", "../other/doc#/pointer".
+ * @param {string} ref - Ref string
+ * @param {string} baseId - Id of the doc the ref appears in (needed for relative refs)
+ * @returns {Object|null} { kind: 'blob', hash } | { kind: 'doc', id, pointer } (pointer "" = whole doc)
+ */
+export function parseRef(ref, baseId) {
   if (!ref || typeof ref !== "string") return null;
-  if (ref.startsWith("sha256-")) {
-    return await store.getBlob(ref);
+  if (ref.startsWith("sha256-")) return { kind: "blob", hash: ref };
+  const hashAt = ref.indexOf("#");
+  const path = hashAt >= 0 ? ref.slice(0, hashAt) : ref;
+  let pointer = hashAt >= 0 ? ref.slice(hashAt + 1) : "";
+  try { pointer = decodeURIComponent(pointer); } catch { return null; }
+  if (pointer && !pointer.startsWith("/")) return null;
+  const relative = path === "" || path.startsWith("./") || path.startsWith("../");
+  if (!relative && !path.startsWith("spoke://")) return null;
+  const id = relative ? resolveRelativeId(path, baseId) : path;
+  return id ? { kind: "doc", id, pointer } : null;
+}
+
+/**
+ * Read the value at a JSON Pointer (RFC 6901) inside a value
+ * @param {any} value - Root value
+ * @param {string} pointer - "" for the root, else "/a/0/b" with ~0 (~) and ~1 (/) escapes
+ * @returns {any} The value, or undefined if the path does not exist
+ */
+export function getByPointer(value, pointer) {
+  if (!pointer) return value;
+  let cur = value;
+  for (const raw of pointer.slice(1).split("/")) {
+    const key = raw.replace(/~1/g, "/").replace(/~0/g, "~");
+    if (cur == null || typeof cur !== "object" || !Object.prototype.hasOwnProperty.call(cur, key)) return undefined;
+    cur = cur[key];
   }
-  if (ref.startsWith("spoke://docs/") || ref.startsWith("spoke://types/")) {
-    return await store.getDoc(ref);
+  return cur;
+}
+
+const isRefObject = (v) => v != null && typeof v === "object" && !Array.isArray(v) && typeof v.$ref === "string";
+
+/**
+ * Resolve a ref to a doc, a value inside a doc, or a blob record.
+ * Blobs missing locally are fetched from their manifest URL on first use (pass fetch: false to skip).
+ * A target that is itself a { "$ref": … } object is followed; a chain that loops throws.
+ * @param {string} ref - sha256-<hex>, a spoke:// id (optionally with #/pointer), or a relative ref
+ * @param {Object} options - { base: containing doc or its id (for relative refs), fetch = true, onProgress, signal }
+ * @returns {Promise<any>} The target, or null if it does not exist
+ */
+export async function resolveRef(ref, options = {}) {
+  const seen = [];
+  let base = options.base ?? null;
+  let current = ref;
+  for (;;) {
+    const baseId = typeof base === "string" ? base : docIdOf(base);
+    const target = parseRef(current, baseId);
+    if (!target) return null;
+    if (target.kind === "blob") {
+      const cached = await store.getBlob(target.hash);
+      if (cached || options.fetch === false) return cached;
+      return await fetchDeclaredBlob(target.hash, options);
+    }
+    const key = `${target.id}#${target.pointer}`;
+    if (seen.includes(key)) throw new Error(`resolveRef: cycle ${[...seen, key].join(" -> ")}`);
+    seen.push(key);
+    // An unsaved base doc resolves its own "#/…" refs from memory
+    const doc = base && typeof base === "object" && target.id === baseId ? base : await store.getDoc(target.id);
+    if (!doc) return null;
+    const value = getByPointer(doc, target.pointer);
+    if (value === undefined) return null;
+    if (!isRefObject(value)) return value;
+    base = doc;
+    current = value.$ref;
   }
-  // TODO: support relative/intra-doc refs like "#/path" if needed by caller
-  return null;
+}
+
+/**
+ * Copy a doc with the docs it references inlined, for export and AI context.
+ * Every string that parses as a doc ref (spoke:// ids, pointers, relative refs) is replaced by its
+ * target, recursively up to `depth` levels; id/$id/parent/meta are kept as links.
+ * Pointer refs ("#/…", "other#/…") inline the value they point at, including refs into the doc
+ * itself; a whole-doc ref back to a doc already being inlined on the current path is left as the
+ * ref string.
+ * @param {Object} doc - Doc to expand (not modified)
+ * @param {Object} options - { depth = 1 }
+ * @returns {Promise<Object>} Expanded copy
+ */
+export async function resolveDeep(doc, options = {}) {
+  const { depth = 1 } = options;
+  const docs = new Map(); // id -> Promise<doc|null>, so shared refs are read once
+  const load = (id) => {
+    if (!docs.has(id)) docs.set(id, safeGetDoc(id));
+    return docs.get(id);
+  };
+
+  const expandValue = async (value, owner, path, level) => {
+    if (typeof value === "string") {
+      if (level >= depth) return value;
+      const target = parseRef(value, docIdOf(owner));
+      if (!target || target.kind !== "doc") return value;
+      // Pointed-at values are inlined without further expansion, so only whole-doc refs can cycle
+      if (!target.pointer && path.includes(target.id)) return value;
+      const targetDoc = target.id === docIdOf(owner) ? owner : await load(target.id);
+      const resolved = targetDoc ? getByPointer(targetDoc, target.pointer) : undefined;
+      if (resolved === undefined) return value;
+      // Whole docs are expanded in turn; values inside a doc are inlined as they are
+      return target.pointer ? structuredClone(resolved) : await expandDoc(resolved, [...path, target.id], level + 1);
+    }
+    if (Array.isArray(value)) {
+      const out = [];
+      for (const v of value) out.push(await expandValue(v, owner, path, level));
+      return out;
+    }
+    if (value && typeof value === "object") {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = await expandValue(v, owner, path, level);
+      return out;
+    }
+    return value;
+  };
+
+  const expandDoc = async (d, path, level) => {
+    const out = {};
+    for (const [k, v] of Object.entries(d)) {
+      out[k] = LINK_FIELDS.has(k) ? structuredClone(v) : await expandValue(v, d, path, level);
+    }
+    return out;
+  };
+
+  if (!doc || typeof doc !== "object") return doc;
+  const rootId = docIdOf(doc);
+  // Refs back into the root read it as given, which may be unsaved
+  if (rootId) docs.set(rootId, Promise.resolve(doc));
+  return await expandDoc(doc, rootId ? [rootId] : [], 0);
 }
 
 export async function safeGetDoc(id) {
@@ -20,3 +237,7 @@ export async function safeGetDoc(id) {
 export async function listDocs(prefix = "") {
   return await store.listDocHeaders(prefix);
 }
+
+export async function queryDocs(criteria = {}) {
+  return await store.queryDocs(criteria);
+}
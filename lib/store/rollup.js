@@ -0,0 +1,145 @@
+/**
+ * Assembly Roll-ups
+ *
+ * Composes mass, center of gravity and a power budget up an instance tree. Every instance in
+ * the tree contributes its own values: the instance field, else the property default on its
+ * type chain (see getEffectiveProperties). The first name found in ROLLUP_PROPERTIES wins:
+ *   mass          part mass (unit from the property: g by default, kg and mg are converted)
+ *   capacity_mAh  battery capacity; makes the part a power source
+ *   current_mA    typical current draw; makes the part a load
+ *   voltage       nominal voltage of a source, supply voltage of a load
+ *   cog           optional [x, y, z] mass centre in the part's own frame (default: its origin)
+ * Parts are placed through each child's `location` ("dx,dy,dz,rx,ry,rz"), or its `mate` (see
+ * mates.js), the way the viewer places them (expandChildren in model-resolver.js): translations
+ * and rotations add up the tree, and rotations are degrees in ZYX order.
+ */
+
+import { store } from './adapter.js'
+import { getNested } from './slot-path.js'
+import { getEffectiveProperties, walkInstanceTree } from './type-system.js'
+import { parseLocation, resolveLocation, ZERO_LOCATION } from './mates.js'
+
+export const ROLLUP_PROPERTIES = {
+  mass: ['mass'],
+  capacity_mAh: ['capacity_mAh', 'capacity'],
+  current_mA: ['current_mA'],
+  voltage: ['voltage', 'nominalVoltage'],
+  cog: ['cog'],
+}
+
+const MASS_TO_GRAMS = { g: 1, kg: 1000, mg: 0.001 }
+
+const adapterOf = (options) => options?.adapter || store
+
+function composeLocation(parent, child) {
+  return Object.fromEntries(Object.keys(ZERO_LOCATION).map((k) => [k, parent[k] + child[k]]))
+}
+
+// Rotate v by Euler angles in degrees, ZYX order (v' = Rz * Ry * Rx * v), as THREE.Euler(..., 'ZYX')
+function rotateZYX([x, y, z], { rx, ry, rz }) {
+  const rad = Math.PI / 180
+  const [sx, cx, sy, cy, sz, cz] = [Math.sin(rx * rad), Math.cos(rx * rad), Math.sin(ry * rad), Math.cos(ry * rad), Math.sin(rz * rad), Math.cos(rz * rad)]
+  const y1 = y * cx - z * sx
+  const z1 = y * sx + z * cx
+  const x2 = x * cy + z1 * sy
+  const z2 = -x * sy + z1 * cy
+  return [x2 * cz - y1 * sz, x2 * sz + y1 * cz, z2]
+}
+
+/**
+ * Roll up mass, center of gravity and power budget for an instance (or a type's default tree)
+ * @param {string} rootId - Instance id, or a type id for a fresh, unsaved instance of it
+ * @param {Object} options - { adapter, location } location: placement of the root (default: origin)
+ * @returns {Promise<Object>} {
+ *   root: { id, name, type },
+ *   parts: [{ id, name, type, depth, mass, position, capacity_mAh, current_mA, voltage }],
+ *   mass: { total (g), cog: [x, y, z] | null, weighed, unweighed },
+ *   power: { capacity_mAh, energy_Wh, current_mA, power_W, runtime_h, sources, loads, unknownVoltage },
+ *   missing
+ * }
+ */
+export async function computeRollup(rootId, options = {}) {
+  const adapter = adapterOf(options)
+  const propsByType = new Map()
+  const propsOf = async (typeId) => {
+    if (!propsByType.has(typeId)) propsByType.set(typeId, await getEffectiveProperties(typeId, { adapter }))
+    return propsByType.get(typeId)
+  }
+
+  const locations = new Map() // instance id -> composed location
+  const parts = []
+  const { root, missing } = await walkInstanceTree(rootId, async (doc, { parent, depth, getDoc }) => {
+    const location = parent
+      ? composeLocation(locations.get(parent.id) || ZERO_LOCATION, await resolveLocation(doc, parent, { adapter, getDoc }))
+      : parseLocation(options.location)
+    locations.set(doc.id, location)
+
+    const props = await propsOf(doc.type)
+    const read = (key) => {
+      for (const name of ROLLUP_PROPERTIES[key]) {
+        const own = getNested(doc, name)
+        const value = own !== undefined && own !== null ? own : props[name]?.default
+        if (value !== undefined && value !== null) return { value, unit: props[name]?.unit }
+      }
+      return { value: null, unit: undefined }
+    }
+    const num = (key) => {
+      const { value } = read(key)
+      return typeof value === 'number' && Number.isFinite(value) ? value : null
+    }
+
+    const mass = read('mass')
+    const grams = typeof mass.value === 'number' ? mass.value * (MASS_TO_GRAMS[mass.unit || 'g'] ?? 1) : null
+    const cog = read('cog').value
+    const local = Array.isArray(cog) && cog.length === 3 && cog.every((v) => typeof v === 'number') ? rotateZYX(cog, location) : [0, 0, 0]
+    parts.push({
+      id: doc.id,
+      name: doc.name || doc.id,
+      type: doc.type || null,
+      depth,
+      mass: grams,
+      position: [location.dx + local[0], location.dy + local[1], location.dz + local[2]],
+      capacity_mAh: num('capacity_mAh'),
+      current_mA: num('current_mA'),
+      voltage: num('voltage'),
+    })
+  }, { adapter })
+
+  return summarizeRollup({ root: { id: root.id, name: root.name || root.id, type: root.type || null }, parts, missing })
+}
+
+/**
+ * Totals for a set of rolled-up parts; also combines several computeRollup() results
+ * (e.g. every object in a viewer) when given their concatenated parts
+ * @param {Object} input - { root, parts, missing }
+ * @returns {Object} Same shape as computeRollup()
+ */
+export function summarizeRollup({ root = null, parts = [], missing = [] }) {
+  const weighed = parts.filter((p) => typeof p.mass === 'number')
+  const total = weighed.reduce((sum, p) => sum + p.mass, 0)
+  const cog = total > 0
+    ? [0, 1, 2].map((i) => weighed.reduce((sum, p) => sum + p.mass * p.position[i], 0) / total)
+    : null
+
+  // Energy rather than mAh, so cells in series or parallel and loads on other rails all compare
+  const sources = parts.filter((p) => p.capacity_mAh != null)
+  const loads = parts.filter((p) => p.current_mA != null)
+  const energy = sources.filter((p) => p.voltage != null).reduce((sum, p) => sum + (p.capacity_mAh * p.voltage) / 1000, 0)
+  const power = loads.filter((p) => p.voltage != null).reduce((sum, p) => sum + (p.current_mA * p.voltage) / 1000, 0)
+  return {
+    root,
+    parts,
+    mass: { total, cog, weighed: weighed.length, unweighed: parts.length - weighed.length },
+    power: {
+      capacity_mAh: sources.reduce((sum, p) => sum + p.capacity_mAh, 0),
+      energy_Wh: energy,
+      current_mA: loads.reduce((sum, p) => sum + p.current_mA, 0),
+      power_W: power,
+      runtime_h: energy > 0 && power > 0 ? energy / power : null,
+      sources: sources.length,
+      loads: loads.length,
+      unknownVoltage: [...sources, ...loads].filter((p) => p.voltage == null).length,
+    },
+    missing,
+  }
+}
@@ -31,18 +31,21 @@ export function generateDeterministicInstanceId(oldId, typeId) {
   }
 }
 
-function deepReplace(obj, mapping) {
+// Rewrite every string equal to a mapped id, at any depth (mapping: Map or { oldId: newId }).
+// Only own keys count, so strings like "constructor" are never swapped for prototype members.
+export function deepReplaceIds(obj, mapping) {
   if (obj == null) return obj
   if (typeof obj === 'string') {
-    return mapping[obj] || obj
+    if (mapping instanceof Map) return mapping.get(obj) || obj
+    return Object.hasOwn(mapping, obj) ? mapping[obj] : obj
   }
   if (Array.isArray(obj)) {
-    return obj.map((v) => deepReplace(v, mapping))
+    return obj.map((v) => deepReplaceIds(v, mapping))
   }
   if (typeof obj === 'object') {
     const next = {}
     for (const [k, v] of Object.entries(obj)) {
-      next[k] = deepReplace(v, mapping)
+      next[k] = deepReplaceIds(v, mapping)
     }
     return next
   }
@@ -62,7 +65,7 @@ export function remapSeedDocs(docs) {
   }
   if (Object.keys(map).length === 0) return docs
   // pass 2: apply mapping deeply
-  const out = docs.map((doc) => deepReplace(doc, map))
+  const out = docs.map((doc) => deepReplaceIds(doc, map))
   return out
 }
 
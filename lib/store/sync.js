@@ -0,0 +1,201 @@
+// Opt-in sync between the browser store and a local team sync server (scripts/sync-server.js).
+// State lives in the meta store under SYNC_KEY:
+//   { url, token, enabled, lastPullAt, versions: { [docId]: meta.version at last sync }, conflicts: [...], lastSync }
+// token is the server's shared secret (sent as a Bearer token) when it was started with one.
+// A sync pulls server changes since lastPullAt, then pushes local docs whose meta.version differs
+// from the synced one (and deletions of synced docs), then exchanges missing blobs.
+// A doc changed on both sides since the last sync is not merged: it is reported as a conflict
+// and left alone until resolveSyncConflict() keeps one side.
+
+import { store } from "./adapter";
+import { computeDefSig } from "./manifest";
+
+export const SYNC_KEY = "sync";
+export const DEFAULT_SYNC_URL = "http://localhost:4010";
+
+const trimUrl = (url) => String(url || "").trim().replace(/\/+$/, "");
+
+async function request({ url, token }, path, init = {}) {
+  const headers = token ? { ...(init.headers || {}), Authorization: `Bearer ${token}` } : init.headers;
+  const res = await fetch(`${url}/sync${path}`, { ...init, headers });
+  if (!res.ok) {
+    let message = `${res.status}`;
+    try { message = (await res.json()).error || message; } catch {}
+    throw new Error(`Sync server ${path || "/"}: ${message}`);
+  }
+  return res;
+}
+
+/**
+ * Current sync settings and state
+ * @returns {Promise<Object>} { url, token, enabled, lastPullAt, versions, conflicts, lastSync }
+ */
+export async function getSyncState() {
+  const state = (await store.getMeta(SYNC_KEY)) || {};
+  return { url: DEFAULT_SYNC_URL, token: "", enabled: false, lastPullAt: null, versions: {}, conflicts: [], lastSync: null, ...state };
+}
+
+async function saveSyncState(patch) {
+  const next = { ...(await getSyncState()), ...patch };
+  await store.setMeta(SYNC_KEY, next);
+  return next;
+}
+
+/**
+ * Turn sync on for a server URL (checked first), or off. Switching servers starts over.
+ * @param {boolean} enabled
+ * @param {string} url - Server base URL, e.g. http://localhost:4010
+ * @param {string} token - The server's token, if it was started with one (kept when omitted)
+ * @returns {Promise<Object>} The new sync state
+ */
+export async function setSyncEnabled(enabled, url, token) {
+  const state = await getSyncState();
+  if (!enabled) return await saveSyncState({ enabled: false });
+  const nextUrl = trimUrl(url || state.url);
+  if (!nextUrl) throw new Error("Sync server URL required");
+  const nextToken = token === undefined ? state.token : String(token || "").trim();
+  await request({ url: nextUrl, token: nextToken }, "");
+  const fresh = nextUrl !== state.url ? { lastPullAt: null, versions: {}, conflicts: [], lastSync: null } : {};
+  return await saveSyncState({ ...fresh, enabled: true, url: nextUrl, token: nextToken });
+}
+
+/**
+ * Pull, push and exchange blobs with the sync server
+ * @returns {Promise<Object>} { at, pulled, pushed, blobs, conflicts } (counts; conflicts = unresolved docs)
+ */
+export async function syncNow() {
+  const state = await getSyncState();
+  if (!state.enabled || !state.url) throw new Error("Sync is not enabled");
+  const url = state.url;
+  const server = { url, token: state.token };
+  const versions = { ...state.versions };
+  const conflicts = new Map((state.conflicts || []).map((c) => [c.id, c]));
+  const versionOf = (doc) => doc?.meta?.version ?? 0;
+
+  // Pull: apply server changes to docs that are unchanged here since the last sync
+  const changes = await (await request(server, `/changes${state.lastPullAt ? `?since=${encodeURIComponent(state.lastPullAt)}` : ""}`)).json();
+  let pulled = 0;
+  await store.batch(async (tx) => {
+    for (const doc of changes.docs || []) {
+      const id = doc.id || doc.$id;
+      if (!id || conflicts.has(id)) continue;
+      const serverVersion = versionOf(doc);
+      if (versions[id] === serverVersion) continue;
+      const local = await tx.get(id);
+      // Two sides can reach the same version number with different edits; compare content too
+      if (local && versionOf(local) === serverVersion && computeDefSig(local) === computeDefSig(doc)) {
+        versions[id] = serverVersion;
+        continue;
+      }
+      const untouched = local ? versionOf(local) === versions[id] : versions[id] === undefined;
+      if (!untouched) {
+        conflicts.set(id, { id, local, server: doc, serverVersion });
+        continue;
+      }
+      tx.put(doc, { expectedVersion: local ? versionOf(local) : 0 });
+      versions[id] = serverVersion;
+      pulled++;
+    }
+    for (const t of changes.deleted || []) {
+      if (conflicts.has(t.id) || versions[t.id] === undefined) continue;
+      const local = await tx.get(t.id);
+      if (local && versionOf(local) !== versions[t.id]) {
+        conflicts.set(t.id, { id: t.id, local, server: null, serverVersion: t.version });
+        continue;
+      }
+      if (local) {
+        tx.delete(t.id);
+        pulled++;
+      }
+      delete versions[t.id];
+    }
+  }, { label: `Sync from ${url}`, source: "sync" });
+
+  // Push: local edits and deletions since the last sync
+  const localDocs = (await store.queryDocs()).filter((d) => !d.meta?.transient);
+  const localIds = new Set(localDocs.map((d) => d.id));
+  const docs = localDocs
+    .filter((d) => !conflicts.has(d.id) && versionOf(d) !== versions[d.id])
+    .map((d) => ({ doc: d, baseVersion: versions[d.id] ?? 0 }));
+  const deleted = Object.keys(versions)
+    .filter((id) => !localIds.has(id) && !conflicts.has(id))
+    .map((id) => ({ id, baseVersion: versions[id] }));
+  let pushed = 0;
+  if (docs.length || deleted.length) {
+    const result = await (await request(server, "/push", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ docs, deleted }),
+    })).json();
+    for (const a of result.accepted || []) {
+      if (a.deleted) delete versions[a.id];
+      else versions[a.id] = a.version;
+      pushed++;
+    }
+    for (const c of result.conflicts || []) {
+      conflicts.set(c.id, { id: c.id, local: localDocs.find((d) => d.id === c.id) || null, server: c.server || null, serverVersion: c.serverVersion });
+    }
+  }
+
+  // Blobs are content-addressed, so each side just fetches what it is missing
+  const serverHashes = new Set((await (await request(server, "/blobs")).json()).hashes || []);
+  const localHashes = new Set(await store.listBlobHashes());
+  let blobs = 0;
+  for (const hash of localHashes) {
+    if (serverHashes.has(hash)) continue;
+    const record = await store.getBlob(hash);
+    if (!record?.data) continue;
+    const headers = { "Content-Type": record.meta?.mime || "application/octet-stream" };
+    if (record.meta?.filename) headers["X-Filename"] = encodeURIComponent(record.meta.filename);
+    await request(server, `/blobs/${hash}`, { method: "PUT", headers, body: record.data });
+    blobs++;
+  }
+  for (const hash of serverHashes) {
+    if (localHashes.has(hash)) continue;
+    const res = await request(server, `/blobs/${hash}`);
+    const data = await res.blob();
+    if (await store.hashBlob(data) !== hash) {
+      console.warn(`[sync] blob ${hash} failed verification; skipped`);
+      continue;
+    }
+    await store.putBlob(hash, data, { mime: res.headers.get("content-type") || data.type });
+    blobs++;
+  }
+
+  const summary = { at: new Date().toISOString(), pulled, pushed, blobs, conflicts: conflicts.size };
+  await saveSyncState({ lastPullAt: changes.now, versions, conflicts: [...conflicts.values()], lastSync: summary });
+  return summary;
+}
+
+/**
+ * Settle a conflict by keeping one side. "theirs" takes the server's doc (or deletion) now, version
+ * included, so the next syncNow() sees it as in sync;
+ * "mine" bumps the local doc past the server version so the next syncNow() pushes it.
+ * @param {string} id - Doc id
+ * @param {string} choice - "mine" | "theirs"
+ * @returns {Promise<Object>} The new sync state
+ */
+export async function resolveSyncConflict(id, choice) {
+  const state = await getSyncState();
+  const conflict = (state.conflicts || []).find((c) => c.id === id);
+  if (!conflict) throw new Error(`No sync conflict for ${id}`);
+  const versions = { ...state.versions };
+  if (choice === "theirs") {
+    await store.batch((tx) => {
+      if (conflict.server) tx.put(conflict.server, { keepVersion: true });
+      else tx.delete(id);
+    }, { label: `Take server version of ${conflict.server?.name || id}`, source: "sync" });
+    if (conflict.server) versions[id] = conflict.serverVersion;
+    else delete versions[id];
+  } else if (choice === "mine") {
+    const local = await store.getDoc(id);
+    if (local) {
+      local.meta = { ...(local.meta || {}), version: Math.max(conflict.serverVersion, local.meta?.version ?? 0) + 1, updatedAt: new Date().toISOString() };
+      await store.putDoc(local, { label: `Keep local version of ${local.name || id}`, source: "sync" });
+    }
+    versions[id] = conflict.serverVersion;
+  } else {
+    throw new Error(`resolveSyncConflict: unknown choice ${choice}`);
+  }
+  return await saveSyncState({ versions, conflicts: state.conflicts.filter((c) => c.id !== id) });
+}
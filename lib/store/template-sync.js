@@ -0,0 +1,241 @@
+/**
+ * Template Sync
+ *
+ * Brings existing instance trees up to date with their types' current slot templates.
+ * Each templated child keeps `meta.template` (the template it was last synced from) and
+ * `meta.overrides` (fields the user changed on purpose). A sync only touches fields that
+ * are still template-owned; overridden fields are reported but left alone.
+ */
+
+import { store } from './adapter.js'
+import { getNested, setNested } from './slot-path.js'
+import { getEffectiveSlots, instantiateSlot } from './type-system.js'
+
+// Fields a template never controls
+const STRUCTURAL_FIELDS = new Set(['id', '$id', 'type', '$type', 'parent', 'parentSlot', 'meta'])
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+const adapterOf = (options) => options?.adapter || store
+
+/**
+ * Template for the index-th child of a slot (null if the slot has none there)
+ * @param {Object} slotDef - Slot definition
+ * @param {number} index - Position in an array slot (0 for single slots)
+ * @returns {Object|null}
+ */
+export function slotTemplateAt(slotDef, index = 0) {
+  const t = slotDef?.template
+  if (!t) return null
+  if (Array.isArray(t)) return t[index] || null
+  return t
+}
+
+/**
+ * Fields the user has overridden on a templated instance: those listed in meta.overrides,
+ * plus any template-owned field whose value no longer matches the template it was synced from.
+ * A child without a meta.template snapshot (created before syncs were tracked) may hold edits
+ * nobody recorded, so every field that differs from `template` counts as overridden.
+ * @param {Object} doc - Instance document
+ * @param {Object} template - Current slot template, used when the doc has no snapshot
+ * @returns {Set<string>}
+ */
+export function getOverriddenFields(doc, template = null) {
+  const out = new Set(Array.isArray(doc?.meta?.overrides) ? doc.meta.overrides : [])
+  const applied = doc?.meta?.template
+  const base = applied && typeof applied === 'object' ? applied : (template && typeof template === 'object' ? template : {})
+  for (const [field, value] of Object.entries(base)) {
+    if (!STRUCTURAL_FIELDS.has(field) && !same(getNested(doc, field), value)) out.add(field)
+  }
+  return out
+}
+
+/**
+ * The template an instance was created from: its meta.template snapshot, or else the
+ * current template at its position in the parent's slot.
+ * @param {Object} doc - Instance document
+ * @param {Object} options - { adapter } (defaults to the IndexedDB store)
+ * @returns {Promise<Object|null>}
+ */
+export async function getAppliedTemplate(doc, options = {}) {
+  if (doc?.meta?.template && typeof doc.meta.template === 'object') return doc.meta.template
+  if (!doc?.parent || !doc.parentSlot) return null
+  const parent = await adapterOf(options).getDoc(doc.parent)
+  if (!parent) return null
+  const { byPath } = await getEffectiveSlots(parent.type, options)
+  const value = getNested(parent, doc.parentSlot)
+  const index = Array.isArray(value) ? value.indexOf(doc.id) : 0
+  return index < 0 ? null : slotTemplateAt(byPath[doc.parentSlot], index)
+}
+
+/**
+ * Record user edits to template-owned fields in meta.overrides (call before saving an edit).
+ * A field set back to its template value stops being an override.
+ * @param {Object} prev - Doc before the edit
+ * @param {Object} next - Doc about to be saved (meta.template/overrides are updated in place)
+ * @param {Object} options - { adapter }
+ * @returns {Promise<Object>} next
+ */
+export async function trackTemplateOverrides(prev, next, options = {}) {
+  if (!next) return next
+  const applied = await getAppliedTemplate(prev || next, options)
+  if (!applied) return next
+  const overrides = new Set(Array.isArray(next.meta?.overrides) ? next.meta.overrides : (prev?.meta?.overrides || []))
+  for (const field of Object.keys(applied)) {
+    if (STRUCTURAL_FIELDS.has(field)) continue
+    const before = getNested(prev, field)
+    const after = getNested(next, field)
+    if (same(after, applied[field])) overrides.delete(field)
+    else if (!same(before, after)) overrides.add(field)
+  }
+  next.meta = { ...(next.meta || {}), template: structuredClone(applied), overrides: [...overrides].sort() }
+  return next
+}
+
+/**
+ * Diff an instance tree against its types' current slot templates.
+ * @param {string} instanceId - Root instance
+ * @param {Object} options - { adapter }
+ * @returns {Promise<Object>} {
+ *   rootId,
+ *   children: [{ id, slot, index }],                  // every templated child visited
+ *   changes: [{ id, name, slot, index, field, op: 'add'|'remove'|'change', before, after, overridden }],
+ *   missing: [{ parentId, slot, index, template }],   // template entries with no instance yet
+ *   extra:   [{ parentId, slot, index, id }]          // instances beyond the template list (left alone)
+ * }
+ */
+export async function planTemplateSync(instanceId, options = {}) {
+  const adapter = adapterOf(options)
+  const root = await adapter.getDoc(instanceId)
+  if (!root) {
+    throw new Error(`planTemplateSync: ${instanceId} not found`)
+  }
+  const plan = { rootId: instanceId, children: [], changes: [], missing: [], extra: [] }
+  const seen = new Set()
+
+  const visit = async (doc) => {
+    if (!doc || seen.has(doc.id)) return
+    seen.add(doc.id)
+    const { byPath } = await getEffectiveSlots(doc.type, { adapter })
+    for (const [slotPath, slotDef] of Object.entries(byPath)) {
+      const value = getNested(doc, slotPath)
+      const childIds = Array.isArray(value) ? value : (value ? [value] : [])
+      const templateCount = Array.isArray(slotDef.template) ? slotDef.template.length : (slotDef.template ? (slotDef.array ? childIds.length : 1) : 0)
+
+      for (let i = 0; i < childIds.length; i++) {
+        const child = typeof childIds[i] === 'string' ? await adapter.getDoc(childIds[i]) : null
+        if (!child) continue
+        const template = slotTemplateAt(slotDef, i)
+        if (!template) {
+          if (slotDef.template) plan.extra.push({ parentId: doc.id, slot: slotPath, index: i, id: child.id })
+        } else {
+          plan.children.push({ id: child.id, slot: slotPath, index: i })
+          diffChild(plan, child, template, slotPath, i)
+        }
+        await visit(child)
+      }
+      for (let i = childIds.length; i < templateCount; i++) {
+        plan.missing.push({ parentId: doc.id, slot: slotPath, index: i, template: slotTemplateAt(slotDef, i) })
+      }
+    }
+  }
+  await visit(root)
+  return plan
+}
+
+function diffChild(plan, child, template, slotPath, index) {
+  const overridden = getOverriddenFields(child, template)
+  const applied = child.meta?.template && typeof child.meta.template === 'object' ? child.meta.template : {}
+  const base = { id: child.id, name: child.name || child.id, slot: slotPath, index }
+  for (const [field, after] of Object.entries(template)) {
+    if (STRUCTURAL_FIELDS.has(field)) continue
+    const before = getNested(child, field)
+    if (same(before, after)) continue
+    plan.changes.push({ ...base, field, op: before === undefined ? 'add' : 'change', before, after, overridden: overridden.has(field) })
+  }
+  // Fields the previous template set that the current one dropped
+  for (const field of Object.keys(applied)) {
+    if (STRUCTURAL_FIELDS.has(field) || field in template) continue
+    const before = getNested(child, field)
+    if (before === undefined) continue
+    plan.changes.push({ ...base, field, op: 'remove', before, after: undefined, overridden: overridden.has(field) })
+  }
+}
+
+/**
+ * Apply a sync plan in one batch (one undo step). Overridden fields are kept;
+ * missing template children are created. Every synced child gets its meta.template refreshed.
+ * @param {Object} plan - From planTemplateSync()
+ * @param {Object} options - { label, adapter }
+ * @returns {Promise<Object>} { updated: [ids], created: [ids] }
+ */
+export async function applyTemplateSync(plan, options = {}) {
+  if (!plan?.rootId) {
+    throw new Error('applyTemplateSync: plan required')
+  }
+  const now = new Date().toISOString()
+  const updated = []
+  const created = []
+
+  const changesById = new Map()
+  for (const c of plan.changes) {
+    if (!changesById.has(c.id)) changesById.set(c.id, [])
+    changesById.get(c.id).push(c)
+  }
+
+  const adapter = adapterOf(options)
+  await adapter.batch(async (tx) => {
+    for (const { id, slot, index } of plan.children || []) {
+      const doc = await tx.get(id)
+      if (!doc) continue
+      const parent = doc.parent ? await tx.get(doc.parent) : null
+      const { byPath } = parent ? await getEffectiveSlots(parent.type, { adapter }) : { byPath: {} }
+      const template = slotTemplateAt(byPath[slot], index)
+      if (!template) continue
+      // Same override rules as the plan; a child without a snapshot records its differing fields as overrides
+      const overrides = getOverriddenFields(doc, template)
+      let touched = false
+      for (const c of changesById.get(id) || []) {
+        if (c.overridden || overrides.has(c.field)) continue
+        if (c.op === 'remove') {
+          const parts = c.field.split('.')
+          const owner = parts.length > 1 ? getNested(doc, parts.slice(0, -1).join('.')) : doc
+          if (owner && typeof owner === 'object') delete owner[parts[parts.length - 1]]
+        } else {
+          setNested(doc, c.field, structuredClone(c.after))
+        }
+        touched = true
+      }
+      const nextOverrides = [...overrides].sort()
+      if (!touched && same(doc.meta?.template, template) && same(doc.meta?.overrides, nextOverrides)) continue
+      doc.meta = {
+        ...(doc.meta || {}),
+        template: structuredClone(template),
+        overrides: nextOverrides,
+        version: (doc.meta?.version || 0) + 1,
+        updatedAt: now
+      }
+      tx.put(doc)
+      updated.push(id)
+    }
+
+    // Create children for template entries that have no instance yet
+    for (const m of plan.missing) {
+      const parent = await tx.get(m.parentId)
+      if (!parent) continue
+      const { byPath } = await getEffectiveSlots(parent.type, { adapter })
+      const slotDef = byPath[m.slot]
+      if (!slotDef) continue
+      const [child] = await instantiateSlot(m.parentId, m.slot, { ...slotDef, array: false, template: m.template }, null, { adapter })
+      if (!child) continue
+      tx.put(child.doc)
+      const current = getNested(parent, m.slot)
+      setNested(parent, m.slot, slotDef.array ? [...(Array.isArray(current) ? current : []), child.id] : child.id)
+      parent.meta = { ...(parent.meta || {}), version: (parent.meta?.version || 0) + 1, updatedAt: now }
+      tx.put(parent)
+      created.push(child.id)
+    }
+  }, { label: options.label || `Sync ${plan.rootId} from type`, source: 'templateSync' })
+
+  return { updated, created }
+}
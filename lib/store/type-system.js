@@ -3,24 +3,33 @@
  * 
  * Handles type inheritance, slot resolution, and instance validation
  * for the Spoke object model.
+ *
+ * Every function that reads or writes docs takes `options.adapter` (see memory-adapter.js and
+ * fs-adapter.js), so the same code runs in the browser, in tests and in Node scripts.
+ * Without it the browser's IndexedDB store is used.
  */
 
 import { store } from './adapter.js'
 import { getNested, setNested, listSlotPathsFromType } from './slot-path.js'
+import { deepReplaceIds } from './seed-utils.js'
+import { BLOB_SOURCES_KEY } from './resolver.js'
+
+const adapterOf = (options) => options?.adapter || store
 
 /**
  * Walk up the type chain and collect all type documents
  * @param {string} typeId - Starting type ID
  * @param {number} maxDepth - Maximum chain depth
+ * @param {Object} options - { adapter }
  * @returns {Promise<Array>} Array of type documents (parent first, child last)
  */
-export async function getTypeChain(typeId, maxDepth = 10) {
+export async function getTypeChain(typeId, maxDepth = 10, options = {}) {
   const chain = []
   let current = typeId
   let depth = 0
   
   while (current && current.startsWith('spoke://types/') && depth < maxDepth) {
-    const typeDoc = await store.getDoc(current)
+    const typeDoc = await adapterOf(options).getDoc(current)
     if (!typeDoc) break
     
     chain.unshift(typeDoc) // prepend so parent is first
@@ -35,14 +44,15 @@ export async function getTypeChain(typeId, maxDepth = 10) {
  * Get effective slots by merging all slots from the type chain
  * Child slots override parent slots with the same name
  * @param {string} typeId - Type ID to resolve slots for
+ * @param {Object} options - { adapter }
  * @returns {Promise<Object>} Merged slot definitions
  */
-export async function getEffectiveSlots(typeId) {
+export async function getEffectiveSlots(typeId, options = {}) {
   if (!typeId || !typeId.startsWith('spoke://types/')) {
     return { byPath: {}, byKind: {} }
   }
 
-  const chain = await getTypeChain(typeId)
+  const chain = await getTypeChain(typeId, 10, options)
 
   // Merge by kind, then by slot within kind (child overrides parent)
   const byKind = {}
@@ -67,70 +77,246 @@ export async function getEffectiveSlots(typeId) {
   return { byPath, byKind }
 }
 
+/**
+ * True if typeId is ancestorId or inherits from it (walks getTypeChain)
+ * @param {string} typeId - Concrete type ID
+ * @param {string} ancestorId - Type ID to test against
+ * @param {Object} options - { adapter }
+ * @returns {Promise<boolean>}
+ */
+export async function isTypeOf(typeId, ancestorId, options = {}) {
+  if (!typeId || !ancestorId) return false
+  if (typeId === ancestorId) return true
+  const chain = await getTypeChain(typeId, 10, options)
+  return chain.some((t) => t?.id === ancestorId)
+}
+
+/**
+ * Types a slot accepts: `anyOf` if given, otherwise its single `type` (empty = unconstrained)
+ * @param {Object} slotDef - Slot definition
+ * @returns {Array<string>} Allowed type IDs
+ */
+export function getSlotAllowedTypes(slotDef) {
+  if (!slotDef) return []
+  if (Array.isArray(slotDef.anyOf) && slotDef.anyOf.length) return slotDef.anyOf.filter((t) => typeof t === 'string')
+  return slotDef.type ? [slotDef.type] : []
+}
+
+/**
+ * True if an instance of typeId may fill the slot (is-a any allowed type)
+ * @param {Object} slotDef - Slot definition
+ * @param {string} typeId - Candidate type ID
+ * @param {Object} options - { adapter }
+ * @returns {Promise<boolean>}
+ */
+export async function slotAcceptsType(slotDef, typeId, options = {}) {
+  const allowed = getSlotAllowedTypes(slotDef)
+  if (!allowed.length) return true
+  for (const t of allowed) {
+    if (await isTypeOf(typeId, t, options)) return true
+  }
+  return false
+}
+
+/**
+ * List all type IDs in the store compatible with a slot
+ * @param {Object} slotDef - Slot definition
+ * @param {Object} options - { adapter }
+ * @returns {Promise<Array<string>>} Compatible type IDs, sorted
+ */
+export async function getCompatibleTypes(slotDef, options = {}) {
+  const headers = await adapterOf(options).listDocHeaders('spoke://types/')
+  const out = []
+  for (const h of headers) {
+    if (h?.id && await slotAcceptsType(slotDef, h.id, options)) out.push(h.id)
+  }
+  return out.sort()
+}
+
+// Value types a property definition may declare
+export const PROPERTY_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array']
+
+/**
+ * Get effective property definitions for a type (merged down the type chain).
+ * Properties live in a type's `properties` block, keyed by the (dotted) instance field:
+ *   { sensitivity: { type: 'number', unit: 'mV', min: 0, max: 5, default: 1, description: '...' } }
+ * A child type's definition is merged over its parent's, so it can refine e.g. min/max only.
+ * @param {string} typeId - Type ID
+ * @param {Object} options - { adapter }
+ * @returns {Promise<Object>} { [propertyPath]: definition }
+ */
+export async function getEffectiveProperties(typeId, options = {}) {
+  if (!typeId || !typeId.startsWith('spoke://types/')) return {}
+  const chain = await getTypeChain(typeId, 10, options)
+  const out = {}
+  for (const typeDoc of chain) {
+    const props = typeDoc?.properties && typeof typeDoc.properties === 'object' ? typeDoc.properties : {}
+    for (const [name, def] of Object.entries(props)) {
+      if (!def || typeof def !== 'object') continue
+      out[name] = { ...(out[name] || {}), ...def }
+    }
+  }
+  return out
+}
+
+/**
+ * Get effective connectors for a type (merged down the type chain; see mates.js).
+ * Connectors live in a type's `connectors` block, keyed by name, in the part's own frame:
+ *   { front: { position: [0, 0, 48], normal: [0, 0, 1], up: [0, 1, 0], description: '...' } }
+ * @param {string} typeId - Type ID
+ * @param {Object} options - { adapter }
+ * @returns {Promise<Object>} { [name]: { position, normal, up } }
+ */
+export async function getEffectiveConnectors(typeId, options = {}) {
+  if (!typeId || !typeId.startsWith('spoke://types/')) return {}
+  const chain = await getTypeChain(typeId, 10, options)
+  const out = {}
+  for (const typeDoc of chain) {
+    const connectors = typeDoc?.connectors && typeof typeDoc.connectors === 'object' ? typeDoc.connectors : {}
+    for (const [name, def] of Object.entries(connectors)) {
+      if (!def || typeof def !== 'object') continue
+      out[name] = { ...(out[name] || {}), ...def }
+    }
+  }
+  return out
+}
+
+function valueMatchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string'
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    case 'integer': return Number.isInteger(value)
+    case 'boolean': return typeof value === 'boolean'
+    case 'array': return Array.isArray(value)
+    case 'object': return value != null && typeof value === 'object' && !Array.isArray(value)
+    default: return true
+  }
+}
+
+/**
+ * Check a single value against a property definition
+ * @param {Object} def - Property definition
+ * @param {any} value - Value to check (undefined/null = missing)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validatePropertyValue(def, value) {
+  if (!def) return null
+  if (value === undefined || value === null) {
+    return def.required ? 'Required property is missing' : null
+  }
+  if (def.type && !valueMatchesType(def.type, value)) {
+    return `Expected ${def.type}, got ${Array.isArray(value) ? 'array' : typeof value}`
+  }
+  if (Array.isArray(def.enum) && !def.enum.some((v) => v === value)) {
+    return `Must be one of: ${def.enum.join(', ')}`
+  }
+  if (typeof value === 'number') {
+    const unit = def.unit ? ` ${def.unit}` : ''
+    if (typeof def.min === 'number' && value < def.min) return `Must be >= ${def.min}${unit}`
+    if (typeof def.max === 'number' && value > def.max) return `Must be <= ${def.max}${unit}`
+  }
+  return null
+}
+
+// Fill in declared defaults for properties the instance does not set
+function applyPropertyDefaults(instance, properties) {
+  for (const [name, def] of Object.entries(properties)) {
+    if (def.default === undefined || getNested(instance, name) !== undefined) continue
+    setNested(instance, name, structuredClone(def.default))
+  }
+  return instance
+}
+
 /**
  * Update an instance and maintain parent links for all child instances
+ * All writes (children + instance) commit atomically in one batch.
  * @param {Object} instance - Instance document to save
+ * @param {Object} options - { tx, label, adapter } tx: stage into an existing batch() handle instead of opening one
  * @returns {Promise<void>}
  */
-export async function putInstance(instance) {
+export async function putInstance(instance, options = {}) {
   if (!instance || !instance.id) {
     throw new Error('putInstance: instance.id required')
   }
   
   // Get effective slots (byPath) to know which fields are child references
-  const { byPath: effectiveSlots } = await getEffectiveSlots(instance.type)
+  const { byPath: effectiveSlots } = await getEffectiveSlots(instance.type, options)
   
-  // Update parent links for all children in slots
-  for (const [slotPath, slotDef] of Object.entries(effectiveSlots)) {
-    const value = getNested(instance, slotPath)
-    if (!value) continue
-    
-    // Handle both single references and arrays
-    const childIds = Array.isArray(value) ? value : [value]
-    
-    for (const childId of childIds) {
-      if (typeof childId !== 'string' || !childId.startsWith('spoke://instances/')) {
-        continue
-      }
+  const stage = async (tx) => {
+    // Update parent links for all children in slots
+    for (const [slotPath, slotDef] of Object.entries(effectiveSlots)) {
+      const value = getNested(instance, slotPath)
+      if (!value) continue
       
-      try {
-        const child = await store.getDoc(childId)
-        if (child) {
-          // Update child's parent reference
-          if (child.parent !== instance.id || child.parentSlot !== slotPath) {
-            child.parent = instance.id
-            child.parentSlot = slotPath
-            await store.putDoc(child)
+      // Handle both single references and arrays
+      const childIds = Array.isArray(value) ? value : [value]
+      
+      for (const childId of childIds) {
+        if (typeof childId !== 'string' || !childId.startsWith('spoke://instances/')) {
+          continue
+        }
+        
+        try {
+          const child = await tx.get(childId)
+          if (child) {
+            // Update child's parent reference
+            if (child.parent !== instance.id || child.parentSlot !== slotPath) {
+              child.parent = instance.id
+              child.parentSlot = slotPath
+              tx.put(child)
+            }
           }
+        } catch (err) {
+          console.warn(`[type-system] Failed to update parent link for ${childId}:`, err)
         }
-      } catch (err) {
-        console.warn(`[type-system] Failed to update parent link for ${childId}:`, err)
       }
     }
+    
+    // Save the instance
+    tx.put(instance)
   }
   
-  // Save the instance
-  await store.putDoc(instance)
+  if (options.tx) return await stage(options.tx)
+  await adapterOf(options).batch(stage, { label: options.label || `Update ${instance.name || instance.id}` })
+}
+
+/**
+ * Persist the result of createInstanceFromType() (instance + all slot children) atomically.
+ * The whole tree is recorded as a single undo step.
+ * @param {Object} created - { instance, children: [{ id, doc }] }
+ * @param {Object} options - { label, adapter }
+ * @returns {Promise<Object>} The persisted instance
+ */
+export async function saveInstanceTree(created, options = {}) {
+  const { instance, children = [] } = created || {}
+  if (!instance || !instance.id) {
+    throw new Error('saveInstanceTree: instance.id required')
+  }
+  await adapterOf(options).batch(async (tx) => {
+    for (const c of children) tx.put(c.doc)
+    await putInstance(instance, { tx, adapter: options.adapter })
+  }, { label: options.label || `Create ${instance.name || instance.id}` })
+  return instance
 }
 
 /**
  * Validate all parent links in the store
+ * @param {Object} options - { adapter }
  * @returns {Promise<Array>} Array of error messages (empty if valid)
  */
-export async function validateParentLinks() {
+export async function validateParentLinks(options = {}) {
   const errors = []
-  const headers = await store.listDocHeaders()
+  // One indexed read instead of a getDoc per header
+  const docs = await adapterOf(options).queryDocs()
+  const byId = new Map(docs.map((d) => [d.id, d]))
   
-  for (const header of headers) {
-    if (!header.id || !header.id.startsWith('spoke://instances/')) continue
+  for (const instance of docs) {
+    if (!instance.id || !instance.id.startsWith('spoke://instances/')) continue
     
     try {
-      const instance = await store.getDoc(header.id)
-      if (!instance) continue
-      
       // Check parent link if present
       if (instance.parent) {
-        const parent = await store.getDoc(instance.parent)
+        const parent = byId.get(instance.parent)
         
         if (!parent) {
           errors.push({
@@ -161,7 +347,7 @@ export async function validateParentLinks() {
       }
     } catch (err) {
       errors.push({
-        instance: header.id,
+        instance: instance.id,
         error: 'validation_error',
         message: err.message
       })
@@ -174,11 +360,12 @@ export async function validateParentLinks() {
 /**
  * Get child references for an instance as a map of dotted slotPath -> ids
  * @param {Object} instance - Instance document
+ * @param {Object} options - { adapter }
  * @returns {Promise<Object>} e.g., { 'children.cells': ['spoke://instances/a', ...], 'children.frame': 'spoke://instances/x' }
  */
-export async function getChildRefs(instance) {
+export async function getChildRefs(instance, options = {}) {
   if (!instance || !instance.type) return {}
-  const { byPath: slots } = await getEffectiveSlots(instance.type)
+  const { byPath: slots } = await getEffectiveSlots(instance.type, options)
   const out = {}
   for (const slotPath of Object.keys(slots)) {
     const value = getNested(instance, slotPath)
@@ -190,21 +377,21 @@ export async function getChildRefs(instance) {
 
 /**
  * Repair broken parent links by scanning all instances
+ * @param {Object} options - { adapter }
  * @returns {Promise<Object>} Stats about repairs made
  */
-export async function repairParentLinks() {
+export async function repairParentLinks(options = {}) {
   const stats = { fixed: 0, orphaned: 0, errors: 0 }
   
   // Build index of actual parent relationships
   const parentIndex = new Map() // childId → { parent, slot }
-  const headers = await store.listDocHeaders()
+  const docs = await adapterOf(options).queryDocs()
   
-  for (const header of headers) {
+  for (const doc of docs) {
     try {
-      const doc = await store.getDoc(header.id)
-      if (!doc || !doc.type) continue
+      if (!doc.type) continue
       
-      const { byPath: slots } = await getEffectiveSlots(doc.type)
+      const { byPath: slots } = await getEffectiveSlots(doc.type, options)
       
       for (const [slotPath, slotDef] of Object.entries(slots)) {
         const value = getNested(doc, slotPath)
@@ -223,36 +410,38 @@ export async function repairParentLinks() {
     }
   }
   
-  // Update instances to match actual parent relationships
-  for (const header of headers) {
-    if (!header.id || !header.id.startsWith('spoke://instances/')) continue
-    
-    try {
-      const instance = await store.getDoc(header.id)
-      if (!instance) continue
-      
-      const actualParent = parentIndex.get(header.id)
-      
-      if (actualParent) {
-        // Update if different
-        if (instance.parent !== actualParent.parent || instance.parentSlot !== actualParent.slot) {
-          instance.parent = actualParent.parent
-          instance.parentSlot = actualParent.slot
-          await store.putDoc(instance)
-          stats.fixed++
-        }
-      } else {
-        // Remove orphaned parent refs
-        if (instance.parent) {
-          delete instance.parent
-          delete instance.parentSlot
-          await store.putDoc(instance)
-          stats.orphaned++
+  // Update instances to match actual parent relationships (one atomic batch)
+  try {
+    await adapterOf(options).batch((tx) => {
+      for (const instance of docs) {
+        if (!instance.id || !instance.id.startsWith('spoke://instances/')) continue
+        
+        const actualParent = parentIndex.get(instance.id)
+        
+        if (actualParent) {
+          // Update if different
+          if (instance.parent !== actualParent.parent || instance.parentSlot !== actualParent.slot) {
+            instance.parent = actualParent.parent
+            instance.parentSlot = actualParent.slot
+            tx.put(instance)
+            stats.fixed++
+          }
+        } else {
+          // Remove orphaned parent refs
+          if (instance.parent) {
+            delete instance.parent
+            delete instance.parentSlot
+            tx.put(instance)
+            stats.orphaned++
+          }
         }
       }
-    } catch (err) {
-      stats.errors++
-    }
+    }, { source: 'repairParentLinks' })
+  } catch (err) {
+    // Batch rolled back: nothing was fixed
+    stats.fixed = 0
+    stats.orphaned = 0
+    stats.errors++
   }
   
   return stats
@@ -261,26 +450,24 @@ export async function repairParentLinks() {
 /**
  * Get all instances of a given type
  * @param {string} typeId - Type ID to search for
+ * @param {Object} options - { adapter }
  * @returns {Promise<Array>} Array of instance documents
  */
-export async function getInstancesOfType(typeId) {
-  const instances = []
-  const headers = await store.listDocHeaders()
-  
-  for (const header of headers) {
-    if (!header.id || !header.id.startsWith('spoke://instances/')) continue
-    
-    try {
-      const instance = await store.getDoc(header.id)
-      if (instance && instance.type === typeId) {
-        instances.push(instance)
-      }
-    } catch (err) {
-      console.warn(`[type-system] Failed to load instance ${header.id}:`, err)
-    }
-  }
-  
-  return instances
+export async function getInstancesOfType(typeId, options = {}) {
+  if (!typeId) return []
+  const docs = await adapterOf(options).queryDocs({ type: typeId })
+  return docs.filter((d) => typeof d.id === 'string' && d.id.startsWith('spoke://instances/'))
+}
+
+/**
+ * Get all direct child instances of a parent (via the parent index)
+ * @param {string} parentId - Parent instance ID
+ * @param {Object} options - { adapter }
+ * @returns {Promise<Array>} Array of child instance documents
+ */
+export async function getChildInstances(parentId, options = {}) {
+  if (!parentId) return []
+  return await adapterOf(options).queryDocs({ parent: parentId })
 }
 
 /**
@@ -289,10 +476,13 @@ export async function getInstancesOfType(typeId) {
  * @param {string} slotName - Slot name
  * @param {Object} slotDef - Slot definition with template
  * @param {number} count - Number of instances to create (for arrays)
+ * @param {Object} options - { adapter }
  * @returns {Promise<Array<string>>} Array of created instance IDs
  */
-export async function instantiateSlot(parentId, slotPath, slotDef, count = null) {
-  if (!slotDef.type) {
+export async function instantiateSlot(parentId, slotPath, slotDef, count = null, options = {}) {
+  // anyOf-only slots instantiate their first allowed type
+  const typeId = slotDef.type || getSlotAllowedTypes(slotDef)[0]
+  if (!typeId) {
     throw new Error('Slot definition must have a type')
   }
   
@@ -308,8 +498,8 @@ export async function instantiateSlot(parentId, slotPath, slotDef, count = null)
       const repeatCount = count || 1
       templates = Array(repeatCount).fill(slotDef.template)
     } else {
-      // No template - create count empty instances
-      const repeatCount = count || 0
+      // No template - create count (or minItems) empty instances
+      const repeatCount = count || slotDef.minItems || 0
       templates = Array(repeatCount).fill({})
     }
   } else {
@@ -317,6 +507,8 @@ export async function instantiateSlot(parentId, slotPath, slotDef, count = null)
     templates = [slotDef.template || {}]
   }
   
+  const properties = await getEffectiveProperties(typeId, options)
+
   // Create each instance (in-memory only)
 for (let i = 0; i < templates.length; i++) {
     const template = templates[i]
@@ -324,14 +516,14 @@ for (let i = 0; i < templates.length; i++) {
     let instanceId
     try {
       const { generateInstanceId } = await import('./id.js')
-      instanceId = generateInstanceId({ typeId: slotDef.type })
+      instanceId = generateInstanceId({ typeId })
     } catch {
       instanceId = `${parentId}-${slotName}-${i}`
     }
     
     const instance = {
       id: instanceId,
-      type: slotDef.type,
+      type: typeId,
       parent: parentId,
       parentSlot: slotPath,
       ...template, // Apply template properties
@@ -339,10 +531,13 @@ for (let i = 0; i < templates.length; i++) {
         origin: 'user',
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
-        version: 1
+        version: 1,
+        // Snapshot of the template applied, so later type edits can be synced (see template-sync.js)
+        ...(slotDef.template ? { template: structuredClone(template), overrides: [] } : {})
       }
     }
     
+    applyPropertyDefaults(instance, properties)
     created.push({ id: instanceId, doc: instance })
   }
   
@@ -354,6 +549,7 @@ for (let i = 0; i < templates.length; i++) {
  * @param {string} instanceId - ID for the new instance
  * @param {string} typeId - Type to instantiate from
  * @param {Object} overrides - Property overrides for the instance
+ * @param {Object} options - { transient, adapter }
  * @returns {Promise<Object>} Created instance document
  */
 export async function createInstanceFromType(instanceId, typeId, overrides = {}, options = {}) {
@@ -364,7 +560,7 @@ export async function createInstanceFromType(instanceId, typeId, overrides = {},
       instanceId = generateInstanceId({ typeId })
     } catch {}
   }
-  const { byPath: slots } = await getEffectiveSlots(typeId)
+  const { byPath: slots } = await getEffectiveSlots(typeId, options)
   const instance = {
     id: instanceId,
     type: typeId,
@@ -379,12 +575,14 @@ export async function createInstanceFromType(instanceId, typeId, overrides = {},
     }
   }
 
+  applyPropertyDefaults(instance, await getEffectiveProperties(typeId, options))
+
   const createdChildren = [] // array of { id, doc }
   
   // Instantiate each slot with a template (in-memory only)
   for (const [slotPath, slotDef] of Object.entries(slots)) {
     if (slotDef.template) {
-      const created = await instantiateSlot(instanceId, slotPath, slotDef)
+      const created = await instantiateSlot(instanceId, slotPath, slotDef, null, options)
       const childIds = created.map(c => c.id)
       createdChildren.push(...created)
       
@@ -414,11 +612,265 @@ export async function createInstanceFromType(instanceId, typeId, overrides = {},
 }
 
 /**
- * Validate an instance against its type's slot definitions
+ * Visit an instance tree depth-first through effective slots, root first, each instance once.
+ * A type id walks a fresh, unsaved instance of that type (createInstanceFromType with transient),
+ * so roll-ups and previews work before anything is saved.
+ * @param {string} rootId - Instance or type id
+ * @param {Function} visit - async (doc, { parent, slotPath, depth, childIds, getDoc }) called per instance;
+ *   getDoc reads from the walk's docs, including the unsaved ones of a type preview
+ * @param {Object} options - { adapter }
+ * @returns {Promise<Object>} { root, missing: [ids referenced by a slot but not found] }
+ */
+export async function walkInstanceTree(rootId, visit, options = {}) {
+  if (!rootId) throw new Error('walkInstanceTree: id required')
+  const preview = new Map()
+  let root
+  if (rootId.startsWith('spoke://types/')) {
+    const { generatePreviewId } = await import('./id.js')
+    const typeDoc = await adapterOf(options).getDoc(rootId)
+    const overrides = typeDoc?.name ? { name: typeDoc.name } : {}
+    const { instance, children } = await createInstanceFromType(generatePreviewId(rootId), rootId, overrides, { ...options, transient: true })
+    preview.set(instance.id, instance)
+    for (const c of children) preview.set(c.id, c.doc)
+    root = instance
+  } else {
+    root = await adapterOf(options).getDoc(rootId)
+  }
+  if (!root) throw new Error(`walkInstanceTree: ${rootId} not found`)
+  const getDoc = async (id) => preview.get(id) || await adapterOf(options).getDoc(id)
+
+  const missing = []
+  const seen = new Set()
+  const step = async (doc, parent, slotPath, depth) => {
+    seen.add(doc.id)
+    const refs = await getChildRefs(doc, options)
+    const children = []
+    for (const [path, value] of Object.entries(refs)) {
+      for (const childId of (Array.isArray(value) ? value : [value])) {
+        if (typeof childId === 'string' && childId.startsWith('spoke://instances/')) children.push([path, childId])
+      }
+    }
+    await visit(doc, { parent, slotPath, depth, childIds: children.map(([, id]) => id), getDoc })
+    for (const [path, childId] of children) {
+      if (seen.has(childId)) continue
+      const child = await getDoc(childId)
+      if (!child) {
+        if (!missing.includes(childId)) missing.push(childId)
+        continue
+      }
+      await step(child, doc, path, depth + 1)
+    }
+  }
+  await step(root, null, null, 0)
+  return { root, missing }
+}
+
+/**
+ * Collect an instance and every child reached through its effective slots, depth-first.
+ * Only children owned by the visited instance (parent link matches, or no parent) are followed.
+ * @param {Object} root - Root instance document
+ * @param {Object} options - { adapter }
+ * @returns {Promise<Array>} Instance documents, root first
+ */
+async function collectInstanceTree(root, options = {}) {
+  const out = []
+  const seen = new Set()
+  const visit = async (doc) => {
+    if (!doc || seen.has(doc.id)) return
+    seen.add(doc.id)
+    out.push(doc)
+    const refs = await getChildRefs(doc, options)
+    for (const value of Object.values(refs)) {
+      for (const childId of (Array.isArray(value) ? value : [value])) {
+        if (typeof childId !== 'string' || !childId.startsWith('spoke://instances/') || seen.has(childId)) continue
+        const child = await adapterOf(options).getDoc(childId)
+        if (child && (!child.parent || child.parent === doc.id)) await visit(child)
+      }
+    }
+  }
+  await visit(root)
+  return out
+}
+
+/**
+ * Deep-copy an instance and every child reached through its effective slots, with fresh ids.
+ * All internal references (slot values, parent/parentSlot links) are rewritten to the copies.
+ * The clone is saved in one batch (one undo step) and, if newParent is given, attached to
+ * newParent's slot: appended for array slots, set for empty single slots.
+ * @param {string} instanceId - Root instance to clone
+ * @param {Object} options - { newParent, newSlot, name, label, tx, adapter }
+ * @returns {Promise<Object>} { instance, children: [{ id, doc }], mapping: { oldId: newId } }
+ */
+export async function cloneInstanceTree(instanceId, options = {}) {
+  const { newParent = null, newSlot = null } = options
+  const source = await adapterOf(options).getDoc(instanceId)
+  if (!source) {
+    throw new Error(`cloneInstanceTree: ${instanceId} not found`)
+  }
+  if (newParent && !newSlot) {
+    throw new Error('cloneInstanceTree: newSlot required with newParent')
+  }
+
+  const { generateInstanceId } = await import('./id.js')
+
+  // Mint an id for each member of the subtree; shared references keep pointing at the original
+  const originals = await collectInstanceTree(source, options)
+  const mapping = {}
+  for (const doc of originals) mapping[doc.id] = generateInstanceId({ typeId: doc.type })
+
+  const now = new Date().toISOString()
+  const copies = originals.map((doc) => {
+    const copy = deepReplaceIds(doc, mapping)
+    // Template tracking carries over, so fields changed on the original stay overrides on the copy
+    const { template, overrides } = copy.meta || {}
+    copy.meta = { origin: 'user', createdAt: now, updatedAt: now, version: 1, clonedFrom: doc.id }
+    if (template !== undefined) copy.meta.template = template
+    if (overrides !== undefined) copy.meta.overrides = overrides
+    return copy
+  })
+  const instance = copies[0]
+  instance.parent = newParent
+  instance.parentSlot = newParent ? newSlot : null
+  if (options.name) instance.name = options.name
+  const children = copies.slice(1).map((doc) => ({ id: doc.id, doc }))
+
+  const stage = async (tx) => {
+    for (const c of children) tx.put(c.doc)
+    tx.put(instance)
+    if (!newParent) return
+    const parent = await tx.get(newParent)
+    if (!parent) {
+      throw new Error(`cloneInstanceTree: parent ${newParent} not found`)
+    }
+    const { byPath } = await getEffectiveSlots(parent.type, options)
+    const current = getNested(parent, newSlot)
+    if (byPath[newSlot]?.array || Array.isArray(current)) {
+      setNested(parent, newSlot, [...(Array.isArray(current) ? current : []), instance.id])
+    } else if (current == null) {
+      setNested(parent, newSlot, instance.id)
+    } else {
+      throw new Error(`cloneInstanceTree: slot ${newSlot} of ${newParent} is already filled`)
+    }
+    parent.meta = { ...(parent.meta || {}), version: (parent.meta?.version || 0) + 1, updatedAt: now }
+    tx.put(parent)
+  }
+
+  if (options.tx) await stage(options.tx)
+  else await adapterOf(options).batch(stage, { label: options.label || `Duplicate ${source.name || instanceId}` })
+  return { instance, children, mapping }
+}
+
+/**
+ * Delete an instance and its whole slot subtree atomically, and remove it from its parent's slot.
+ * @param {string} instanceId - Root instance to delete
+ * @param {Object} options - { dryRun, label, adapter }
+ * @returns {Promise<Object>} { ids: [deleted ids, root first], parent: { id, slot } | null, dryRun }
+ */
+export async function deleteInstanceTree(instanceId, options = {}) {
+  const root = await adapterOf(options).getDoc(instanceId)
+  if (!root) {
+    throw new Error(`deleteInstanceTree: ${instanceId} not found`)
+  }
+  const ids = (await collectInstanceTree(root, options)).map((d) => d.id)
+  const parent = root.parent ? { id: root.parent, slot: root.parentSlot || null } : null
+  if (options.dryRun) return { ids, parent, dryRun: true }
+
+  await adapterOf(options).batch(async (tx) => {
+    for (const id of ids) tx.delete(id)
+    if (!parent) return
+    const parentDoc = await tx.get(parent.id)
+    if (!parentDoc || !parent.slot) return
+    const value = getNested(parentDoc, parent.slot)
+    if (Array.isArray(value)) {
+      if (!value.includes(instanceId)) return
+      setNested(parentDoc, parent.slot, value.filter((v) => v !== instanceId))
+    } else if (value === instanceId) {
+      setNested(parentDoc, parent.slot, null)
+    } else {
+      return
+    }
+    parentDoc.meta = { ...(parentDoc.meta || {}), version: (parentDoc.meta?.version || 0) + 1, updatedAt: new Date().toISOString() }
+    tx.put(parentDoc)
+  }, { label: options.label || `Delete ${root.name || instanceId}` })
+  return { ids, parent, dryRun: false }
+}
+
+// Blobs stored this recently are kept by collectGarbage: a dropped model is saved before a doc refers to it
+export const GARBAGE_BLOB_MIN_AGE_MS = 60 * 60 * 1000
+
+/**
+ * Find (and optionally remove) garbage in the store:
+ * - user-origin instances not reachable from any root. Roots are non-instance docs and
+ *   instances without a parent; reachability follows any instance id held in a doc.
+ * - blobs not referenced by any remaining doc, except those the site manifest declares
+ *   (see BLOB_SOURCES_KEY) and those stored less than `minBlobAge` ms ago
+ * Instance deletes are one undo step; blob deletes cannot be undone.
+ * @param {Object} options - { dryRun, adapter, minBlobAge = GARBAGE_BLOB_MIN_AGE_MS }
+ * @returns {Promise<Object>} { instances: [ids], blobs: [hashes], dryRun }
+ */
+export async function collectGarbage(options = {}) {
+  const { minBlobAge = GARBAGE_BLOB_MIN_AGE_MS } = options
+  const all = await adapterOf(options).queryDocs()
+  const byId = new Map(all.map((d) => [d.id, d]))
+  const isInstance = (id) => typeof id === 'string' && id.startsWith('spoke://instances/')
+
+  // Every string in a doc matching pred, at any depth
+  const collect = (obj, pred, out) => {
+    if (typeof obj === 'string') {
+      if (pred(obj)) out.push(obj)
+    } else if (obj && typeof obj === 'object') {
+      for (const v of Object.values(obj)) collect(v, pred, out)
+    }
+    return out
+  }
+
+  const reachable = new Set()
+  const queue = all.filter((d) => !isInstance(d.id) || !d.parent).map((d) => d.id)
+  while (queue.length) {
+    const id = queue.pop()
+    if (reachable.has(id)) continue
+    reachable.add(id)
+    const doc = byId.get(id)
+    if (!doc) continue
+    for (const ref of collect(doc, isInstance, [])) if (!reachable.has(ref) && byId.has(ref)) queue.push(ref)
+  }
+  const instances = all
+    .filter((d) => isInstance(d.id) && !reachable.has(d.id) && (d.meta?.origin || 'user') === 'user')
+    .map((d) => d.id)
+
+  const garbage = new Set(instances)
+  const referenced = new Set()
+  for (const d of all) {
+    if (garbage.has(d.id)) continue
+    collect(d, (v) => v.startsWith('sha256-'), []).forEach((h) => referenced.add(h))
+  }
+  for (const h of Object.keys((await adapterOf(options).getMeta(BLOB_SOURCES_KEY)) || {})) referenced.add(h)
+  const cutoff = Date.now() - minBlobAge
+  const blobs = []
+  for (const h of await adapterOf(options).listBlobHashes()) {
+    if (referenced.has(h)) continue
+    // A blob without a createdAt counts as old
+    if (Date.parse((await adapterOf(options).getBlob(h))?.meta?.createdAt || '') > cutoff) continue
+    blobs.push(h)
+  }
+
+  if (options.dryRun || (instances.length === 0 && blobs.length === 0)) {
+    return { instances, blobs, dryRun: !!options.dryRun }
+  }
+  await adapterOf(options).batch((tx) => {
+    for (const id of instances) tx.delete(id)
+    for (const hash of blobs) tx.deleteBlob(hash)
+  }, { label: 'Collect garbage', source: 'collectGarbage' })
+  return { instances, blobs, dryRun: false }
+}
+
+/**
+ * Validate an instance against its type's slot and property definitions
  * @param {Object} instance - Instance to validate
+ * @param {Object} options - { adapter }
  * @returns {Promise<Array>} Array of validation errors
  */
-export async function validateInstance(instance) {
+export async function validateInstance(instance, options = {}) {
   const errors = []
   
   if (!instance.type) {
@@ -426,7 +878,7 @@ export async function validateInstance(instance) {
     return errors
   }
   
-  const { byPath: slots } = await getEffectiveSlots(instance.type)
+  const { byPath: slots } = await getEffectiveSlots(instance.type, options)
   
   // Check each slot definition
   for (const [slotPath, slotDef] of Object.entries(slots)) {
@@ -438,7 +890,13 @@ export async function validateInstance(instance) {
       continue
     }
     
-    if (!value) continue
+    // A missing array slot holds no items, which minItems may not allow
+    if (!value) {
+      if (slotDef.array && typeof slotDef.minItems === 'number' && slotDef.minItems > 0) {
+        errors.push({ field: slotPath, error: `Slot needs at least ${slotDef.minItems} item(s), has 0` })
+      }
+      continue
+    }
     
     // Check array constraint
     if (slotDef.array && !Array.isArray(value)) {
@@ -450,20 +908,31 @@ export async function validateInstance(instance) {
       errors.push({ field: slotPath, error: 'Slot must not be an array' })
       continue
     }
+
+    // Check cardinality
+    if (slotDef.array) {
+      if (typeof slotDef.minItems === 'number' && value.length < slotDef.minItems) {
+        errors.push({ field: slotPath, error: `Slot needs at least ${slotDef.minItems} item(s), has ${value.length}` })
+      }
+      if (typeof slotDef.maxItems === 'number' && value.length > slotDef.maxItems) {
+        errors.push({ field: slotPath, error: `Slot allows at most ${slotDef.maxItems} item(s), has ${value.length}` })
+      }
+    }
     
-    // Check type constraint (if specified)
-    if (slotDef.type) {
+    // Check type constraint (if specified); subtypes satisfy parent-typed slots
+    const allowed = getSlotAllowedTypes(slotDef)
+    if (allowed.length) {
       const childIds = Array.isArray(value) ? value : [value]
       
       for (const childId of childIds) {
         if (typeof childId !== 'string') continue
         
         try {
-          const child = await store.getDoc(childId)
-          if (child && child.type !== slotDef.type) {
+          const child = await adapterOf(options).getDoc(childId)
+          if (child && !(await slotAcceptsType(slotDef, child.type, options))) {
             errors.push({
               field: slotPath,
-              error: `Expected type ${slotDef.type}, got ${child.type}`
+              error: `Expected type ${allowed.join(' | ')}, got ${child.type}`
             })
           }
         } catch (err) {
@@ -472,6 +941,13 @@ export async function validateInstance(instance) {
       }
     }
   }
+
+  // Check declared properties
+  const properties = await getEffectiveProperties(instance.type, options)
+  for (const [name, def] of Object.entries(properties)) {
+    const error = validatePropertyValue(def, getNested(instance, name))
+    if (error) errors.push({ field: name, error })
+  }
   
   return errors
 }
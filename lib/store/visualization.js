@@ -13,7 +13,7 @@ export function isVisualizable(doc) {
   if (!doc || typeof doc !== 'object') return false
   
   // Direct model reference
-  if (doc.model && doc.model.url) return true
+  if (doc.model && (doc.model.url || doc.model.ref)) return true
   
   // Type reference that might have a model (we'll need to resolve)
   if (doc.type && typeof doc.type === 'string') return true
@@ -57,7 +57,7 @@ export async function getVisualizableIds(docId, options = {}) {
   // Only add if this is an instance (not a type) and it has a model or type reference
   // Types (spoke://types/*) should not be added - they'll be resolved via instance.type
   const isType = docId.startsWith('spoke://types/')
-  if (!isType && (doc.model?.url || doc.type || doc.$type)) {
+  if (!isType && (doc.model?.url || doc.model?.ref || doc.type || doc.$type)) {
     ids.push(docId)
   }
   
@@ -106,7 +106,7 @@ export async function getVisualizationInfo(docId) {
   if (!doc) return { canVisualize: false, reason: 'Document not found' }
   
   const isTypeDoc = typeof docId === 'string' && docId.startsWith('spoke://types/')
-  const hasModel = !!(doc.model?.url)
+  const hasModel = !!(doc.model?.url || doc.model?.ref)
   // Consider type documents visualizable even without parent type ref, since we can instantiate from templates
   const hasType = isTypeDoc || !!((doc.type && typeof doc.type === 'string') || (doc.$type && typeof doc.$type === 'string'))
   
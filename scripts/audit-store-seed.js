@@ -1,16 +1,13 @@
 import fs from 'fs/promises'
 import path from 'path'
-import { fileURLToPath } from 'url'
+import { openFsAdapter } from '../lib/store/fs-adapter.js'
+import { getSlotAllowedTypes, slotAcceptsType, getEffectiveProperties, validatePropertyValue, getEffectiveConnectors } from '../lib/store/type-system.js'
+import { getNested } from '../lib/store/slot-path.js'
+import { isValidConnector, parseMateTarget, findMateSibling, resolveLocation, parseLocation, formatLocation } from '../lib/store/mates.js'
 
 const cwd = process.cwd()
 const seedDir = process.argv[2] ? path.resolve(process.argv[2]) : path.join(cwd, 'public', 'store-seed')
 
-function toArray(x) {
-  if (Array.isArray(x)) return x
-  if (x == null) return []
-  return [x]
-}
-
 async function readJson(p) {
   const txt = await fs.readFile(p, 'utf8')
   try {
@@ -24,77 +21,44 @@ async function main() {
   const errors = []
   const warnings = []
 
-  const indexPath = path.join(seedDir, 'index.json')
-  let index
+  // Docs are read through the same adapter API the designer uses, so the checks below can
+  // call the type-system directly
   try {
-    index = await readJson(indexPath)
+    await fs.access(path.join(seedDir, 'index.json'))
   } catch (e) {
-    console.error(e.message)
+    console.error(`Missing ${path.join(seedDir, 'index.json')}`)
     process.exit(1)
   }
+  const adapter = await openFsAdapter(seedDir)
+  for (const issue of adapter.issues) errors.push(issue.message)
+  const fileOf = (id) => adapter.sources.get(id)
+  const slotAccepts = (slotDef, typeId) => slotAcceptsType(slotDef, typeId, { adapter })
 
-  const docs = toArray(index.docs)
   const typeMap = new Map()
-  const typeFiles = new Map()
   const instanceMap = new Map()
-  const instanceFiles = new Map()
+  for (const doc of await adapter.queryDocs()) {
+    if (doc.id.startsWith('spoke://types/')) typeMap.set(doc.id, doc)
+    else if (doc.id.startsWith('spoke://instances/')) instanceMap.set(doc.id, doc)
+    else warnings.push(`Unrecognized id scheme ${doc.id} in ${fileOf(doc.id)}`)
+  }
 
-  for (const doc of docs) {
-    const p = path.join(seedDir, doc.path)
-    try {
-      const data = await readJson(p)
-      if (doc.array) {
-        if (!Array.isArray(data)) {
-          errors.push(`Expected array in ${doc.path}`)
-          continue
-        }
-        for (const obj of data) {
-          if (!obj || typeof obj !== 'object') {
-            errors.push(`Invalid entry in ${doc.path}`)
-            continue
-          }
-          const id = obj.id
-          if (typeof id !== 'string') {
-            errors.push(`Missing id in entry from ${doc.path}`)
-            continue
-          }
-          if (instanceMap.has(id)) {
-            errors.push(`Duplicate instance id ${id} in ${doc.path} and ${instanceFiles.get(id)}`)
-          } else {
-            instanceMap.set(id, obj)
-            instanceFiles.set(id, doc.path)
-          }
-        }
-      } else {
-        if (!data || typeof data !== 'object') {
-          errors.push(`Invalid JSON object in ${doc.path}`)
-          continue
-        }
-        const id = data.id
-        if (typeof id !== 'string') {
-          errors.push(`Missing id in ${doc.path}`)
-          continue
-        }
-        if (id.startsWith('spoke://types/')) {
-          if (typeMap.has(id)) {
-            errors.push(`Duplicate type id ${id} in ${doc.path} and ${typeFiles.get(id)}`)
-          } else {
-            typeMap.set(id, data)
-            typeFiles.set(id, doc.path)
-          }
-        } else if (id.startsWith('spoke://instances/')) {
-          if (instanceMap.has(id)) {
-            errors.push(`Duplicate instance id ${id} in ${doc.path} and ${instanceFiles.get(id)}`)
-          } else {
-            instanceMap.set(id, data)
-            instanceFiles.set(id, doc.path)
-          }
-        } else {
-          warnings.push(`Unrecognized id scheme ${id} in ${doc.path}`)
-        }
-      }
-    } catch (e) {
-      errors.push(`Failed to read ${doc.path}: ${e.message}`)
+  // Tombstones and renamedFrom aliases tell reconcile to remove or redirect old site docs,
+  // so the ids they name must not still be seeded
+  const index = await readJson(path.join(seedDir, 'index.json'))
+  const tombstones = Array.isArray(index.tombstones) ? index.tombstones : []
+  for (const t of tombstones) {
+    const id = typeof t === 'string' ? t : t?.id
+    if (typeof id !== 'string') errors.push(`index.json has an invalid tombstone entry ${JSON.stringify(t)}`)
+    else if (fileOf(id)) errors.push(`Tombstoned id ${id} is still in the seed (${fileOf(id)})`)
+  }
+  const renamed = new Map() // old id -> new id
+  for (const doc of await adapter.queryDocs()) {
+    if (doc.renamedFrom == null) continue
+    for (const oldId of Array.isArray(doc.renamedFrom) ? doc.renamedFrom : [doc.renamedFrom]) {
+      if (typeof oldId !== 'string') errors.push(`Doc ${doc.id} has an invalid renamedFrom entry (${fileOf(doc.id)})`)
+      else if (fileOf(oldId)) errors.push(`Doc ${doc.id} is renamedFrom ${oldId}, which is still in the seed (${fileOf(oldId)})`)
+      else if (renamed.has(oldId)) errors.push(`${oldId} is renamedFrom by both ${renamed.get(oldId)} and ${doc.id} (${fileOf(doc.id)})`)
+      else renamed.set(oldId, doc.id)
     }
   }
 
@@ -103,43 +67,50 @@ async function main() {
     const slotsRoot = tdoc?.slots?.children?.slots || {}
     for (const [slotName, slotDef] of Object.entries(slotsRoot)) {
       if (!slotDef || typeof slotDef !== 'object') {
-        errors.push(`Type ${tid} has invalid slot definition for children.${slotName} (${typeFiles.get(tid)})`)
+        errors.push(`Type ${tid} has invalid slot definition for children.${slotName} (${fileOf(tid)})`)
         continue
       }
-      const st = slotDef.type
-      if (typeof st !== 'string') {
-        errors.push(`Type ${tid} slot children.${slotName} missing type (${typeFiles.get(tid)})`)
+      const allowed = getSlotAllowedTypes(slotDef)
+      if (!allowed.length) {
+        errors.push(`Type ${tid} slot children.${slotName} missing type (${fileOf(tid)})`)
         continue
       }
-      if (!typeMap.has(st)) {
-        errors.push(`Type ${tid} slot children.${slotName} references missing type ${st} (${typeFiles.get(tid)})`)
+      for (const st of allowed) {
+        if (!typeMap.has(st)) {
+          errors.push(`Type ${tid} slot children.${slotName} references missing type ${st} (${fileOf(tid)})`)
+        }
+      }
+      for (const key of ['minItems', 'maxItems']) {
+        if (slotDef[key] != null && !(Number.isInteger(slotDef[key]) && slotDef[key] >= 0)) {
+          warnings.push(`Type ${tid} slot children.${slotName} has invalid '${key}' (${fileOf(tid)})`)
+        }
       }
       if (slotDef.array != null && typeof slotDef.array !== 'boolean') {
-        warnings.push(`Type ${tid} slot children.${slotName} has non-boolean 'array' (${typeFiles.get(tid)})`)
+        warnings.push(`Type ${tid} slot children.${slotName} has non-boolean 'array' (${fileOf(tid)})`)
       }
       if (slotDef.required != null && typeof slotDef.required !== 'boolean') {
-        warnings.push(`Type ${tid} slot children.${slotName} has non-boolean 'required' (${typeFiles.get(tid)})`)
+        warnings.push(`Type ${tid} slot children.${slotName} has non-boolean 'required' (${fileOf(tid)})`)
       }
       if (slotDef.model) {
         const modelPath = path.join(seedDir, slotDef.model)
         try {
           await fs.access(modelPath)
         } catch (e) {
-          errors.push(`Type ${tid} slot children.${slotName} references missing model file ${slotDef.model} (${typeFiles.get(tid)})`)
+          errors.push(`Type ${tid} slot children.${slotName} references missing model file ${slotDef.model} (${fileOf(tid)})`)
         }
         try {
           const modelData = await readJson(modelPath)
           if (!modelData.url) {
-            errors.push(`Type ${tid} slot children.${slotName} model file ${slotDef.model} is missing 'url' field (${typeFiles.get(tid)})`)
+            errors.push(`Type ${tid} slot children.${slotName} model file ${slotDef.model} is missing 'url' field (${fileOf(tid)})`)
           }
           if (modelData.offset && !Array.isArray(modelData.offset)) {
-            errors.push(`Type ${tid} slot children.${slotName} model file ${slotDef.model} 'offset' field is not an array (${typeFiles.get(tid)})`)
+            errors.push(`Type ${tid} slot children.${slotName} model file ${slotDef.model} 'offset' field is not an array (${fileOf(tid)})`)
           }
           if (modelData.rotation && !Array.isArray(modelData.rotation)) {
-            errors.push(`Type ${tid} slot children.${slotName} model file ${slotDef.model} 'rotation' field is not an array (${typeFiles.get(tid)})`)
+            errors.push(`Type ${tid} slot children.${slotName} model file ${slotDef.model} 'rotation' field is not an array (${fileOf(tid)})`)
           }
         } catch (e) {
-          errors.push(`Type ${tid} slot children.${slotName} model file ${slotDef.model} is invalid JSON (${typeFiles.get(tid)})`)
+          errors.push(`Type ${tid} slot children.${slotName} model file ${slotDef.model} is invalid JSON (${fileOf(tid)})`)
         }
       }
     }
@@ -148,11 +119,11 @@ async function main() {
   for (const [iid, inst] of instanceMap) {
     const t = inst.type
     if (typeof t !== 'string') {
-      errors.push(`Instance ${iid} missing type in ${instanceFiles.get(iid)}`)
+      errors.push(`Instance ${iid} missing type in ${fileOf(iid)}`)
       continue
     }
     if (!typeMap.has(t)) {
-      errors.push(`Instance ${iid} references missing type ${t} (${instanceFiles.get(iid)})`)
+      errors.push(`Instance ${iid} references missing type ${t} (${fileOf(iid)})`)
     }
   }
 
@@ -161,21 +132,21 @@ async function main() {
     const parentSlot = inst.parentSlot
     if (parentId == null && parentSlot == null) continue
     if (typeof parentId !== 'string') {
-      errors.push(`Instance ${iid} has invalid parent in ${instanceFiles.get(iid)}`)
+      errors.push(`Instance ${iid} has invalid parent in ${fileOf(iid)}`)
       continue
     }
     const parent = instanceMap.get(parentId)
     if (!parent) {
-      errors.push(`Instance ${iid} references missing parent ${parentId} (${instanceFiles.get(iid)})`)
+      errors.push(`Instance ${iid} references missing parent ${parentId} (${fileOf(iid)})`)
       continue
     }
     if (typeof parentSlot !== 'string' || !parentSlot.includes('.')) {
-      errors.push(`Instance ${iid} has invalid parentSlot ${parentSlot} in ${instanceFiles.get(iid)}`)
+      errors.push(`Instance ${iid} has invalid parentSlot ${parentSlot} in ${fileOf(iid)}`)
       continue
     }
     const parts = parentSlot.split('.')
     if (parts[0] !== 'children') {
-      errors.push(`Instance ${iid} parentSlot must start with children. (${parentSlot}) (${instanceFiles.get(iid)})`)
+      errors.push(`Instance ${iid} parentSlot must start with children. (${parentSlot}) (${fileOf(iid)})`)
       continue
     }
     const slotName = parts.slice(1).join('.')
@@ -183,47 +154,47 @@ async function main() {
     const v = children[slotName]
     if (Array.isArray(v)) {
       if (!v.includes(iid)) {
-        errors.push(`Parent ${parentId} children.${slotName} does not include ${iid} (${instanceFiles.get(parentId)})`)
+        errors.push(`Parent ${parentId} children.${slotName} does not include ${iid} (${fileOf(parentId)})`)
       }
       const s = new Set()
       for (const x of v) {
-        if (s.has(x)) warnings.push(`Duplicate child ${x} in parent ${parentId} children.${slotName} (${instanceFiles.get(parentId)})`)
+        if (s.has(x)) warnings.push(`Duplicate child ${x} in parent ${parentId} children.${slotName} (${fileOf(parentId)})`)
         s.add(x)
       }
     } else if (typeof v === 'string') {
       if (v !== iid) {
-        errors.push(`Parent ${parentId} children.${slotName} is ${v} not ${iid} (${instanceFiles.get(parentId)})`)
+        errors.push(`Parent ${parentId} children.${slotName} is ${v} not ${iid} (${fileOf(parentId)})`)
       }
     } else {
-      errors.push(`Parent ${parentId} missing children.${slotName} for ${iid} (${instanceFiles.get(parentId)})`)
+      errors.push(`Parent ${parentId} missing children.${slotName} for ${iid} (${fileOf(parentId)})`)
     }
 
     const parentTypeId = parent.type
     if (typeof parentTypeId !== 'string' || !typeMap.has(parentTypeId)) {
-      errors.push(`Parent ${parentId} has missing or invalid type ${parentTypeId} (${instanceFiles.get(parentId)})`)
+      errors.push(`Parent ${parentId} has missing or invalid type ${parentTypeId} (${fileOf(parentId)})`)
       continue
     }
     const parentType = typeMap.get(parentTypeId)
     const slotsRoot = parentType?.slots?.children?.slots || {}
     const slotDef = slotsRoot[slotName]
     if (!slotDef) {
-      errors.push(`Type ${parentTypeId} has no slot children.${slotName} for instance ${iid} (${typeFiles.get(parentTypeId)})`)
+      errors.push(`Type ${parentTypeId} has no slot children.${slotName} for instance ${iid} (${fileOf(parentTypeId)})`)
       continue
     }
-    const expectedType = slotDef.type
+    const expectedTypes = getSlotAllowedTypes(slotDef)
     const actualType = inst.type
-    if (typeof expectedType !== 'string') {
-      errors.push(`Type ${parentTypeId} slot children.${slotName} missing type (${typeFiles.get(parentTypeId)})`)
+    if (!expectedTypes.length) {
+      errors.push(`Type ${parentTypeId} slot children.${slotName} missing type (${fileOf(parentTypeId)})`)
       continue
     }
-    if (expectedType !== actualType) {
-      errors.push(`Instance ${iid} type ${actualType} does not match slot children.${slotName} type ${expectedType} in parent type ${parentTypeId} (${instanceFiles.get(iid)})`)
+    if (!await slotAccepts(slotDef, actualType)) {
+      errors.push(`Instance ${iid} type ${actualType} does not match slot children.${slotName} type ${expectedTypes.join(' | ')} in parent type ${parentTypeId} (${fileOf(iid)})`)
     }
     if (slotDef.array === true && !Array.isArray(v)) {
-      errors.push(`Parent ${parentId} children.${slotName} should be an array (${instanceFiles.get(parentId)})`)
+      errors.push(`Parent ${parentId} children.${slotName} should be an array (${fileOf(parentId)})`)
     }
     if (slotDef.array !== true && Array.isArray(v)) {
-      errors.push(`Parent ${parentId} children.${slotName} should not be an array (${instanceFiles.get(parentId)})`)
+      errors.push(`Parent ${parentId} children.${slotName} should not be an array (${fileOf(parentId)})`)
     }
   }
 
@@ -242,11 +213,11 @@ async function main() {
         const v = children[slotName]
         if (slotDef.array === true) {
           if (!Array.isArray(v) || v.length === 0) {
-            errors.push(`Parent ${pid} missing required children.${slotName} array (${instanceFiles.get(pid)})`)
+            errors.push(`Parent ${pid} missing required children.${slotName} array (${fileOf(pid)})`)
           }
         } else {
           if (typeof v !== 'string' || v.length === 0) {
-            errors.push(`Parent ${pid} missing required children.${slotName} (${instanceFiles.get(pid)})`)
+            errors.push(`Parent ${pid} missing required children.${slotName} (${fileOf(pid)})`)
           }
         }
       }
@@ -256,23 +227,23 @@ async function main() {
     for (const [slotName, v] of Object.entries(children)) {
       const slotDef = slotsRoot[slotName]
       if (!slotDef) {
-        errors.push(`Parent ${pid} references unknown slot children.${slotName} for type ${parentTypeId} (${instanceFiles.get(pid)})`)
+        errors.push(`Parent ${pid} references unknown slot children.${slotName} for type ${parentTypeId} (${fileOf(pid)})`)
         continue
       }
-      const ensureChild = (cid) => {
+      const ensureChild = async (cid) => {
         const child = instanceMap.get(cid)
         if (!child) {
-          errors.push(`Parent ${pid} children.${slotName} references missing child ${cid} (${instanceFiles.get(pid)})`)
+          errors.push(`Parent ${pid} children.${slotName} references missing child ${cid} (${fileOf(pid)})`)
           return
         }
         if (child.parent !== pid) {
-          errors.push(`Child ${cid} has parent ${child.parent} not ${pid} (${instanceFiles.get(cid)})`)
+          errors.push(`Child ${cid} has parent ${child.parent} not ${pid} (${fileOf(cid)})`)
         }
         if (child.parentSlot !== `children.${slotName}`) {
-          errors.push(`Child ${cid} parentSlot is ${child.parentSlot} not children.${slotName} (${instanceFiles.get(cid)})`)
+          errors.push(`Child ${cid} parentSlot is ${child.parentSlot} not children.${slotName} (${fileOf(cid)})`)
         }
-        if (child.type !== slotDef.type) {
-          errors.push(`Child ${cid} type ${child.type} does not match slot children.${slotName} type ${slotDef.type} (${instanceFiles.get(cid)})`)
+        if (!await slotAccepts(slotDef, child.type)) {
+          errors.push(`Child ${cid} type ${child.type} does not match slot children.${slotName} type ${getSlotAllowedTypes(slotDef).join(' | ')} (${fileOf(cid)})`)
         }
         if (childToParent.has(cid) && childToParent.get(cid) !== pid) {
           errors.push(`Child ${cid} is referenced by multiple parents: ${childToParent.get(cid)} and ${pid}`)
@@ -282,20 +253,85 @@ async function main() {
       }
       if (Array.isArray(v)) {
         if (slotDef.array !== true) {
-          errors.push(`Parent ${pid} children.${slotName} should not be an array (${instanceFiles.get(pid)})`)
+          errors.push(`Parent ${pid} children.${slotName} should not be an array (${fileOf(pid)})`)
+        }
+        if (typeof slotDef.minItems === 'number' && v.length < slotDef.minItems) {
+          errors.push(`Parent ${pid} children.${slotName} has ${v.length} item(s), needs at least ${slotDef.minItems} (${fileOf(pid)})`)
         }
-        v.forEach(ensureChild)
+        if (typeof slotDef.maxItems === 'number' && v.length > slotDef.maxItems) {
+          errors.push(`Parent ${pid} children.${slotName} has ${v.length} item(s), allows at most ${slotDef.maxItems} (${fileOf(pid)})`)
+        }
+        for (const cid of v) await ensureChild(cid)
       } else if (typeof v === 'string') {
         if (slotDef.array === true) {
-          errors.push(`Parent ${pid} children.${slotName} should be an array (${instanceFiles.get(pid)})`)
+          errors.push(`Parent ${pid} children.${slotName} should be an array (${fileOf(pid)})`)
         }
-        ensureChild(v)
+        await ensureChild(v)
       } else {
-        errors.push(`Parent ${pid} children.${slotName} invalid value (${instanceFiles.get(pid)})`)
+        errors.push(`Parent ${pid} children.${slotName} invalid value (${fileOf(pid)})`)
       }
     }
   }
 
+  // Declared properties, checked the same way the designer validates instances
+  for (const [iid, inst] of instanceMap) {
+    if (!typeMap.has(inst.type)) continue
+    const properties = await getEffectiveProperties(inst.type, { adapter })
+    for (const [name, def] of Object.entries(properties)) {
+      const error = validatePropertyValue(def, getNested(inst, name))
+      if (error) errors.push(`Instance ${iid} property ${name}: ${error} (${fileOf(iid)})`)
+    }
+  }
+
+  // Connectors must be usable and mates must name connectors that exist
+  for (const [tid, tdoc] of typeMap) {
+    for (const [name, connector] of Object.entries(tdoc.connectors || {})) {
+      if (!isValidConnector(connector)) errors.push(`Type ${tid} connector ${name} needs [x, y, z] position, normal and an up not along the normal (${fileOf(tid)})`)
+    }
+  }
+  const connectorsOf = (typeId) => getEffectiveConnectors(typeId, { adapter })
+  const slotTypeOf = (slotsRoot, ref) => {
+    const name = ref.replace(/\[\d+\]$/, '').replace(/^children\./, '')
+    return slotsRoot[name] ? getSlotAllowedTypes(slotsRoot[name])[0] : undefined
+  }
+  for (const [tid, tdoc] of typeMap) {
+    const slotsRoot = tdoc?.slots?.children?.slots || {}
+    for (const [slotName, slotDef] of Object.entries(slotsRoot)) {
+      const templates = Array.isArray(slotDef?.template) ? slotDef.template : slotDef?.template ? [slotDef.template] : []
+      for (const [i, tpl] of templates.entries()) {
+        if (!tpl?.mate) continue
+        const where = `Type ${tid} slot children.${slotName} template ${i} mate`
+        const target = parseMateTarget(tpl.mate.to)
+        if (!target) {
+          errors.push(`${where} has invalid 'to' ${JSON.stringify(tpl.mate.to)} (${fileOf(tid)})`)
+          continue
+        }
+        if (!(await connectorsOf(getSlotAllowedTypes(slotDef)[0]))[tpl.mate.connector]) {
+          errors.push(`${where} uses unknown connector ${tpl.mate.connector} (${fileOf(tid)})`)
+        }
+        const targetType = target.ref === 'parent' ? tid : slotTypeOf(slotsRoot, target.ref)
+        if (!targetType) errors.push(`${where} targets unknown slot ${target.ref} (${fileOf(tid)})`)
+        else if (!(await connectorsOf(targetType))[target.connector]) errors.push(`${where} targets unknown connector ${tpl.mate.to} (${fileOf(tid)})`)
+      }
+    }
+  }
+  for (const [iid, inst] of instanceMap) {
+    if (!inst.mate) continue
+    const parent = instanceMap.get(inst.parent)
+    const target = parseMateTarget(inst.mate.to)
+    if (!parent || !target) {
+      errors.push(`Instance ${iid} mate needs a parent and a '<slot>.<connector>' target (${fileOf(iid)})`)
+      continue
+    }
+    if (!(await connectorsOf(inst.type))[inst.mate.connector]) errors.push(`Instance ${iid} mate uses unknown connector ${inst.mate.connector} (${fileOf(iid)})`)
+    const targetDoc = target.ref === 'parent' ? parent : instanceMap.get(await findMateSibling(parent, target.ref, { adapter }))
+    if (!targetDoc) errors.push(`Instance ${iid} mate targets missing ${target.ref} (${fileOf(iid)})`)
+    else if (!(await connectorsOf(targetDoc.type))[target.connector]) errors.push(`Instance ${iid} mate targets unknown connector ${inst.mate.to} (${fileOf(iid)})`)
+    // The stored location is the fallback, so keep it where the mate puts the part
+    const mated = formatLocation(await resolveLocation(inst, parent, { adapter }))
+    if (mated !== formatLocation(parseLocation(inst.location))) warnings.push(`Instance ${iid} location ${inst.location} differs from its mate (${mated}) (${fileOf(iid)})`)
+  }
+
   const summary = []
   summary.push(`Types: ${typeMap.size}`)
   summary.push(`Instances: ${instanceMap.size}`)
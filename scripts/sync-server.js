@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+// Local sync server for sharing designer docs and blobs across a team (see lib/store/sync.js).
+// Docs and blobs live on disk in a store-seed style directory, served through the fs adapter.
+//
+//   node scripts/sync-server.js [dir] [--port 4010] [--host 127.0.0.1] [--origin URL]... [--token T]
+//
+// The server listens on 127.0.0.1 only; pass --host 0.0.0.0 to share it on the LAN. Browsers may call it
+// from localhost pages and from each --origin (e.g. the deployed site); other origins get 403. With
+// --token (or SPOKE_SYNC_TOKEN), every request needs "Authorization: Bearer <token>". A server bound
+// beyond localhost always requires one: without --token it makes one up and prints it.
+//
+//   GET  /sync                    { ok, docs, blobs, now }
+//   GET  /sync/changes?since=ISO  { now, docs, deleted: [{ id, version, deletedAt }] } changed at or after `since`
+//   POST /sync/push               { docs: [{ doc, baseVersion }], deleted: [{ id, baseVersion }] }
+//                                 -> { now, accepted: [{ id, version, deleted? }], conflicts: [{ id, serverVersion, server }] }
+//   GET  /sync/blobs              { hashes }
+//   GET  /sync/blobs/<hash>       blob bytes
+//   PUT  /sync/blobs/<hash>       blob bytes (x-filename header optional); rejected if the hash does not match
+//
+// A write is accepted only if baseVersion (the version the client last synced) equals the server's
+// current version of the doc (0 = never seen); otherwise the doc is reported back as a conflict.
+// A deleted id counts as 0 for writes, so any client can re-create it; a stale edit of it still conflicts.
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import http from 'http'
+import path from 'path'
+import { openFsAdapter } from '../lib/store/fs-adapter.js'
+
+const VALUE_FLAGS = ['--port', '--host', '--origin', '--token']
+const flags = {}
+const positional = []
+for (let i = 2; i < process.argv.length; i++) {
+  const arg = process.argv[i]
+  if (VALUE_FLAGS.includes(arg)) (flags[arg.slice(2)] ||= []).push(process.argv[++i])
+  else if (!arg.startsWith('--')) positional.push(arg)
+}
+const flag = (name) => flags[name]?.at(-1)
+
+const port = Number(flag('port') || process.env.SPOKE_SYNC_PORT || 4010)
+const host = flag('host') || process.env.SPOKE_SYNC_HOST || '127.0.0.1'
+const loopback = ['127.0.0.1', 'localhost', '::1'].includes(host)
+const token = flag('token') || process.env.SPOKE_SYNC_TOKEN || (loopback ? '' : crypto.randomBytes(18).toString('base64url'))
+const origins = new Set((flags.origin || []).filter(Boolean).map((o) => o.replace(/\/+$/, '')))
+const dataDir = path.resolve(positional[0] || path.join(process.cwd(), '.spoke-sync'))
+const tombstonesPath = path.join(dataDir, 'tombstones.json')
+const MAX_BODY = 64 * 1024 * 1024
+
+function log(msg) {
+  console.log(`[sync-server] ${msg}`)
+}
+
+async function readTombstones() {
+  try {
+    return JSON.parse(await fs.readFile(tombstonesPath, 'utf8'))
+  } catch (e) {
+    if (e.code === 'ENOENT') return {}
+    throw e
+  }
+}
+
+async function writeTombstones(tombstones) {
+  await fs.writeFile(tombstonesPath, `${JSON.stringify(tombstones, null, 2)}\n`, 'utf8')
+}
+
+// Pages served from this machine (next dev, serve:static) plus each --origin
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/
+const originAllowed = (origin) => LOCAL_ORIGIN.test(origin) || origins.has(origin)
+
+function authorized(req) {
+  if (!token) return true
+  const given = Buffer.from(String(req.headers.authorization || ''))
+  const expected = Buffer.from(`Bearer ${token}`)
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+}
+
+function send(res, status, body, headers = {}) {
+  const isBuffer = Buffer.isBuffer(body)
+  res.writeHead(status, {
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Filename',
+    'Content-Type': isBuffer ? 'application/octet-stream' : 'application/json',
+    ...headers,
+  })
+  res.end(isBuffer ? body : body === undefined ? '' : JSON.stringify(body))
+}
+
+async function readBody(req) {
+  const chunks = []
+  let size = 0
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > MAX_BODY) throw Object.assign(new Error('Request body too large'), { status: 413 })
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+async function main() {
+  await fs.mkdir(dataDir, { recursive: true })
+  // An index keeps the adapter from reading tombstones.json as a doc
+  try {
+    await fs.access(path.join(dataDir, 'index.json'))
+  } catch {
+    await fs.writeFile(path.join(dataDir, 'index.json'), `${JSON.stringify({ docs: [], blobs: [] }, null, 2)}\n`, 'utf8')
+  }
+  const adapter = await openFsAdapter(dataDir)
+  for (const issue of adapter.issues) log(`warning: ${issue.message}`)
+  let tombstones = await readTombstones()
+
+  // Pushes are applied one at a time so version checks and writes can't interleave
+  let queue = Promise.resolve()
+  const serialized = (fn) => {
+    const run = queue.then(fn, fn)
+    queue = run.catch(() => {})
+    return run
+  }
+
+  const push = async ({ docs = [], deleted = [] }) => {
+    const now = new Date().toISOString()
+    const accepted = []
+    const conflicts = []
+    const nextTombstones = { ...tombstones }
+    await adapter.batch(async (tx) => {
+      const check = async (id, baseVersion, deleting = false) => {
+        const current = await tx.get(id)
+        const serverVersion = current?.meta?.version ?? (deleting ? nextTombstones[id]?.version : 0) ?? 0
+        if (serverVersion === (Number(baseVersion) || 0)) return true
+        conflicts.push({ id, serverVersion, server: current })
+        return false
+      }
+      for (const item of docs) {
+        const id = item?.doc?.id || item?.doc?.$id
+        if (typeof id !== 'string') continue
+        if (!(await check(id, item.baseVersion))) continue
+        const doc = { ...item.doc, meta: { ...(item.doc.meta || {}), syncedAt: now } }
+        tx.put(doc)
+        delete nextTombstones[id]
+        accepted.push({ id, version: doc.meta.version ?? 0 })
+      }
+      for (const item of deleted) {
+        const id = item?.id
+        if (typeof id !== 'string') continue
+        if (!(await check(id, item.baseVersion, true))) continue
+        const current = await tx.get(id)
+        if (current) tx.delete(id)
+        const version = current?.meta?.version ?? nextTombstones[id]?.version ?? 0
+        nextTombstones[id] = { version, deletedAt: now }
+        accepted.push({ id, version, deleted: true })
+      }
+    }, { history: false, source: 'sync' })
+    if (JSON.stringify(nextTombstones) !== JSON.stringify(tombstones)) await writeTombstones(nextTombstones)
+    tombstones = nextTombstones
+    if (accepted.length || conflicts.length) log(`push: ${accepted.length} accepted, ${conflicts.length} conflict(s)`)
+    return { now, accepted, conflicts }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+      const parts = url.pathname.replace(/\/+$/, '').split('/').filter(Boolean)
+      // Checked before anything runs: a cross-site form POST needs no preflight, so CORS alone can't stop it
+      const origin = req.headers.origin
+      if (origin) {
+        if (!originAllowed(origin)) return send(res, 403, { error: `Origin ${origin} not allowed (start the server with --origin ${origin})` })
+        res.setHeader('Access-Control-Allow-Origin', origin)
+        res.setHeader('Vary', 'Origin')
+      }
+      if (req.method === 'OPTIONS') return send(res, 204)
+      if (!authorized(req)) return send(res, 401, { error: 'Sync token required' })
+      if (parts[0] !== 'sync') return send(res, 404, { error: 'Not found' })
+
+      if (parts.length === 1 && req.method === 'GET') {
+        const [headers, hashes] = await Promise.all([adapter.listDocHeaders(''), adapter.listBlobHashes()])
+        return send(res, 200, { ok: true, docs: headers.length, blobs: hashes.length, now: new Date().toISOString() })
+      }
+      if (parts[1] === 'changes' && req.method === 'GET') {
+        const since = url.searchParams.get('since') || ''
+        const now = new Date().toISOString()
+        const docs = (await adapter.queryDocs()).filter((d) => !since || String(d.meta?.syncedAt || '') >= since)
+        const deleted = Object.entries(tombstones)
+          .filter(([, t]) => !since || t.deletedAt >= since)
+          .map(([id, t]) => ({ id, ...t }))
+        return send(res, 200, { now, docs, deleted })
+      }
+      if (parts[1] === 'push' && req.method === 'POST') {
+        const body = JSON.parse((await readBody(req)).toString('utf8') || '{}')
+        return send(res, 200, await serialized(() => push(body)))
+      }
+      if (parts[1] === 'blobs') {
+        const hash = parts[2]
+        if (!hash && req.method === 'GET') return send(res, 200, { hashes: await adapter.listBlobHashes() })
+        if (!hash || !hash.startsWith('sha256-')) return send(res, 400, { error: 'Blob hash must be sha256-<hex>' })
+        if (req.method === 'GET') {
+          const record = await adapter.getBlob(hash)
+          if (!record) return send(res, 404, { error: `Blob ${hash} not found` })
+          return send(res, 200, Buffer.from(await record.data.arrayBuffer()), record.meta?.mime ? { 'Content-Type': record.meta.mime } : {})
+        }
+        if (req.method === 'PUT') {
+          const mime = req.headers['content-type'] || ''
+          const blob = new Blob([await readBody(req)], { type: mime })
+          if (await adapter.hashBlob(blob) !== hash) return send(res, 400, { error: `Content does not match ${hash}` })
+          const filename = req.headers['x-filename'] ? decodeURIComponent(String(req.headers['x-filename'])) : undefined
+          await serialized(() => adapter.putBlob(hash, blob, { mime, filename }))
+          return send(res, 200, { ok: true, hash })
+        }
+      }
+      return send(res, 404, { error: 'Not found' })
+    } catch (e) {
+      log(`error: ${e?.message || e}`)
+      return send(res, e?.status || 500, { error: e?.message || String(e) })
+    }
+  })
+
+  server.listen(port, host, () => {
+    log(`serving ${dataDir} on http://${host.includes(':') ? `[${host}]` : host}:${port}/sync`)
+    if (token) log(`token: ${token}`)
+    if (origins.size) log(`allowed origins: localhost, ${[...origins].join(', ')}`)
+  })
+}
+
+main().catch((e) => {
+  console.error(e)
+  process.exit(1)
+})
@@ -7,6 +7,7 @@ import fs from 'fs'
 import path from 'path'
 import url from 'url'
 import { shortTypeHash } from '../lib/store/id.js'
+import { deepReplaceIds } from '../lib/store/seed-utils.js'
 
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url))
 const root = path.resolve(__dirname, '..')
@@ -24,18 +25,6 @@ function genDeterministic(oldId, typeId){
   return `spoke://instances/${prefix}-${tail}`
 }
 
-function walkReplace(obj, map){
-  if (obj == null) return obj
-  if (typeof obj === 'string') return map.get(obj) || obj
-  if (Array.isArray(obj)) return obj.map(v => walkReplace(v, map))
-  if (typeof obj === 'object') {
-    const out = {}
-    for (const [k,v] of Object.entries(obj)) out[k] = walkReplace(v, map)
-    return out
-  }
-  return obj
-}
-
 function main(){
   const files = fs.readdirSync(seedDir).filter(f => f.endsWith('.json'))
   // pass 1: read all docs and build global mapping
@@ -59,7 +48,7 @@ function main(){
   if (mapping.size === 0) { console.log('No instance IDs to update'); return }
   // pass 2: apply mapping to all files
   for (const { file, json, docs } of fileDocs) {
-    const remapped = docs.map(d => walkReplace(d, mapping))
+    const remapped = docs.map(d => deepReplaceIds(d, mapping))
     const out = Array.isArray(json) ? remapped : remapped[0]
     fs.writeFileSync(file, JSON.stringify(out, null, 2) + '\n', 'utf8')
     console.log('Updated', path.basename(file))